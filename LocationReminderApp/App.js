@@ -1,12 +1,14 @@
 import React, { useEffect } from 'react';
-import { Alert, Platform, LogBox, Linking } from 'react-native';
+import { Alert, LogBox } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import MainScreen from './src/screens/MainScreen';
-import { colors } from './src/styles/styles';
 import GeofenceManager from './src/services/GeofenceManager';
 import NotificationService from './src/services/NotificationService';
+import NotificationActionService from './src/services/NotificationActionService';
+import DeepLinkService from './src/services/DeepLinkService';
 import StorageService from './src/services/StorageService';
-import { AppProvider } from './src/context/AppContext';
+import { AppProvider, useApp } from './src/context/AppContext';
+import { ThemeProvider, useTheme } from './src/context/ThemeContext';
 import ErrorBoundary from './src/components/ErrorBoundary';
 
 // Ignore specific warnings in development
@@ -16,6 +18,9 @@ LogBox.ignoreLogs([
 ]);
 
 const AppContent = () => {
+  const { colors, isDark } = useTheme();
+  const { setShowPermissions } = useApp();
+
   useEffect(() => {
     // Initialize app services
     const initializeApp = async () => {
@@ -32,6 +37,13 @@ const AppContent = () => {
         // Request notification permissions
         const notificationPermissions = await NotificationService.requestPermissions();
         console.log('📱 Notification permissions:', notificationPermissions);
+
+        // Open reminders from notification taps and georem:// links. This
+        // starts first so the tap that launched the app is routed too
+        await DeepLinkService.start();
+
+        // Handle snooze, done and disable buttons on reminder notifications
+        await NotificationActionService.registerListeners();
         
         // Initialize geofence manager
         const geofenceInitialized = await GeofenceManager.initialize();
@@ -43,24 +55,14 @@ const AppContent = () => {
         } else {
           console.warn('⚠️ Geofencing system initialization failed');
           
-          // Show user-friendly error for permissions
+          // Show user-friendly error for permissions. Monitoring starts on its own
+          // once location is allowed, see GeofenceManager.recheckPermissions
           Alert.alert(
             'Location Permission Required',
-            'This app needs location permissions to send you reminders when you arrive at specific locations. Please enable location access in your device settings.',
+            'This app needs location permissions to send you reminders when you arrive at specific locations.',
             [
               { text: 'Cancel', style: 'cancel' },
-              { 
-                text: 'Settings', 
-                onPress: () => {
-                  if (Platform.OS === 'ios') {
-                    // iOS: Open app settings
-                    Linking.openURL('app-settings:');
-                  } else {
-                    // Android: Open app settings
-                    Linking.openSettings();
-                  }
-                }
-              }
+              { text: 'Fix', onPress: () => setShowPermissions(true) },
             ]
           );
         }
@@ -71,7 +73,10 @@ const AppContent = () => {
             Alert.alert(
               'Notification Permission Required',
               'Please enable notifications to receive location-based reminders when you arrive at your saved locations.',
-              [{ text: 'OK' }]
+              [
+                { text: 'Later', style: 'cancel' },
+                { text: 'Fix', onPress: () => setShowPermissions(true) },
+              ]
             );
           }, 1000);
         }
@@ -93,6 +98,8 @@ const AppContent = () => {
     // Cleanup on app unmount
     return () => {
       console.log('🧹 Cleaning up app services...');
+      NotificationActionService.removeListeners();
+      DeepLinkService.stop();
       // Note: We don't clean up GeofenceManager here as it should persist
       // Only clean up on explicit user action or app uninstall
     };
@@ -100,7 +107,7 @@ const AppContent = () => {
 
   return (
     <>
-      <StatusBar style="dark" backgroundColor={colors.surface} />
+      <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
       <MainScreen />
     </>
   );
@@ -110,7 +117,9 @@ const App = () => {
   return (
     <ErrorBoundary>
       <AppProvider>
-        <AppContent />
+        <ThemeProvider>
+          <AppContent />
+        </ThemeProvider>
       </AppProvider>
     </ErrorBoundary>
   );
@@ -0,0 +1,4 @@
+// Stand-in for expo-background-fetch in tests
+export const BackgroundFetchResult = { NoData: 1, NewData: 2, Failed: 3 };
+export const registerTaskAsync = jest.fn(async () => {});
+export const unregisterTaskAsync = jest.fn(async () => {});
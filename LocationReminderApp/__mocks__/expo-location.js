@@ -0,0 +1,29 @@
+// Stand-in for expo-location in tests, which have no device to locate. Background
+// location updates remember whether they are running
+let updatesStarted = false;
+
+export const Accuracy = { Lowest: 1, Low: 2, Balanced: 3, High: 4, Highest: 5, BestForNavigation: 6 };
+export const GeofencingEventType = { Enter: 1, Exit: 2 };
+
+export const getCurrentPositionAsync = jest.fn(async () => null);
+export const getLastKnownPositionAsync = jest.fn(async () => null);
+export const watchPositionAsync = jest.fn(async () => ({ remove: jest.fn() }));
+export const geocodeAsync = jest.fn(async () => []);
+export const reverseGeocodeAsync = jest.fn(async () => []);
+
+export const hasStartedLocationUpdatesAsync = jest.fn(async () => updatesStarted);
+export const startLocationUpdatesAsync = jest.fn(async () => {
+  updatesStarted = true;
+});
+export const stopLocationUpdatesAsync = jest.fn(async () => {
+  updatesStarted = false;
+});
+
+export const hasStartedGeofencingAsync = jest.fn(async () => false);
+export const startGeofencingAsync = jest.fn(async () => {});
+export const stopGeofencingAsync = jest.fn(async () => {});
+
+// Set whether background location updates are running, e.g. between tests
+export const __setLocationUpdatesStarted = (started) => {
+  updatesStarted = started;
+};
@@ -0,0 +1,3 @@
+// Stand-in for expo-task-manager in tests: no task is ever registered with the OS
+export const defineTask = jest.fn();
+export const isTaskRegisteredAsync = jest.fn(async () => false);
@@ -2,10 +2,11 @@ export default {
   expo: {
     name: "GeoRem",
     slug: "georem",
+    scheme: "georem",
     version: "1.0.0",
     orientation: "portrait",
     icon: "./assets/icon.png",
-    userInterfaceStyle: "light",
+    userInterfaceStyle: "automatic",
     newArchEnabled: true,
     splash: {
       image: "./assets/splash-icon.png",
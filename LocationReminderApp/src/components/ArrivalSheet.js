@@ -0,0 +1,191 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+
+const ArrivalSheet = ({
+  visible,
+  reminder,
+  onToggleItem,
+  onDeactivate,
+  onClose,
+  testID,
+}) => {
+  const styles = useThemedStyles(createStyles);
+  if (!reminder) return null;
+
+  const items = reminder.type === 'checklist' ? reminder.content || [] : [];
+  const completedCount = items.filter(item => item.completed).length;
+  const isAllDone = items.length > 0 && completedCount === items.length;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <TouchableOpacity style={styles.backdrop} onPress={onClose} activeOpacity={1} />
+
+        <View style={styles.sheet} testID={testID}>
+          <View style={styles.handle} />
+
+          <Text style={styles.title}>{reminder.title}</Text>
+          <Text style={styles.location}>📍 {reminder.location}</Text>
+          <Text style={styles.progress}>
+            {completedCount}/{items.length} items done
+          </Text>
+
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {items.map((item) => (
+              <TouchableOpacity
+                key={item.id}
+                style={styles.item}
+                onPress={() => onToggleItem(reminder.id, item.id, item.completed)}
+                activeOpacity={0.7}
+                testID={`${testID}-item-${item.id}`}
+              >
+                <Text style={styles.checkbox}>{item.completed ? '☑' : '☐'}</Text>
+                <Text style={[styles.itemText, item.completed && styles.itemTextCompleted]}>
+                  {item.text}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {isAllDone && (
+            <View style={styles.doneBanner}>
+              <Text style={styles.doneText}>✅ All done! Turn off this reminder?</Text>
+              <TouchableOpacity
+                style={styles.deactivateButton}
+                onPress={() => onDeactivate(reminder.id)}
+                activeOpacity={0.8}
+                testID={`${testID}-deactivate`}
+              >
+                <Text style={styles.deactivateButtonText}>Turn off</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          <TouchableOpacity style={styles.closeButton} onPress={onClose} activeOpacity={0.7}>
+            <Text style={styles.closeButtonText}>{isAllDone ? 'Keep it on' : 'Close'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  },
+  backdrop: {
+    flex: 1,
+  },
+  sheet: {
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+    maxHeight: '75%',
+    ...shadows.large,
+  },
+  handle: {
+    alignSelf: 'center',
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: colors.border,
+    marginBottom: spacing.md,
+  },
+  title: {
+    ...typography.h3,
+    color: colors.text,
+    marginBottom: spacing.xs,
+  },
+  location: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  progress: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: '600',
+    marginBottom: spacing.md,
+  },
+  list: {
+    flexGrow: 0,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  checkbox: {
+    fontSize: 22,
+    color: colors.primary,
+    marginRight: spacing.sm,
+  },
+  itemText: {
+    ...typography.body1,
+    color: colors.text,
+    flex: 1,
+  },
+  itemTextCompleted: {
+    textDecorationLine: 'line-through',
+    color: colors.textSecondary,
+  },
+  doneBanner: {
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    marginTop: spacing.md,
+    alignItems: 'center',
+  },
+  doneText: {
+    ...typography.body2,
+    color: colors.text,
+    fontWeight: '500',
+    marginBottom: spacing.sm,
+  },
+  deactivateButton: {
+    backgroundColor: colors.success,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.lg,
+    borderRadius: borderRadius.md,
+  },
+  deactivateButtonText: {
+    ...typography.body2,
+    color: colors.surface,
+    fontWeight: '600',
+  },
+  closeButton: {
+    marginTop: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  closeButtonText: {
+    ...typography.body2,
+    color: colors.text,
+    fontWeight: '600',
+  },
+});
+
+export default ArrivalSheet;
@@ -0,0 +1,109 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+import { PLACE_CATEGORIES, getPlaceCategory } from '../utils/placeCategories';
+
+const CategoryPicker = ({ selectedCategory, onCategoryChange, error, testID }) => {
+  const styles = useThemedStyles(createStyles);
+  const category = getPlaceCategory(selectedCategory);
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <View style={[styles.grid, error && styles.gridError]}>
+        {PLACE_CATEGORIES.map((option) => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.chip, selectedCategory === option.id && styles.selectedChip]}
+            onPress={() => onCategoryChange(option.id)}
+            activeOpacity={0.7}
+            testID={`${testID}-${option.id}`}
+          >
+            <Text style={styles.chipIcon}>{option.icon}</Text>
+            <Text style={[
+              styles.chipText,
+              selectedCategory === option.id && styles.selectedChipText,
+            ]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      <Text style={styles.description}>
+        {category
+          ? `Remind me at any ${category.name} near me. The closest ones are updated as I move.`
+          : 'Choose the kind of place to be reminded at'}
+      </Text>
+    </View>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  container: {
+    marginVertical: spacing.xs,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    padding: spacing.xs,
+    ...shadows.small,
+  },
+  gridError: {
+    borderColor: colors.error,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    margin: spacing.xs / 2,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  selectedChip: {
+    backgroundColor: colors.surface,
+    borderColor: colors.primary,
+    ...shadows.medium,
+  },
+  chipIcon: {
+    fontSize: 16,
+    marginRight: spacing.xs,
+  },
+  chipText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  selectedChipText: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  errorText: {
+    ...typography.caption,
+    color: colors.error,
+    marginTop: spacing.xs,
+  },
+  description: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+    lineHeight: 16,
+    paddingHorizontal: spacing.sm,
+  },
+});
+
+export default CategoryPicker;
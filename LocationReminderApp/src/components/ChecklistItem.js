@@ -7,7 +7,8 @@ import {
   StyleSheet,
   Animated,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
 const ChecklistItem = ({ 
   item, 
@@ -17,6 +18,8 @@ const ChecklistItem = ({
   canRemove = true,
   testID 
 }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [isFocused, setIsFocused] = useState(false);
   const [localText, setLocalText] = useState(item.text);
   const scaleAnimation = useRef(new Animated.Value(1)).current;
@@ -135,7 +138,7 @@ const ChecklistItem = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     marginBottom: spacing.sm,
   },
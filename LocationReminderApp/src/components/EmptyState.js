@@ -1,12 +1,14 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
-import { colors, typography, spacing } from '../styles/styles';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing } from '../styles/styles';
 
 const EmptyState = ({ 
   title = "No Reminders Yet", 
   message = "Tap the + button to create your first location-based reminder",
   testID = "empty-state"
 }) => {
+  const styles = useThemedStyles(createStyles);
   return (
     <View style={styles.container} testID={testID}>
       <View style={styles.iconContainer}>
@@ -21,7 +23,7 @@ const EmptyState = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography }) => StyleSheet.create({
   container: {
     flex: 1,
     justifyContent: 'center',
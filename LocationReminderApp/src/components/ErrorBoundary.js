@@ -8,9 +8,13 @@ import {
   ScrollView,
   Platform,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius } from '../styles/styles';
+import ThemeContext from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
 class ErrorBoundary extends React.Component {
+  // Sits above the app providers, so this falls back to the light theme
+  static contextType = ThemeContext;
+
   constructor(props) {
     super(props);
     this.state = {
@@ -49,6 +53,8 @@ class ErrorBoundary extends React.Component {
 
   render() {
     if (this.state.hasError) {
+      const styles = createStyles(this.context);
+
       return (
         <SafeAreaView style={styles.container}>
           <ScrollView contentContainerStyle={styles.content}>
@@ -90,7 +96,7 @@ class ErrorBoundary extends React.Component {
   }
 }
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography }) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
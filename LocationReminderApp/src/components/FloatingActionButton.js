@@ -6,9 +6,12 @@ import {
   Animated,
   Pressable,
 } from 'react-native';
-import { colors, shadows, spacing, borderRadius } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
 const FloatingActionButton = ({ onPress, icon = '+', testID = 'fab' }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const scaleValue = React.useRef(new Animated.Value(1)).current;
 
   const handlePressIn = () => {
@@ -47,7 +50,7 @@ const FloatingActionButton = ({ onPress, icon = '+', testID = 'fab' }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, shadows }) => StyleSheet.create({
   container: {
     position: 'absolute',
     bottom: spacing.lg,
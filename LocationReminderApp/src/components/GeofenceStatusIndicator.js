@@ -1,41 +1,73 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
-import { colors, typography, spacing, borderRadius } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+import { isPowerSaving, describePowerPolicy } from '../utils/powerPolicy';
 
 const GeofenceStatusIndicator = ({ 
   geofence, 
   locationData, 
   onPress, 
   compact = false,
+  powerPolicy = null,
+  isCritical = false,
   testID 
 }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   if (!geofence) return null;
 
+  // Low battery pauses reminders that aren't critical and degrades the rest
+  const powerNotice = describePowerPolicy(powerPolicy);
+  const isPaused = isPowerSaving(powerPolicy) && !isCritical;
+  const isDegraded = isPowerSaving(powerPolicy) && isCritical;
+
   const getStatusColor = () => {
     if (!geofence.isActive) return colors.textSecondary;
+    if (isPaused || isDegraded) return colors.warning;
     if (geofence.triggeredCount > 0) return colors.secondary;
     return colors.primary;
   };
 
   const getStatusIcon = () => {
     if (!geofence.isActive) return '🔕';
+    if (isPaused) return '⏸️';
+    if (isDegraded) return '🪫';
     if (geofence.triggeredCount > 0) return '✅';
     return '📍';
   };
 
   const getStatusText = () => {
     if (!geofence.isActive) return 'Inactive';
+    if (isPaused) return 'Paused';
+    if (isDegraded) return 'Saving battery';
     if (geofence.triggeredCount > 0) return 'Triggered';
     return 'Active';
   };
 
   const formatRadius = (radius) => {
+    if (locationData?.polygon) {
+      return 'Area';
+    }
     if (radius >= 1000) {
       return `${(radius / 1000).toFixed(1)}km`;
     }
     return `${radius}m`;
   };
 
+  const formatTransitionType = () => {
+    switch (geofence.transitionType) {
+      case 'EXIT':
+        return 'Leave';
+      case 'BOTH':
+        return 'Arrive & leave';
+      case 'DWELL':
+        return `Stay ${geofence.dwellMinutes || 10} min`;
+      default:
+        return 'Arrive';
+    }
+  };
+
   const formatLastTriggered = (timestamp) => {
     if (!timestamp) return null;
     
@@ -109,11 +141,21 @@ const GeofenceStatusIndicator = ({
         <View style={styles.detailRow}>
           <Text style={styles.detailLabel}>Type:</Text>
           <Text style={styles.detailValue}>
-            {geofence.transitionType || 'ENTER'}
+            {formatTransitionType()}
           </Text>
         </View>
       </View>
 
+      {/* Power Policy Notice */}
+      {geofence.isActive && powerNotice && (
+        <View style={styles.batteryWarning}>
+          <Text style={styles.batteryWarningIcon}>🪫</Text>
+          <Text style={styles.batteryWarningText}>
+            {isPaused ? `Paused. ${powerNotice}` : powerNotice}
+          </Text>
+        </View>
+      )}
+
       {/* Battery Impact Indicator */}
       {locationData?.radius < 100 && (
         <View style={styles.batteryWarning}>
@@ -125,7 +167,7 @@ const GeofenceStatusIndicator = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography }) => StyleSheet.create({
   container: {
     backgroundColor: colors.surface,
     borderWidth: 1,
@@ -205,6 +247,7 @@ const styles = StyleSheet.create({
     ...typography.caption,
     color: colors.warning || '#F59E0B',
     fontSize: 10,
+    flex: 1,
   },
 });
 
@@ -6,7 +6,8 @@ import {
   StyleSheet,
   Animated,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
 const LocationHistoryItem = ({ 
   location, 
@@ -16,6 +17,7 @@ const LocationHistoryItem = ({
   isFrequent = false,
   testID 
 }) => {
+  const styles = useThemedStyles(createStyles);
   const scaleValue = React.useRef(new Animated.Value(1)).current;
   const fadeValue = React.useRef(new Animated.Value(1)).current;
 
@@ -137,7 +139,7 @@ const LocationHistoryItem = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     marginVertical: spacing.xs / 2,
   },
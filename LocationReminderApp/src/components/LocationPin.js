@@ -1,8 +1,9 @@
 import React from 'react';
 import { View, Text, StyleSheet } from 'react-native';
-import { colors, shadows } from '../styles/styles';
+import { useThemedStyles } from '../context/ThemeContext';
 
 const LocationPin = ({ coordinate, title }) => {
+  const styles = useThemedStyles(createStyles);
   return (
     <View style={styles.container}>
       <View style={styles.pin}>
@@ -13,7 +14,7 @@ const LocationPin = ({ coordinate, title }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, shadows }) => StyleSheet.create({
   container: {
     alignItems: 'center',
     justifyContent: 'center',
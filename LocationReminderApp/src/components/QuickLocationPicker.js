@@ -7,10 +7,12 @@ import {
   StyleSheet,
   Animated,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 import LocationHistoryService from '../services/LocationHistoryService';
 
 const QuickLocationPicker = ({ onLocationSelect, selectedLocation }) => {
+  const styles = useThemedStyles(createStyles);
   const [suggestions, setSuggestions] = useState([]);
   const [isExpanded, setIsExpanded] = useState(true);
   const animatedHeight = React.useRef(new Animated.Value(1)).current;
@@ -123,7 +125,7 @@ const QuickLocationPicker = ({ onLocationSelect, selectedLocation }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     marginBottom: spacing.md,
   },
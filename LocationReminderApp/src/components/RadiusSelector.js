@@ -7,9 +7,18 @@ import {
   Platform,
 } from 'react-native';
 import Slider from '@react-native-community/slider';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
-const RadiusSelector = ({ radius, onRadiusChange, minRadius = 50, maxRadius = 1000 }) => {
+const RadiusSelector = ({
+  radius,
+  onRadiusChange,
+  minRadius = 50,
+  maxRadius = 1000,
+  label = 'Geofence Radius',
+}) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const presetRadii = [50, 100, 200, 500, 1000];
 
   const handlePresetPress = (value) => {
@@ -28,7 +37,7 @@ const RadiusSelector = ({ radius, onRadiusChange, minRadius = 50, maxRadius = 10
   return (
     <View style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.label}>Geofence Radius</Text>
+        <Text style={styles.label}>{label}</Text>
         <Text style={styles.currentValue}>{formatRadius(radius)}</Text>
       </View>
 
@@ -84,7 +93,7 @@ const RadiusSelector = ({ radius, onRadiusChange, minRadius = 50, maxRadius = 10
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     backgroundColor: colors.surface,
     borderRadius: borderRadius.lg,
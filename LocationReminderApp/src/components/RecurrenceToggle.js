@@ -0,0 +1,197 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+import {
+  RECURRENCE_MODES,
+  RECURRENCE_PERIODS,
+  formatCooldown,
+} from '../utils/recurrenceUtils';
+
+const MODE_OPTIONS = [
+  { mode: RECURRENCE_MODES.ALWAYS, icon: '♾️', label: 'Always' },
+  { mode: RECURRENCE_MODES.ONCE, icon: '1️⃣', label: 'Once' },
+  { mode: RECURRENCE_MODES.COOLDOWN, icon: '⏳', label: 'Cooldown' },
+  { mode: RECURRENCE_MODES.RECURRING, icon: '🔁', label: 'Repeat' },
+];
+
+const COOLDOWN_PRESETS = [1, 4, 12, 24, 72];
+
+const PERIOD_LABELS = {
+  day: 'Daily',
+  week: 'Weekly',
+  month: 'Monthly',
+};
+
+const RecurrenceToggle = ({ recurrence, onRecurrenceChange, testID }) => {
+  const styles = useThemedStyles(createStyles);
+  const updateRecurrence = (updates) => {
+    onRecurrenceChange({ ...recurrence, ...updates });
+  };
+
+  const renderPresetButton = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.presetButton, isSelected && styles.presetButtonActive]}
+      onPress={onPress}
+      activeOpacity={0.7}
+    >
+      <Text style={[styles.presetButtonText, isSelected && styles.presetButtonTextActive]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const getDescription = () => {
+    switch (recurrence.mode) {
+      case RECURRENCE_MODES.ONCE:
+        return 'Remind me the first time, then turn this reminder off';
+      case RECURRENCE_MODES.COOLDOWN:
+        return `Remind me at most once every ${formatCooldown(recurrence.cooldownHours)}`;
+      case RECURRENCE_MODES.RECURRING:
+        return `Remind me once a ${recurrence.period}, then wait until the next ${recurrence.period}`;
+      default:
+        return 'Remind me every time the trigger happens';
+    }
+  };
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <View style={styles.toggleContainer}>
+        {MODE_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.mode}
+            style={[styles.option, recurrence.mode === option.mode && styles.selectedOption]}
+            onPress={() => updateRecurrence({ mode: option.mode })}
+            testID={`${testID}-${option.mode}`}
+          >
+            <Text style={styles.optionIcon}>{option.icon}</Text>
+            <Text style={[
+              styles.optionText,
+              recurrence.mode === option.mode && styles.selectedOptionText
+            ]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {recurrence.mode === RECURRENCE_MODES.COOLDOWN && (
+        <View style={styles.presetContainer}>
+          <Text style={styles.presetLabel}>Wait at least:</Text>
+          <View style={styles.presetButtons}>
+            {COOLDOWN_PRESETS.map((hours) => renderPresetButton(
+              hours,
+              formatCooldown(hours),
+              recurrence.cooldownHours === hours,
+              () => updateRecurrence({ cooldownHours: hours })
+            ))}
+          </View>
+        </View>
+      )}
+
+      {recurrence.mode === RECURRENCE_MODES.RECURRING && (
+        <View style={styles.presetContainer}>
+          <Text style={styles.presetLabel}>Repeat:</Text>
+          <View style={styles.presetButtons}>
+            {RECURRENCE_PERIODS.map((period) => renderPresetButton(
+              period,
+              PERIOD_LABELS[period],
+              recurrence.period === period,
+              () => updateRecurrence({ period })
+            ))}
+          </View>
+        </View>
+      )}
+
+      <Text style={styles.description}>{getDescription()}</Text>
+    </View>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  container: {
+    marginVertical: spacing.xs,
+  },
+  toggleContainer: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.lg,
+    padding: spacing.xs,
+    ...shadows.small,
+  },
+  option: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.xs,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selectedOption: {
+    backgroundColor: colors.surface,
+    ...shadows.medium,
+  },
+  optionIcon: {
+    fontSize: 20,
+    marginBottom: spacing.xs,
+  },
+  optionText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    fontWeight: '500',
+    textAlign: 'center',
+  },
+  selectedOptionText: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  presetContainer: {
+    marginTop: spacing.sm,
+  },
+  presetLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  presetButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  presetButton: {
+    flex: 1,
+    paddingVertical: spacing.xs,
+    marginHorizontal: spacing.xs / 2,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  presetButtonActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  presetButtonText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  presetButtonTextActive: {
+    color: colors.surface,
+  },
+  description: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+    lineHeight: 16,
+    paddingHorizontal: spacing.sm,
+  },
+});
+
+export default RecurrenceToggle;
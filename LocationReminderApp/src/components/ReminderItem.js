@@ -7,8 +7,10 @@ import {
   Animated,
   Switch,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 import GeofenceStatusIndicator from './GeofenceStatusIndicator';
+import { getRecurrenceStatus } from '../utils/recurrenceUtils';
 
 const ReminderItem = ({ 
   reminder, 
@@ -16,8 +18,11 @@ const ReminderItem = ({
   onGeofencePress, 
   onToggleStatus,
   onDelete,
+  powerPolicy,
   testID 
 }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const scaleValue = React.useRef(new Animated.Value(1)).current;
 
   const handlePressIn = () => {
@@ -77,6 +82,8 @@ const ReminderItem = ({
     return '';
   };
 
+  const recurrenceStatus = getRecurrenceStatus(reminder);
+
   return (
     <Animated.View style={[
       styles.container, 
@@ -136,6 +143,8 @@ const ReminderItem = ({
                     onPress={handleGeofencePress}
                     compact={true}
                     isActive={reminder.geofence?.isActive && reminder.isActive}
+                    powerPolicy={reminder.isActive ? powerPolicy : null}
+                    isCritical={!!reminder.isCritical}
                     testID={`${testID}-geofence-status`}
                   />
                 )}
@@ -164,7 +173,7 @@ const ReminderItem = ({
                 styles.radius,
                 !reminder.isActive && styles.inactiveText
               ]}>
-                {reminder.locationData?.radius || 100}m
+                {reminder.locationData?.polygon ? 'Area' : `${reminder.locationData?.radius || 100}m`}
               </Text>
               {reminder.geofence?.lastTriggered && (
                 <Text style={[
@@ -174,13 +183,22 @@ const ReminderItem = ({
                   Triggered
                 </Text>
               )}
+              {recurrenceStatus && (
+                <Text style={[
+                  styles.recurrence,
+                  !recurrenceStatus.isArmed && styles.recurrenceWaiting,
+                  !reminder.isActive && styles.inactiveText
+                ]}>
+                  {recurrenceStatus.isArmed ? '🔁' : '⏳'} {recurrenceStatus.label}
+                </Text>
+              )}
             </View>
           </View>
         </View>
 
         {!reminder.isActive && (
-          <View style={styles.inactiveBadge}>
-            <Text style={styles.inactiveBadgeText}>INACTIVE</Text>
+          <View style={[styles.inactiveBadge, reminder.isDraft && styles.draftBadge]}>
+            <Text style={styles.inactiveBadgeText}>{reminder.isDraft ? 'DRAFT' : 'INACTIVE'}</Text>
           </View>
         )}
       </TouchableOpacity>
@@ -188,7 +206,7 @@ const ReminderItem = ({
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     marginVertical: spacing.xs,
     marginHorizontal: spacing.md,
@@ -290,6 +308,14 @@ const styles = StyleSheet.create({
     color: colors.success,
     marginTop: spacing.xs / 2,
   },
+  recurrence: {
+    ...typography.caption,
+    color: colors.primary,
+    marginTop: spacing.xs / 2,
+  },
+  recurrenceWaiting: {
+    color: colors.warning,
+  },
   inactiveText: {
     color: colors.textSecondary,
   },
@@ -302,6 +328,9 @@ const styles = StyleSheet.create({
     paddingVertical: spacing.xs / 2,
     borderBottomLeftRadius: borderRadius.md,
   },
+  draftBadge: {
+    backgroundColor: colors.warning,
+  },
   inactiveBadgeText: {
     ...typography.caption,
     color: colors.surface,
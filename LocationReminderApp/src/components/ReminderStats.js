@@ -5,9 +5,12 @@ import {
   StyleSheet,
   Animated,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
 const ReminderStats = ({ reminders, geofenceStatus }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const fadeAnim = React.useRef(new Animated.Value(0)).current;
 
   React.useEffect(() => {
@@ -67,6 +70,9 @@ const ReminderStats = ({ reminders, geofenceStatus }) => {
           <View style={styles.monitoringDot} />
           <Text style={styles.monitoringText}>
             Monitoring {geofenceStatus.activeGeofencesCount} location{geofenceStatus.activeGeofencesCount !== 1 ? 's' : ''}
+            {geofenceStatus.armedGeofencesCount < geofenceStatus.activeGeofencesCount
+              ? ` (${geofenceStatus.armedGeofencesCount} nearest armed)`
+              : ''}
           </Text>
         </View>
       )}
@@ -74,7 +80,7 @@ const ReminderStats = ({ reminders, geofenceStatus }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     backgroundColor: colors.surface,
     marginHorizontal: spacing.md,
@@ -0,0 +1,242 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+import {
+  DAY_LABELS,
+  WEEKDAYS,
+  WEEKEND,
+  EVERY_DAY,
+  createDefaultSchedule,
+  formatSchedule,
+} from '../utils/scheduleUtils';
+
+const DAY_PRESETS = [
+  { label: 'Every day', days: EVERY_DAY },
+  { label: 'Weekdays', days: WEEKDAYS },
+  { label: 'Weekends', days: WEEKEND },
+];
+
+const ScheduleEditor = ({ schedule, onScheduleChange, error, testID }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const isEnabled = !!schedule;
+
+  const updateSchedule = (updates) => {
+    onScheduleChange({ ...schedule, ...updates });
+  };
+
+  const handleToggle = (value) => {
+    onScheduleChange(value ? createDefaultSchedule() : null);
+  };
+
+  const handleDayPress = (day) => {
+    const days = schedule.days.includes(day)
+      ? schedule.days.filter(d => d !== day)
+      : [...schedule.days, day].sort();
+    updateSchedule({ days });
+  };
+
+  const isPresetSelected = (days) => {
+    return [...schedule.days].sort().join() === days.join();
+  };
+
+  const renderTextField = (label, field, placeholder) => (
+    <View style={styles.field}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        style={[styles.fieldInput, error && styles.inputError]}
+        value={schedule[field] || ''}
+        onChangeText={(text) => updateSchedule({ [field]: text.trim() || null })}
+        placeholder={placeholder}
+        placeholderTextColor={colors.textSecondary}
+        autoCorrect={false}
+        autoCapitalize="none"
+        keyboardType="numbers-and-punctuation"
+        maxLength={placeholder.length}
+      />
+    </View>
+  );
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <View style={styles.toggleRow}>
+        <View style={styles.toggleText}>
+          <Text style={styles.toggleLabel}>Only remind me at certain times</Text>
+          <Text style={styles.summary}>{formatSchedule(schedule)}</Text>
+        </View>
+        <Switch
+          value={isEnabled}
+          onValueChange={handleToggle}
+          trackColor={{ false: colors.border, true: colors.primary }}
+          thumbColor={isEnabled ? colors.surface : colors.textSecondary}
+        />
+      </View>
+
+      {isEnabled && (
+        <View style={styles.editor}>
+          <View style={styles.presetRow}>
+            {DAY_PRESETS.map((preset) => (
+              <TouchableOpacity
+                key={preset.label}
+                style={[styles.presetButton, isPresetSelected(preset.days) && styles.chipActive]}
+                onPress={() => updateSchedule({ days: preset.days })}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.chipText, isPresetSelected(preset.days) && styles.chipTextActive]}>
+                  {preset.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.dayRow}>
+            {DAY_LABELS.map((label, day) => {
+              const isSelected = schedule.days.includes(day);
+              return (
+                <TouchableOpacity
+                  key={label}
+                  style={[styles.dayChip, isSelected && styles.chipActive]}
+                  onPress={() => handleDayPress(day)}
+                  activeOpacity={0.7}
+                >
+                  <Text style={[styles.chipText, isSelected && styles.chipTextActive]}>
+                    {label.charAt(0)}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <View style={styles.fieldRow}>
+            {renderTextField('From', 'startTime', '09:00')}
+            {renderTextField('To', 'endTime', '18:00')}
+          </View>
+
+          <View style={styles.fieldRow}>
+            {renderTextField('Start date', 'startDate', 'YYYY-MM-DD')}
+            {renderTextField('End date', 'endDate', 'YYYY-MM-DD')}
+          </View>
+
+          <Text style={styles.hint}>Leave times or dates empty to not restrict them.</Text>
+        </View>
+      )}
+
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  container: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    ...shadows.small,
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  toggleText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  toggleLabel: {
+    ...typography.body2,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  summary: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
+  editor: {
+    marginTop: spacing.md,
+  },
+  presetRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.sm,
+  },
+  presetButton: {
+    flex: 1,
+    paddingVertical: spacing.xs,
+    marginHorizontal: spacing.xs / 2,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  dayRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: spacing.md,
+  },
+  dayChip: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: colors.surface,
+    fontWeight: '600',
+  },
+  fieldRow: {
+    flexDirection: 'row',
+    marginBottom: spacing.sm,
+  },
+  field: {
+    flex: 1,
+    marginHorizontal: spacing.xs / 2,
+  },
+  fieldLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs / 2,
+  },
+  fieldInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    ...typography.body2,
+    color: colors.text,
+  },
+  inputError: {
+    borderColor: colors.error,
+  },
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  errorText: {
+    ...typography.caption,
+    color: colors.error,
+    marginTop: spacing.xs,
+  },
+});
+
+export default ScheduleEditor;
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState } from 'react';
 import {
   View,
   TextInput,
@@ -7,109 +7,35 @@ import {
   FlatList,
   ActivityIndicator,
   StyleSheet,
-  Platform,
-  Alert,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
-import { geocodeAddress } from '../utils/locationUtils';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+import { usePlaceSearch } from '../hooks/usePlaceSearch';
 
-const SearchBar = ({ onLocationSelect, onClear, placeholder = 'Search location...' }) => {
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [isSearching, setIsSearching] = useState(false);
+const SearchBar = ({ onLocationSelect, onClear, near = null, placeholder = 'Search location...' }) => {
+  const { colors } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const {
+    query: searchQuery,
+    setQuery,
+    results: searchResults,
+    isSearching,
+    hasSearched,
+    isOffline,
+    searchNow,
+    clear,
+  } = usePlaceSearch({ limit: 5, near });
   const [showResults, setShowResults] = useState(false);
 
-  // Debounce search
-  const searchTimeout = React.useRef(null);
-
-  const handleSearch = useCallback(async (query) => {
-    if (!query.trim()) {
-      setSearchResults([]);
-      setShowResults(false);
-      return;
-    }
-
-    setIsSearching(true);
-    
-    try {
-      // Use real geocoding
-      const result = await geocodeAddress(query);
-      
-      if (result) {
-        // For now, we'll show single result. In future, we can enhance to show multiple
-        const results = [{
-          id: '1',
-          name: query,
-          address: result.address || query,
-          latitude: result.latitude,
-          longitude: result.longitude,
-        }];
-        
-        setSearchResults(results);
-        setShowResults(true);
-      } else {
-        // If geocoding fails, try with common location prefixes
-        const enhancedQueries = [
-          query,
-          `${query} city`,
-          `${query} town`,
-          `${query} street`,
-        ];
-        
-        let foundResult = null;
-        for (const enhancedQuery of enhancedQueries) {
-          const enhancedResult = await geocodeAddress(enhancedQuery);
-          if (enhancedResult) {
-            foundResult = enhancedResult;
-            break;
-          }
-        }
-        
-        if (foundResult) {
-          const results = [{
-            id: '1',
-            name: query,
-            address: foundResult.address || query,
-            latitude: foundResult.latitude,
-            longitude: foundResult.longitude,
-          }];
-          
-          setSearchResults(results);
-          setShowResults(true);
-        } else {
-          setSearchResults([]);
-          setShowResults(false);
-          // Don't show alert for every failed search, just log it
-          console.log('No results found for:', query);
-        }
-      }
-    } catch (error) {
-      console.error('Search error:', error);
-      setSearchResults([]);
-      setShowResults(false);
-    } finally {
-      setIsSearching(false);
-    }
-  }, []);
-
   const handleTextChange = (text) => {
-    setSearchQuery(text);
-    
-    // Clear previous timeout
-    if (searchTimeout.current) {
-      clearTimeout(searchTimeout.current);
-    }
-    
-    // Set new timeout for debounced search
-    searchTimeout.current = setTimeout(() => {
-      handleSearch(text);
-    }, 800); // Increased delay for geocoding API
+    setQuery(text);
+    setShowResults(true);
   };
 
   const handleResultPress = (result) => {
-    setSearchQuery(result.name);
+    setQuery(result.name, { search: false });
     setShowResults(false);
-    
+
     if (onLocationSelect) {
       onLocationSelect({
         latitude: result.latitude,
@@ -120,10 +46,9 @@ const SearchBar = ({ onLocationSelect, onClear, placeholder = 'Search location..
   };
 
   const handleClear = () => {
-    setSearchQuery('');
-    setSearchResults([]);
+    clear();
     setShowResults(false);
-    
+
     if (onClear) {
       onClear();
     }
@@ -131,7 +56,8 @@ const SearchBar = ({ onLocationSelect, onClear, placeholder = 'Search location..
 
   const handleSubmitEditing = () => {
     if (searchQuery.trim()) {
-      handleSearch(searchQuery);
+      setShowResults(true);
+      searchNow();
     }
   };
 
@@ -156,7 +82,7 @@ const SearchBar = ({ onLocationSelect, onClear, placeholder = 'Search location..
   );
 
   const renderEmptyResults = () => {
-    if (!searchQuery.trim() || isSearching) return null;
+    if (!hasSearched || isSearching) return null;
     
     return (
       <View style={styles.emptyResultsContainer}>
@@ -203,16 +129,23 @@ const SearchBar = ({ onLocationSelect, onClear, placeholder = 'Search location..
         )}
       </View>
       
-      {showResults && (
+      {showResults && (hasSearched || searchResults.length > 0) && (
         <View style={styles.resultsContainer}>
           {searchResults.length > 0 ? (
-            <FlatList
-              data={searchResults}
-              renderItem={renderSearchResult}
-              keyExtractor={(item) => item.id}
-              style={styles.resultsList}
-              keyboardShouldPersistTaps="handled"
-            />
+            <>
+              {isOffline && (
+                <Text style={styles.offlineNotice}>
+                  Offline: showing places you've used before
+                </Text>
+              )}
+              <FlatList
+                data={searchResults}
+                renderItem={renderSearchResult}
+                keyExtractor={(item) => item.id}
+                style={styles.resultsList}
+                keyboardShouldPersistTaps="handled"
+              />
+            </>
           ) : (
             renderEmptyResults()
           )}
@@ -222,7 +155,7 @@ const SearchBar = ({ onLocationSelect, onClear, placeholder = 'Search location..
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     zIndex: 1000,
   },
@@ -269,6 +202,12 @@ const styles = StyleSheet.create({
   resultsList: {
     borderRadius: borderRadius.md,
   },
+  offlineNotice: {
+    ...typography.caption,
+    color: colors.warning,
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.sm,
+  },
   resultItem: {
     flexDirection: 'row',
     alignItems: 'center',
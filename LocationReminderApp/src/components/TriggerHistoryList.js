@@ -0,0 +1,100 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing } from '../styles/styles';
+import { TRIGGER_OUTCOMES, formatTriggerOutcome, formatTriggerEvent } from '../utils/triggerHistoryUtils';
+
+const TriggerHistoryList = ({ events, testID }) => {
+  const styles = useThemedStyles(createStyles);
+  const formatTimestamp = (timestamp) => {
+    return new Date(timestamp).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (!events || events.length === 0) {
+    return (
+      <View style={styles.emptyContainer} testID={testID}>
+        <Text style={styles.emptyText}>No triggers recorded yet</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} nestedScrollEnabled={true} testID={testID}>
+      {events.map((event, index) => {
+        const outcome = formatTriggerOutcome(event.outcome);
+        return (
+          <View key={`${event.timestamp}-${index}`} style={styles.event}>
+            <Text style={styles.icon}>{outcome.icon}</Text>
+            <View style={styles.details}>
+              <Text style={[
+                styles.outcome,
+                event.outcome === TRIGGER_OUTCOMES.NOTIFIED && styles.outcomeNotified
+              ]}>
+                {outcome.label}
+              </Text>
+              <Text style={styles.meta}>{formatTriggerEvent(event)}</Text>
+            </View>
+            <Text style={styles.time}>{formatTimestamp(event.timestamp)}</Text>
+          </View>
+        );
+      })}
+    </ScrollView>
+  );
+};
+
+const createStyles = ({ colors, typography }) => StyleSheet.create({
+  container: {
+    maxHeight: 220,
+  },
+  emptyContainer: {
+    paddingVertical: spacing.md,
+    alignItems: 'center',
+  },
+  emptyText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+  },
+  event: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.xs,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  icon: {
+    fontSize: 16,
+    marginRight: spacing.sm,
+  },
+  details: {
+    flex: 1,
+  },
+  outcome: {
+    ...typography.body2,
+    color: colors.text,
+  },
+  outcomeNotified: {
+    color: colors.success,
+    fontWeight: '600',
+  },
+  meta: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  time: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginLeft: spacing.sm,
+  },
+});
+
+export default TriggerHistoryList;
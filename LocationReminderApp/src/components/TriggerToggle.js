@@ -0,0 +1,179 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+} from 'react-native';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+
+const TRIGGER_OPTIONS = [
+  { type: 'ENTER', icon: '📍', label: 'Arrive' },
+  { type: 'EXIT', icon: '🚶', label: 'Leave' },
+  { type: 'BOTH', icon: '🔁', label: 'Both' },
+  { type: 'DWELL', icon: '⏱️', label: 'Stay' },
+];
+
+const DWELL_PRESETS = [5, 10, 15, 30, 60];
+
+const TriggerToggle = ({
+  selectedTrigger,
+  onTriggerChange,
+  dwellMinutes,
+  onDwellMinutesChange,
+  testID,
+}) => {
+  const styles = useThemedStyles(createStyles);
+  const handleTriggerSelect = (type) => {
+    if (type !== selectedTrigger) {
+      onTriggerChange(type);
+    }
+  };
+
+  const getDescription = () => {
+    switch (selectedTrigger) {
+      case 'EXIT':
+        return 'Remind me when I leave this location';
+      case 'BOTH':
+        return 'Remind me when I arrive at and when I leave this location';
+      case 'DWELL':
+        return `Remind me after I've stayed at this location for ${dwellMinutes} minutes`;
+      default:
+        return 'Remind me when I arrive at this location';
+    }
+  };
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <View style={styles.toggleContainer}>
+        {TRIGGER_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.type}
+            style={[styles.option, selectedTrigger === option.type && styles.selectedOption]}
+            onPress={() => handleTriggerSelect(option.type)}
+            testID={`${testID}-${option.type.toLowerCase()}`}
+          >
+            <Text style={styles.optionIcon}>{option.icon}</Text>
+            <Text style={[
+              styles.optionText,
+              selectedTrigger === option.type && styles.selectedOptionText
+            ]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {selectedTrigger === 'DWELL' && (
+        <View style={styles.dwellContainer}>
+          <Text style={styles.dwellLabel}>Stay for:</Text>
+          <View style={styles.dwellButtons}>
+            {DWELL_PRESETS.map((minutes) => (
+              <TouchableOpacity
+                key={minutes}
+                style={[
+                  styles.dwellButton,
+                  dwellMinutes === minutes && styles.dwellButtonActive,
+                ]}
+                onPress={() => onDwellMinutesChange(minutes)}
+                activeOpacity={0.7}
+              >
+                <Text style={[
+                  styles.dwellButtonText,
+                  dwellMinutes === minutes && styles.dwellButtonTextActive,
+                ]}>
+                  {minutes < 60 ? `${minutes}m` : `${minutes / 60}h`}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      <Text style={styles.description}>{getDescription()}</Text>
+    </View>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  container: {
+    marginVertical: spacing.xs,
+  },
+  toggleContainer: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.lg,
+    padding: spacing.xs,
+    ...shadows.small,
+  },
+  option: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.xs,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  selectedOption: {
+    backgroundColor: colors.surface,
+    ...shadows.medium,
+  },
+  optionIcon: {
+    fontSize: 20,
+    marginBottom: spacing.xs,
+  },
+  optionText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    fontWeight: '500',
+    textAlign: 'center',
+  },
+  selectedOptionText: {
+    color: colors.text,
+    fontWeight: '600',
+  },
+  dwellContainer: {
+    marginTop: spacing.sm,
+  },
+  dwellLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  dwellButtons: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  dwellButton: {
+    flex: 1,
+    paddingVertical: spacing.xs,
+    marginHorizontal: spacing.xs / 2,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  dwellButtonActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  dwellButtonText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  dwellButtonTextActive: {
+    color: colors.surface,
+  },
+  description: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginTop: spacing.sm,
+    lineHeight: 16,
+    paddingHorizontal: spacing.sm,
+  },
+});
+
+export default TriggerToggle;
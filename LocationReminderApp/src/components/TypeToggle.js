@@ -6,9 +6,11 @@ import {
   StyleSheet,
   Animated,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows } from '../styles/styles';
+import { useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 
 const TypeToggle = ({ selectedType, onTypeChange, testID }) => {
+  const styles = useThemedStyles(createStyles);
   const slideAnimation = React.useRef(new Animated.Value(selectedType === 'sentence' ? 0 : 1)).current;
 
   React.useEffect(() => {
@@ -85,7 +87,7 @@ const TypeToggle = ({ selectedType, onTypeChange, testID }) => {
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     marginVertical: spacing.xs,
   },
@@ -2,7 +2,13 @@ import React, { createContext, useContext, useState, useEffect, useCallback } fr
 import StorageService from '../services/StorageService';
 import GeofenceManager from '../services/GeofenceManager';
 import NotificationService from '../services/NotificationService';
-import { Alert } from 'react-native';
+import NotificationActionService, { NOTIFICATION_TAP } from '../services/NotificationActionService';
+import DeepLinkService from '../services/DeepLinkService';
+import BackupService from '../services/BackupService';
+import PermissionService from '../services/PermissionService';
+import { IMPORT_MODES } from '../utils/backupUtils';
+import { importLocations as parseLocationFile } from '../utils/geoFormats';
+import { Alert, AppState } from 'react-native';
 
 // Create the context
 const AppContext = createContext();
@@ -25,9 +31,16 @@ export const AppProvider = ({ children }) => {
   const [geofenceStatus, setGeofenceStatus] = useState({
     isMonitoring: false,
     activeGeofencesCount: 0,
+    armedGeofencesCount: 0,
+    samplingTier: null,
+    powerPolicy: null,
+    pausedGeofencesCount: 0,
     lastKnownLocation: null,
   });
   const [error, setError] = useState(null);
+  const [reminderRoute, setReminderRoute] = useState(null);
+  const [permissionStatus, setPermissionStatus] = useState(null);
+  const [showPermissions, setShowPermissions] = useState(false);
 
   // Initialize app
   useEffect(() => {
@@ -44,7 +57,7 @@ export const AppProvider = ({ children }) => {
       await StorageService.initialize();
 
       // Load reminders
-      const loadedReminders = await StorageService.getActiveReminders();
+      const loadedReminders = await StorageService.getReminders();
       setReminders(loadedReminders);
 
       // Load settings
@@ -75,7 +88,7 @@ export const AppProvider = ({ children }) => {
       setIsRefreshing(true);
       setError(null);
 
-      const loadedReminders = await StorageService.getActiveReminders();
+      const loadedReminders = await StorageService.getReminders();
       setReminders(loadedReminders);
 
       // Update geofence status
@@ -92,6 +105,65 @@ export const AppProvider = ({ children }) => {
     }
   }, []);
 
+  // Reload reminders changed from notification actions
+  useEffect(() => {
+    return NotificationActionService.addListener((reminderId, action) => {
+      if (action !== NOTIFICATION_TAP) {
+        refreshReminders();
+      }
+    });
+  }, [refreshReminders]);
+
+  // Reload reminders when the geofence engine records a trigger, so counts and
+  // recurrence state stay current
+  useEffect(() => {
+    return GeofenceManager.addTriggerListener(() => {
+      refreshReminders();
+    });
+  }, [refreshReminders]);
+
+  // Show when low battery pauses reminders or degrades monitoring
+  useEffect(() => {
+    return GeofenceManager.addPowerPolicyListener(() => {
+      setGeofenceStatus(GeofenceManager.getMonitoringStatus());
+    });
+  }, []);
+
+  // Keep the reminder requested by a notification tap or georem:// link
+  useEffect(() => {
+    return DeepLinkService.addListener((route) => {
+      setReminderRoute(route);
+    });
+  }, []);
+
+  // Clear the route once the reminder has been shown or dismissed
+  const clearReminderRoute = useCallback(() => {
+    setReminderRoute(null);
+  }, []);
+
+  // Keep the permission status current, whoever checked it
+  useEffect(() => {
+    const removeListener = PermissionService.addListener(setPermissionStatus);
+    PermissionService.checkPermissions();
+    return removeListener;
+  }, []);
+
+  // Re-check permissions and restart monitoring to match them
+  const recheckPermissions = useCallback(async () => {
+    await GeofenceManager.recheckPermissions();
+    setGeofenceStatus(GeofenceManager.getMonitoringStatus());
+  }, []);
+
+  // Permissions may have been changed in the system settings while the app was away
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        recheckPermissions();
+      }
+    });
+    return () => subscription.remove();
+  }, [recheckPermissions]);
+
   // Add a new reminder
   const addReminder = useCallback(async (reminderData) => {
     try {
@@ -144,10 +216,12 @@ export const AppProvider = ({ children }) => {
           )
         );
 
-        // Update geofence if location changed
-        if (updates.locationData) {
-          await GeofenceManager.removeGeofence(id);
-          await GeofenceManager.addGeofence(updatedReminder);
+        // Keep the geofence in sync without losing its trigger history
+        if (updatedReminder.isActive) {
+          await GeofenceManager.updateGeofence(updatedReminder);
+
+          const status = GeofenceManager.getMonitoringStatus();
+          setGeofenceStatus(status);
         }
 
         return updatedReminder;
@@ -287,6 +361,16 @@ export const AppProvider = ({ children }) => {
     }
   }, []);
 
+  // Get the trigger history of a reminder, newest first
+  const getTriggerHistory = useCallback(async (reminderId) => {
+    try {
+      return await StorageService.getTriggerHistory(reminderId);
+    } catch (error) {
+      console.error('Error loading trigger history:', error);
+      return [];
+    }
+  }, []);
+
   // Update settings
   const updateSettings = useCallback(async (newSettings) => {
     try {
@@ -301,6 +385,10 @@ export const AppProvider = ({ children }) => {
         if (newSettings.notificationsEnabled === false) {
           await NotificationService.cancelAllNotifications();
         }
+
+        // Restart monitoring if the location accuracy or geofencing mode changed
+        await GeofenceManager.applySettings(newSettings);
+        setGeofenceStatus(GeofenceManager.getMonitoringStatus());
         
         return true;
       }
@@ -346,6 +434,10 @@ export const AppProvider = ({ children }) => {
                   setGeofenceStatus({
                     isMonitoring: false,
                     activeGeofencesCount: 0,
+                    armedGeofencesCount: 0,
+                    samplingTier: null,
+                    powerPolicy: null,
+                    pausedGeofencesCount: 0,
                     lastKnownLocation: null,
                   });
 
@@ -371,8 +463,7 @@ export const AppProvider = ({ children }) => {
   const exportData = useCallback(async () => {
     try {
       setError(null);
-      const data = await StorageService.exportData();
-      return data;
+      return await BackupService.exportToFile();
     } catch (error) {
       console.error('Error exporting data:', error);
       setError('Failed to export data');
@@ -382,28 +473,90 @@ export const AppProvider = ({ children }) => {
   }, []);
 
   // Import data
-  const importData = useCallback(async (data) => {
+  const importData = useCallback(async (data, mode = IMPORT_MODES.MERGE) => {
     try {
       setError(null);
 
-      const success = await StorageService.importData(data);
-      
-      if (success) {
-        // Reload app data
-        await initializeApp();
-        Alert.alert('Success', 'Data imported successfully!');
-        return true;
+      const result = await StorageService.importData(data, mode);
+
+      // Register geofences for the imported active reminders
+      await GeofenceManager.syncGeofences(result.reminders);
+      if (mode === IMPORT_MODES.REPLACE) {
+        await GeofenceManager.applySettings(await StorageService.getSettings());
       }
-      
-      return false;
+
+      // Reload app data
+      await initializeApp();
+
+      const notes = [];
+      if (result.duplicates.length > 0) {
+        notes.push(`${result.duplicates.length} already existed and were skipped.`);
+      }
+      if (result.skipped.length > 0) {
+        notes.push(`${result.skipped.length} were invalid and were skipped.`);
+      }
+      Alert.alert(
+        'Import Complete',
+        [`Imported ${result.added.length} reminder${result.added.length === 1 ? '' : 's'}.`, ...notes].join('\n')
+      );
+      return result;
     } catch (error) {
       console.error('Error importing data:', error);
       setError('Failed to import data');
-      Alert.alert('Error', 'Failed to import data. Please check the file and try again.');
+      Alert.alert('Import Failed', error.message || 'Failed to import data. Please check the file and try again.');
+      throw error;
+    }
+  }, []);
+
+  // Export reminder locations as a GeoJSON, KML or GPX file
+  const exportLocations = useCallback(async (format) => {
+    try {
+      setError(null);
+      return await BackupService.exportLocationsToFile(format);
+    } catch (error) {
+      console.error('Error exporting locations:', error);
+      setError('Failed to export locations');
+      Alert.alert('Export Failed', error.message || 'Failed to export locations. Please try again.');
       throw error;
     }
   }, []);
 
+  // Import places from a GeoJSON, KML or GPX file as draft reminders
+  const importLocations = useCallback(async (file) => {
+    try {
+      setError(null);
+
+      const { drafts, skipped } = parseLocationFile(file.contents, file.name);
+      if (drafts.length === 0) {
+        throw new Error('No places were found in this file.');
+      }
+
+      const result = await StorageService.importReminders(drafts);
+      await refreshReminders();
+
+      const notes = [];
+      if (result.duplicates.length > 0) {
+        notes.push(`${result.duplicates.length} already existed and were skipped.`);
+      }
+      if (skipped > 0) {
+        notes.push(`${skipped} had no usable location and were skipped.`);
+      }
+      Alert.alert(
+        'Places Imported',
+        [
+          `Added ${result.added.length} draft reminder${result.added.length === 1 ? '' : 's'}. Review them and turn them on to start reminders.`,
+          ...notes,
+        ].join('\n')
+      );
+      return result;
+    } catch (error) {
+      console.error('Error importing locations:', error);
+      setError('Failed to import locations');
+      Alert.alert('Import Failed', error.message || 'Failed to import locations. Please check the file and try again.');
+      throw error;
+    }
+  }, [refreshReminders]);
+
   // Context value
   const value = {
     // State
@@ -413,6 +566,9 @@ export const AppProvider = ({ children }) => {
     settings,
     geofenceStatus,
     error,
+    reminderRoute,
+    permissionStatus,
+    showPermissions,
 
     // Actions
     refreshReminders,
@@ -421,10 +577,16 @@ export const AppProvider = ({ children }) => {
     deleteReminder,
     toggleReminderStatus,
     updateChecklistItem,
+    getTriggerHistory,
     updateSettings,
     clearAllData,
     exportData,
     importData,
+    exportLocations,
+    importLocations,
+    clearReminderRoute,
+    recheckPermissions,
+    setShowPermissions,
   };
 
   return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
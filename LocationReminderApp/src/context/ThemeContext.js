@@ -0,0 +1,37 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { useColorScheme } from 'react-native';
+import { useApp } from './AppContext';
+import { THEME_MODES, createTheme } from '../styles/styles';
+
+// Create the context. Components outside the provider get the light theme
+const ThemeContext = createContext(createTheme(THEME_MODES.LIGHT));
+
+// Resolve the theme setting to a light or dark color scheme
+export const resolveColorScheme = (preference, systemScheme) => {
+  if (preference === THEME_MODES.LIGHT || preference === THEME_MODES.DARK) {
+    return preference;
+  }
+  return systemScheme === 'dark' ? THEME_MODES.DARK : THEME_MODES.LIGHT;
+};
+
+// Custom hook to use the current theme
+export const useTheme = () => useContext(ThemeContext);
+
+// Custom hook to build a component's styles from the current theme
+export const useThemedStyles = (createStyles) => {
+  const theme = useTheme();
+  return useMemo(() => createStyles(theme), [theme, createStyles]);
+};
+
+// Theme Provider component, driven by the theme setting
+export const ThemeProvider = ({ children }) => {
+  const { settings } = useApp();
+  const systemScheme = useColorScheme();
+  const scheme = resolveColorScheme(settings?.theme || THEME_MODES.SYSTEM, systemScheme);
+
+  const theme = useMemo(() => createTheme(scheme), [scheme]);
+
+  return <ThemeContext.Provider value={theme}>{children}</ThemeContext.Provider>;
+};
+
+export default ThemeContext;
@@ -0,0 +1,131 @@
+import React from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import GeocodingService from '../../services/GeocodingService';
+import { SEARCH_DEBOUNCE_MS, usePlaceSearch } from '../usePlaceSearch';
+
+jest.mock('../../services/GeocodingService', () => ({
+  __esModule: true,
+  MIN_QUERY_LENGTH: 2,
+  default: { search: jest.fn() },
+}));
+
+const place = (name, source = 'nominatim') => ({ id: name, name, address: name, latitude: 52.37, longitude: 4.89, source });
+
+// A search that only finishes when the test resolves it
+const deferSearch = () => {
+  let resolve;
+  let signal;
+  GeocodingService.search.mockImplementationOnce((query, options) => {
+    signal = options.signal;
+    return new Promise((done) => {
+      resolve = done;
+    });
+  });
+  return {
+    resolve: places => act(async () => resolve(places)),
+    get signal() {
+      return signal;
+    },
+  };
+};
+
+// Render the hook and return a getter for its latest value
+const renderSearch = (options) => {
+  const hook = {};
+  const Probe = () => {
+    hook.current = usePlaceSearch(options);
+    return null;
+  };
+  act(() => {
+    TestRenderer.create(<Probe />);
+  });
+  return hook;
+};
+
+const type = (hook, text) => act(() => hook.current.setQuery(text));
+const waitFor = ms => act(async () => {
+  jest.advanceTimersByTime(ms);
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  GeocodingService.search.mockReset();
+  GeocodingService.search.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('usePlaceSearch', () => {
+  it('searches once typing has paused for the debounce delay', async () => {
+    const hook = renderSearch();
+
+    type(hook, 'co');
+    await waitFor(200);
+    type(hook, 'cor');
+    await waitFor(200);
+    type(hook, 'corner');
+    await waitFor(SEARCH_DEBOUNCE_MS - 1);
+    expect(GeocodingService.search).not.toHaveBeenCalled();
+
+    await waitFor(1);
+    expect(GeocodingService.search).toHaveBeenCalledTimes(1);
+    expect(GeocodingService.search.mock.calls[0][0]).toBe('corner');
+  });
+
+  it('does not search for queries that are too short', async () => {
+    const hook = renderSearch();
+
+    type(hook, 'c');
+    await waitFor(SEARCH_DEBOUNCE_MS);
+
+    expect(GeocodingService.search).not.toHaveBeenCalled();
+  });
+
+  it('cancels a running search when the query changes', async () => {
+    const hook = renderSearch();
+    const first = deferSearch();
+
+    type(hook, 'corner');
+    await waitFor(SEARCH_DEBOUNCE_MS);
+    expect(first.signal.aborted).toBe(false);
+
+    type(hook, 'corner shop');
+    expect(first.signal.aborted).toBe(true);
+  });
+
+  it('drops the results of a superseded search', async () => {
+    const hook = renderSearch();
+    const first = deferSearch();
+    const second = deferSearch();
+
+    type(hook, 'corner');
+    await waitFor(SEARCH_DEBOUNCE_MS);
+    type(hook, 'corner shop');
+    await waitFor(SEARCH_DEBOUNCE_MS);
+
+    await second.resolve([place('Corner shop')]);
+    await first.resolve([place('Corner bakery')]);
+
+    expect(hook.current.results.map(result => result.name)).toEqual(['Corner shop']);
+    expect(hook.current.isSearching).toBe(false);
+  });
+
+  it('clears the results and cancels a pending search', async () => {
+    const hook = renderSearch();
+    GeocodingService.search.mockResolvedValueOnce([place('Corner shop', 'history')]);
+
+    type(hook, 'corner');
+    await waitFor(SEARCH_DEBOUNCE_MS);
+    expect(hook.current.isOffline).toBe(true);
+
+    type(hook, 'corner shop');
+    act(() => hook.current.clear());
+    await waitFor(SEARCH_DEBOUNCE_MS);
+
+    expect(GeocodingService.search).toHaveBeenCalledTimes(1);
+    expect(hook.current.results).toEqual([]);
+    expect(hook.current.query).toBe('');
+  });
+});
@@ -0,0 +1,112 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import GeocodingService, { MIN_QUERY_LENGTH } from '../services/GeocodingService';
+import { isAbortError, isLocalPlace } from '../services/geocodingProviders';
+
+// Wait this long after the last keystroke before searching
+export const SEARCH_DEBOUNCE_MS = 500;
+
+// Debounced place search. A newer query cancels the search still running for an older one
+export const usePlaceSearch = ({ limit = 5, near = null, delay = SEARCH_DEBOUNCE_MS } = {}) => {
+  const [query, setQueryText] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [hasSearched, setHasSearched] = useState(false);
+  const timeoutRef = useRef(null);
+  const controllerRef = useRef(null);
+
+  // Keep the latest location without restarting the debounce when it changes
+  const nearRef = useRef(near);
+  nearRef.current = near;
+
+  // Stop the pending and running searches
+  const cancel = useCallback(() => {
+    if (timeoutRef.current) {
+      clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
+    }
+    if (controllerRef.current) {
+      controllerRef.current.abort();
+      controllerRef.current = null;
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    cancel();
+    setResults([]);
+    setIsSearching(false);
+    setHasSearched(false);
+  }, [cancel]);
+
+  const runSearch = useCallback(async (text) => {
+    if (text.trim().length < MIN_QUERY_LENGTH) {
+      reset();
+      return;
+    }
+
+    cancel();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsSearching(true);
+
+    try {
+      const places = await GeocodingService.search(text, {
+        limit,
+        near: nearRef.current,
+        signal: controller.signal,
+      });
+      if (!controller.signal.aborted) {
+        setResults(places);
+        setHasSearched(true);
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.error('Search error:', error);
+        setResults([]);
+        setHasSearched(true);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsSearching(false);
+      }
+    }
+  }, [cancel, reset, limit]);
+
+  // Update the query and search once typing pauses. Pass search: false to
+  // only show the text, e.g. the name of the place that was picked
+  const setQuery = useCallback((text, { search = true } = {}) => {
+    setQueryText(text);
+    cancel();
+
+    if (!search || text.trim().length < MIN_QUERY_LENGTH) {
+      reset();
+      return;
+    }
+    timeoutRef.current = setTimeout(() => runSearch(text), delay);
+  }, [cancel, reset, runSearch, delay]);
+
+  // Search right away, e.g. when the keyboard's search key is pressed
+  const searchNow = useCallback(() => runSearch(query), [runSearch, query]);
+
+  const clear = useCallback(() => {
+    reset();
+    setQueryText('');
+  }, [reset]);
+
+  // Don't update state after unmounting
+  useEffect(() => cancel, [cancel]);
+
+  return {
+    query,
+    setQuery,
+    results,
+    isSearching,
+    hasSearched,
+    // True when the results only come from places saved on the device
+    isOffline: results.length > 0 && results.every(isLocalPlace),
+    searchNow,
+    clear,
+  };
+};
+
+export default usePlaceSearch;
@@ -11,30 +11,73 @@ import {
   Platform,
   StyleSheet,
   Modal,
+  Switch,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
-import { colors, typography, spacing, borderRadius, shadows, globalStyles } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 import TypeToggle from '../components/TypeToggle';
+import TriggerToggle from '../components/TriggerToggle';
+import ScheduleEditor from '../components/ScheduleEditor';
+import RecurrenceToggle from '../components/RecurrenceToggle';
 import ChecklistItem from '../components/ChecklistItem';
 import LocationSelectionScreenSearch from './LocationSelectionScreenSearch';
+import LocationSelectionScreen from './LocationSelectionScreen';
 import RadiusSelector from '../components/RadiusSelector';
 import QuickLocationPicker from '../components/QuickLocationPicker';
+import CategoryPicker from '../components/CategoryPicker';
 import GeofenceManager from '../services/GeofenceManager';
+import { validateSchedule as getScheduleError } from '../utils/scheduleUtils';
+import { createDefaultRecurrence } from '../utils/recurrenceUtils';
+import { formatCategoryLocation } from '../utils/placeCategories';
+
+// Where a reminder triggers: one chosen place, or any place of a category
+const LOCATION_MODES = [
+  { mode: 'place', icon: '📍', label: 'A specific place' },
+  { mode: 'category', icon: '🏷️', label: 'Any place of a kind' },
+];
+
+// Build the initial location selection from an existing reminder
+const getInitialLocation = (reminder) => {
+  if (!reminder?.locationData || reminder.locationData.category) return null;
+  return {
+    ...reminder.locationData,
+    address: reminder.locationData.address || reminder.location,
+  };
+};
+
+const CreateReminderScreen = ({ navigation, onSave, reminder, defaultRadius = 100 }) => {
+  const { colors, globalStyles, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  // When a reminder is passed in, the screen edits it instead of creating a new one
+  const isEditing = !!reminder;
 
-const CreateReminderScreen = ({ navigation, onSave }) => {
   // State management
-  const [reminderTitle, setReminderTitle] = useState('');
-  const [reminderType, setReminderType] = useState('sentence'); // 'sentence' or 'checklist'
-  const [singleSentence, setSingleSentence] = useState('');
-  const [checklistItems, setChecklistItems] = useState([
-    { id: '1', text: '', completed: false }
-  ]);
-  const [selectedLocation, setSelectedLocation] = useState(null);
-  const [geofenceRadius, setGeofenceRadius] = useState(100); // Default 100m radius
+  const [reminderTitle, setReminderTitle] = useState(reminder?.title || '');
+  const [reminderType, setReminderType] = useState(reminder?.type || 'sentence'); // 'sentence' or 'checklist'
+  const [singleSentence, setSingleSentence] = useState(
+    reminder?.type === 'sentence' ? reminder.content : ''
+  );
+  const [checklistItems, setChecklistItems] = useState(
+    reminder?.type === 'checklist' && reminder.content.length > 0
+      ? reminder.content
+      : [{ id: '1', text: '', completed: false }]
+  );
+  const [locationMode, setLocationMode] = useState(reminder?.locationData?.category ? 'category' : 'place');
+  const [selectedLocation, setSelectedLocation] = useState(getInitialLocation(reminder));
+  const [placeCategory, setPlaceCategory] = useState(reminder?.locationData?.category || null);
+  const [geofenceRadius, setGeofenceRadius] = useState(reminder?.locationData?.radius || defaultRadius);
+  const [triggerType, setTriggerType] = useState(reminder?.geofence?.transitionType || 'ENTER'); // 'ENTER', 'EXIT', 'BOTH' or 'DWELL'
+  const [dwellMinutes, setDwellMinutes] = useState(reminder?.geofence?.dwellMinutes || 10);
+  const [schedule, setSchedule] = useState(reminder?.schedule || null); // null means any time
+  const [recurrence, setRecurrence] = useState(reminder?.recurrence || createDefaultRecurrence());
+  const [isCritical, setIsCritical] = useState(!!reminder?.isCritical); // keeps being watched on low battery
   const [titleError, setTitleError] = useState('');
   const [contentError, setContentError] = useState('');
   const [locationError, setLocationError] = useState('');
+  const [scheduleError, setScheduleError] = useState('');
   const [showLocationModal, setShowLocationModal] = useState(false);
+  const [showAreaModal, setShowAreaModal] = useState(false);
 
   // Validation functions
   const validateTitle = (title) => {
@@ -68,6 +111,14 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
   };
 
   const validateLocation = () => {
+    if (locationMode === 'category') {
+      if (!placeCategory) {
+        setLocationError('Please choose a kind of place for your reminder');
+        return false;
+      }
+      setLocationError('');
+      return true;
+    }
     if (!selectedLocation) {
       setLocationError('Please select a location for your reminder');
       return false;
@@ -76,6 +127,12 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
     return true;
   };
 
+  const validateSchedule = () => {
+    const error = getScheduleError(schedule);
+    setScheduleError(error || '');
+    return !error;
+  };
+
   // Checklist management functions
   const addChecklistItem = () => {
     const newItem = {
@@ -115,46 +172,90 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
     setShowLocationModal(false);
   };
 
+  const handleAreaPress = () => {
+    setShowAreaModal(true);
+  };
+
+  const handleAreaSelect = (location) => {
+    setSelectedLocation(location);
+    if (locationError) setLocationError('');
+    setShowAreaModal(false);
+  };
+
+  const handleAreaModalClose = () => {
+    setShowAreaModal(false);
+  };
+
   // Save handler
   const handleSave = async () => {
     const isTitleValid = validateTitle(reminderTitle);
     const isContentValid = validateContent();
     const isLocationValid = validateLocation();
+    const isScheduleValid = validateSchedule();
 
-    if (!isTitleValid || !isContentValid || !isLocationValid) {
+    if (!isTitleValid || !isContentValid || !isLocationValid || !isScheduleValid) {
       return;
     }
 
-    const newReminder = {
-      id: Date.now().toString(),
+    const reminderData = {
       title: reminderTitle.trim(),
       type: reminderType,
       content: reminderType === 'sentence' 
         ? singleSentence.trim()
         : checklistItems.filter(item => item.text.trim()),
-      location: selectedLocation.address || `${selectedLocation.latitude.toFixed(6)}, ${selectedLocation.longitude.toFixed(6)}`,
-      locationData: {
-        ...selectedLocation,
-        radius: geofenceRadius,
-      },
-      geofence: {
-        id: `geofence_${Date.now()}`,
-        isActive: true,
-        triggeredCount: 0,
-        lastTriggered: null,
-        transitionType: 'ENTER',
-        createdAt: new Date().toISOString(),
-      },
-      isActive: true,
-      createdAt: new Date().toISOString(),
+      ...(locationMode === 'category'
+        ? {
+            // The geofences follow the nearest matching places, see GeofenceManager
+            location: formatCategoryLocation(placeCategory),
+            locationData: {
+              category: placeCategory,
+              radius: geofenceRadius,
+            },
+          }
+        : {
+            location: selectedLocation.address || `${selectedLocation.latitude.toFixed(6)}, ${selectedLocation.longitude.toFixed(6)}`,
+            locationData: {
+              ...selectedLocation,
+              radius: geofenceRadius,
+            },
+          }),
+      schedule,
+      recurrence,
+      isCritical,
     };
 
-    console.log('Saving reminder:', newReminder);
+    // Edits keep the reminder's identity, status and trigger history
+    const savedReminder = isEditing
+      ? {
+          ...reminderData,
+          geofence: {
+            ...reminder.geofence,
+            transitionType: triggerType,
+            dwellMinutes: triggerType === 'DWELL' ? dwellMinutes : null,
+          },
+        }
+      : {
+          ...reminderData,
+          id: Date.now().toString(),
+          geofence: {
+            id: `geofence_${Date.now()}`,
+            isActive: true,
+            triggeredCount: 0,
+            lastTriggered: null,
+            transitionType: triggerType,
+            dwellMinutes: triggerType === 'DWELL' ? dwellMinutes : null,
+            createdAt: new Date().toISOString(),
+          },
+          isActive: true,
+          createdAt: new Date().toISOString(),
+        };
+
+    console.log('Saving reminder:', savedReminder);
     
     // Call the onSave callback which will handle adding to storage and geofence
     if (onSave) {
       try {
-        await onSave(newReminder);
+        await onSave(savedReminder);
         // Navigation is handled by the parent component after successful save
       } catch (error) {
         console.error('Error saving reminder:', error);
@@ -164,7 +265,7 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
   };
 
   const handleCancel = () => {
-    if (reminderTitle.trim() || singleSentence.trim() || checklistItems.some(item => item.text.trim()) || selectedLocation) {
+    if (reminderTitle.trim() || singleSentence.trim() || checklistItems.some(item => item.text.trim()) || selectedLocation || placeCategory) {
       Alert.alert(
         'Discard Changes',
         'Are you sure you want to discard your changes?',
@@ -187,7 +288,7 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
       <TouchableOpacity onPress={handleCancel} style={styles.headerButton}>
         <Text style={styles.headerButtonText}>Cancel</Text>
       </TouchableOpacity>
-      <Text style={styles.headerTitle}>Create Reminder</Text>
+      <Text style={styles.headerTitle}>{isEditing ? 'Edit Reminder' : 'Create Reminder'}</Text>
       <TouchableOpacity onPress={handleSave} style={styles.headerButton}>
         <Text style={[styles.headerButtonText, styles.saveButton]}>Save</Text>
       </TouchableOpacity>
@@ -224,6 +325,66 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
     </View>
   );
 
+  const renderTriggerToggle = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Trigger</Text>
+      <TriggerToggle
+        selectedTrigger={triggerType}
+        onTriggerChange={setTriggerType}
+        dwellMinutes={dwellMinutes}
+        onDwellMinutesChange={setDwellMinutes}
+        testID="trigger-toggle"
+      />
+    </View>
+  );
+
+  const renderRecurrenceToggle = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Repeat</Text>
+      <RecurrenceToggle
+        recurrence={recurrence}
+        onRecurrenceChange={setRecurrence}
+        testID="recurrence-toggle"
+      />
+    </View>
+  );
+
+  const renderCriticalToggle = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Low Battery</Text>
+      <View style={styles.switchRow}>
+        <View style={styles.switchText}>
+          <Text style={styles.switchLabel}>Critical reminder</Text>
+          <Text style={styles.switchDescription}>
+            Keep watching this place when low battery pauses other reminders
+          </Text>
+        </View>
+        <Switch
+          value={isCritical}
+          onValueChange={setIsCritical}
+          trackColor={{ false: colors.border, true: colors.primary }}
+          thumbColor={isCritical ? colors.surface : colors.textSecondary}
+          testID="critical-toggle"
+        />
+      </View>
+    </View>
+  );
+
+  const renderScheduleEditor = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Schedule</Text>
+      <ScheduleEditor
+        schedule={schedule}
+        onScheduleChange={(value) => {
+          setSchedule(value);
+          if (scheduleError) setScheduleError('');
+        }}
+        error={scheduleError}
+        testID="schedule-editor"
+      />
+    </View>
+  );
+
   const renderSentenceInput = () => (
     <View style={styles.section}>
       <Text style={styles.sectionLabel}>Description</Text>
@@ -275,9 +436,53 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
     if (locationError) setLocationError('');
   };
 
+  const handleLocationModeChange = (mode) => {
+    setLocationMode(mode);
+    if (locationError) setLocationError('');
+  };
+
+  const handleCategoryChange = (category) => {
+    setPlaceCategory(category);
+    if (locationError) setLocationError('');
+  };
+
+  const renderLocationModeToggle = () => (
+    <View style={styles.modeToggle}>
+      {LOCATION_MODES.map((option) => (
+        <TouchableOpacity
+          key={option.mode}
+          style={[styles.modeOption, locationMode === option.mode && styles.selectedModeOption]}
+          onPress={() => handleLocationModeChange(option.mode)}
+          testID={`location-mode-${option.mode}`}
+        >
+          <Text style={[
+            styles.modeOptionText,
+            locationMode === option.mode && styles.selectedModeOptionText,
+          ]}>
+            {option.icon} {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderCategorySelector = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Location</Text>
+      {renderLocationModeToggle()}
+      <CategoryPicker
+        selectedCategory={placeCategory}
+        onCategoryChange={handleCategoryChange}
+        error={locationError}
+        testID="category-picker"
+      />
+    </View>
+  );
+
   const renderLocationSelector = () => (
     <View style={styles.section}>
       <Text style={styles.sectionLabel}>Location</Text>
+      {renderLocationModeToggle()}
       
       {/* Quick Location Picker */}
       <QuickLocationPicker
@@ -309,12 +514,24 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
           <Text style={styles.locationArrow}>›</Text>
         </View>
       </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.areaButton}
+        onPress={handleAreaPress}
+        activeOpacity={0.7}
+      >
+        <Text style={styles.areaButtonText}>
+          {selectedLocation?.polygon ? '✏️ Edit area outline' : '✏️ Draw an area on the map instead'}
+        </Text>
+      </TouchableOpacity>
       {locationError ? <Text style={styles.errorText}>{locationError}</Text> : null}
     </View>
   );
 
   const renderRadiusSelector = () => {
-    if (!selectedLocation) return null;
+    const isCategory = locationMode === 'category';
+
+    // Polygon areas are bounded by their outline, not a radius
+    if (!isCategory && (!selectedLocation || selectedLocation.polygon)) return null;
     
     return (
       <View style={styles.section}>
@@ -322,7 +539,8 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
           radius={geofenceRadius}
           onRadiusChange={setGeofenceRadius}
           minRadius={50}
-          maxRadius={1000}
+          maxRadius={isCategory ? 500 : 1000}
+          label={isCategory ? 'Radius Around Each Place' : undefined}
         />
       </View>
     );
@@ -330,7 +548,7 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
 
   return (
     <SafeAreaView style={globalStyles.safeArea}>
-      <StatusBar style="dark" backgroundColor={colors.surface} />
+      <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
       {renderHeader()}
       
       <KeyboardAvoidingView 
@@ -345,12 +563,19 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
         >
           {renderTitleInput()}
           {renderTypeToggle()}
+          {renderTriggerToggle()}
           
           {reminderType === 'sentence' ? renderSentenceInput() : renderChecklistInput()}
           
-          {renderLocationSelector()}
+          {locationMode === 'category' ? renderCategorySelector() : renderLocationSelector()}
           
           {renderRadiusSelector()}
+
+          {renderScheduleEditor()}
+
+          {renderRecurrenceToggle()}
+
+          {renderCriticalToggle()}
           
           <View style={styles.bottomSpacing} />
         </ScrollView>
@@ -371,11 +596,28 @@ const CreateReminderScreen = ({ navigation, onSave }) => {
           initialLocation={selectedLocation}
         />
       </Modal>
+
+      {/* Area Drawing Modal */}
+      <Modal
+        visible={showAreaModal}
+        animationType="slide"
+        presentationStyle="fullScreen"
+        onRequestClose={handleAreaModalClose}
+      >
+        <LocationSelectionScreen
+          navigation={{
+            goBack: handleAreaModalClose
+          }}
+          onLocationSelect={handleAreaSelect}
+          initialLocation={selectedLocation?.polygon ? selectedLocation : null}
+          initialDrawingMode={true}
+        />
+      </Modal>
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -449,6 +691,34 @@ const styles = StyleSheet.create({
     marginTop: spacing.xs,
     marginLeft: spacing.xs,
   },
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.lg,
+    padding: spacing.xs,
+    marginBottom: spacing.sm,
+    ...shadows.small,
+  },
+  modeOption: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.xs,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+  },
+  selectedModeOption: {
+    backgroundColor: colors.surface,
+    ...shadows.medium,
+  },
+  modeOptionText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  selectedModeOptionText: {
+    color: colors.text,
+    fontWeight: '600',
+  },
   checklistHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -510,6 +780,15 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontWeight: '300',
   },
+  areaButton: {
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+  },
+  areaButtonText: {
+    ...typography.body2,
+    color: colors.primary,
+    fontWeight: '600',
+  },
   radiusContainer: {
     backgroundColor: colors.surface,
     borderWidth: 1,
@@ -531,6 +810,31 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     marginTop: spacing.xs,
   },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    ...shadows.small,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  switchLabel: {
+    ...typography.body1,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  switchDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
 });
 
 export default CreateReminderScreen;
@@ -9,20 +9,29 @@ import {
   Platform,
   StyleSheet,
 } from 'react-native';
-import MapView, { Marker } from 'react-native-maps';
-import { colors, typography, spacing, borderRadius, shadows, globalStyles } from '../styles/styles';
+import MapView, { Marker, Polygon, Polyline } from 'react-native-maps';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 import SearchBar from '../components/SearchBar';
 import LocationPin from '../components/LocationPin';
+import GeocodingService from '../services/GeocodingService';
+import PermissionService from '../services/PermissionService';
 import {
-  requestLocationPermission,
   getCurrentLocation,
   DEFAULT_LOCATION,
   formatCoordinates,
   isValidCoordinate,
+  getPolygonCenter,
 } from '../utils/locationUtils';
 
-const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation }) => {
+const MIN_POLYGON_POINTS = 3;
+
+const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation, initialDrawingMode = false }) => {
+  const { colors, globalStyles, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [selectedLocation, setSelectedLocation] = useState(null);
+  const [isDrawingMode, setIsDrawingMode] = useState(initialDrawingMode || !!initialLocation?.polygon);
+  const [polygonPoints, setPolygonPoints] = useState(initialLocation?.polygon || []);
   const [currentRegion, setCurrentRegion] = useState(initialLocation || DEFAULT_LOCATION);
   const [isLoading, setIsLoading] = useState(true);
   const [hasLocationPermission, setHasLocationPermission] = useState(false);
@@ -64,7 +73,7 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
       setIsLoading(true);
       
       // Request location permission
-      const permissionGranted = await requestLocationPermission();
+      const permissionGranted = await PermissionService.requestForegroundLocation();
       setHasLocationPermission(permissionGranted);
 
       if (permissionGranted) {
@@ -111,17 +120,37 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
 
   const handleMapPress = (event) => {
     const { coordinate } = event.nativeEvent;
+
+    // In drawing mode each tap adds a vertex to the outline
+    if (isDrawingMode) {
+      setPolygonPoints(points => [...points, coordinate]);
+      return;
+    }
+
     setSelectedLocation(coordinate);
     setSearchQuery(''); // Clear search when manually selecting
   };
 
+  const handleToggleDrawingMode = () => {
+    setIsDrawingMode(!isDrawingMode);
+  };
+
+  const handleUndoPoint = () => {
+    setPolygonPoints(points => points.slice(0, -1));
+  };
+
+  const handleClearPolygon = () => {
+    setPolygonPoints([]);
+  };
+
   const handleSearchLocationSelect = (location) => {
     const newLocation = {
       latitude: location.latitude,
       longitude: location.longitude,
     };
     
-    setSelectedLocation(newLocation);
+    // Keep the address of the search result so it doesn't need looking up again
+    setSelectedLocation({ ...newLocation, address: location.address });
     
     // Animate to selected location
     const region = {
@@ -138,7 +167,12 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
     setSearchQuery('');
   };
 
-  const handleConfirmLocation = () => {
+  const handleConfirmLocation = async () => {
+    if (isDrawingMode) {
+      handleConfirmPolygon();
+      return;
+    }
+
     if (!selectedLocation) {
       Alert.alert('No Location Selected', 'Please select a location on the map or search for one.');
       return;
@@ -147,7 +181,36 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
     const locationData = {
       latitude: selectedLocation.latitude,
       longitude: selectedLocation.longitude,
-      address: `${formatCoordinates(selectedLocation.latitude, selectedLocation.longitude)}`,
+      address: selectedLocation.address ||
+        await GeocodingService.getAddress(selectedLocation.latitude, selectedLocation.longitude),
+      timestamp: new Date().toISOString(),
+    };
+
+    if (onLocationSelect) {
+      onLocationSelect(locationData);
+    }
+
+    navigation?.goBack?.();
+  };
+
+  const handleConfirmPolygon = () => {
+    if (polygonPoints.length < MIN_POLYGON_POINTS) {
+      Alert.alert(
+        'Area Not Complete',
+        `Tap at least ${MIN_POLYGON_POINTS} points on the map to outline the area.`
+      );
+      return;
+    }
+
+    const center = getPolygonCenter(polygonPoints);
+    const locationData = {
+      latitude: center.latitude,
+      longitude: center.longitude,
+      address: `Custom area (${polygonPoints.length} points)`,
+      polygon: polygonPoints.map(point => ({
+        latitude: point.latitude,
+        longitude: point.longitude,
+      })),
       timestamp: new Date().toISOString(),
     };
 
@@ -208,6 +271,7 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
       <SearchBar
         onLocationSelect={handleSearchLocationSelect}
         onClear={handleSearchClear}
+        near={currentRegion}
         placeholder="Search for a location..."
       />
     </View>
@@ -223,7 +287,77 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
     </TouchableOpacity>
   );
 
+  const renderDrawModeButton = () => (
+    <TouchableOpacity
+      style={[styles.drawModeButton, isDrawingMode && styles.drawModeButtonActive]}
+      onPress={handleToggleDrawingMode}
+      activeOpacity={0.8}
+    >
+      <Text style={styles.myLocationButtonText}>{isDrawingMode ? '📍' : '✏️'}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderDrawingControls = () => (
+    <View style={styles.locationInfo}>
+      <Text style={styles.locationInfoTitle}>Draw Area</Text>
+      <Text style={styles.instructionsText}>
+        {polygonPoints.length < MIN_POLYGON_POINTS
+          ? `Tap the map to outline the area (${polygonPoints.length}/${MIN_POLYGON_POINTS} points)`
+          : `${polygonPoints.length} points · tap Confirm when the outline is complete`}
+      </Text>
+      <View style={styles.drawingActions}>
+        <TouchableOpacity
+          style={styles.drawingActionButton}
+          onPress={handleUndoPoint}
+          disabled={polygonPoints.length === 0}
+        >
+          <Text style={styles.drawingActionText}>Undo</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.drawingActionButton}
+          onPress={handleClearPolygon}
+          disabled={polygonPoints.length === 0}
+        >
+          <Text style={styles.drawingActionText}>Clear</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const renderPolygonOverlay = () => {
+    if (!isDrawingMode || polygonPoints.length === 0) return null;
+
+    return (
+      <>
+        {polygonPoints.length >= MIN_POLYGON_POINTS ? (
+          <Polygon
+            coordinates={polygonPoints}
+            strokeColor={colors.primary}
+            fillColor={colors.primary + '33'}
+            strokeWidth={2}
+          />
+        ) : (
+          <Polyline
+            coordinates={polygonPoints}
+            strokeColor={colors.primary}
+            strokeWidth={2}
+          />
+        )}
+        {polygonPoints.map((point, index) => (
+          <Marker
+            key={`vertex-${index}`}
+            coordinate={point}
+            anchor={{ x: 0.5, y: 0.5 }}
+          >
+            <View style={styles.vertex} />
+          </Marker>
+        ))}
+      </>
+    );
+  };
+
   const renderSelectedLocationInfo = () => {
+    if (isDrawingMode) return renderDrawingControls();
     if (!selectedLocation) return null;
 
     return (
@@ -237,7 +371,7 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
   };
 
   const renderInstructions = () => {
-    if (selectedLocation) return null;
+    if (selectedLocation || isDrawingMode) return null;
 
     return (
       <View style={styles.instructionsContainer}>
@@ -268,6 +402,7 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
         <MapView
           ref={mapRef}
           style={styles.map}
+          userInterfaceStyle={isDark ? 'dark' : 'light'}
           region={currentRegion}
           onPress={handleMapPress}
           onRegionChangeComplete={setCurrentRegion}
@@ -277,7 +412,8 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
           showsScale={true}
           mapType="standard"
         >
-          {selectedLocation && (
+          {renderPolygonOverlay()}
+          {selectedLocation && !isDrawingMode && (
             <Marker
               coordinate={selectedLocation}
               title="Selected Location"
@@ -293,6 +429,7 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
 
         {renderSearchBar()}
         {renderMyLocationButton()}
+        {renderDrawModeButton()}
         {renderSelectedLocationInfo()}
         {renderInstructions()}
       </View>
@@ -300,7 +437,7 @@ const LocationSelectionScreen = ({ navigation, onLocationSelect, initialLocation
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -358,6 +495,48 @@ const styles = StyleSheet.create({
   myLocationButtonText: {
     fontSize: 20,
   },
+  drawModeButton: {
+    position: 'absolute',
+    bottom: spacing.xl + 140, // Above my location button
+    right: spacing.md,
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    backgroundColor: colors.surface,
+    justifyContent: 'center',
+    alignItems: 'center',
+    ...shadows.medium,
+  },
+  drawModeButtonActive: {
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
+  drawingActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: spacing.sm,
+  },
+  drawingActionButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  drawingActionText: {
+    ...typography.body2,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  vertex: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: colors.surface,
+    borderWidth: 2,
+    borderColor: colors.primary,
+  },
   locationInfo: {
     position: 'absolute',
     bottom: spacing.md,
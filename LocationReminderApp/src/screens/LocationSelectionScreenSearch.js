@@ -14,22 +14,33 @@ import {
   KeyboardAvoidingView,
   SectionList,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows, globalStyles } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 import {
-  requestLocationPermission,
   getCurrentLocation,
   formatCoordinates,
 } from '../utils/locationUtils';
 import LocationHistoryService from '../services/LocationHistoryService';
+import GeocodingService from '../services/GeocodingService';
+import PermissionService from '../services/PermissionService';
+import { usePlaceSearch } from '../hooks/usePlaceSearch';
 import LocationHistoryItem from '../components/LocationHistoryItem';
 
 const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLocation }) => {
+  const { colors, globalStyles } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [selectedLocation, setSelectedLocation] = useState(initialLocation || null);
   const [isLoading, setIsLoading] = useState(false);
   const [hasLocationPermission, setHasLocationPermission] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [isSearching, setIsSearching] = useState(false);
+  const {
+    query: searchQuery,
+    setQuery: setSearchQuery,
+    results: searchResults,
+    isSearching,
+    isOffline,
+    searchNow,
+    clear: clearSearch,
+  } = usePlaceSearch({ limit: 5, near: selectedLocation });
   const [recentLocations, setRecentLocations] = useState([]);
   const [frequentLocations, setFrequentLocations] = useState([]);
   const [showClearHistory, setShowClearHistory] = useState(false);
@@ -41,7 +52,7 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
 
   const initializeLocation = async () => {
     try {
-      const permissionGranted = await requestLocationPermission();
+      const permissionGranted = await PermissionService.requestForegroundLocation();
       setHasLocationPermission(permissionGranted);
     } catch (error) {
       console.error('Location initialization error:', error);
@@ -73,13 +84,13 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
       setIsLoading(true);
       const location = await getCurrentLocation();
       
-      // Try to get address for current location
-      const address = await reverseGeocode(location.latitude, location.longitude);
+      // Falls back to the coordinates when no address is known
+      const address = await GeocodingService.getAddress(location.latitude, location.longitude);
       
       setSelectedLocation({
         latitude: location.latitude,
         longitude: location.longitude,
-        address: address || formatCoordinates(location.latitude, location.longitude),
+        address,
       });
     } catch (error) {
       console.error('Get current location error:', error);
@@ -89,109 +100,15 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
     }
   };
 
-  const searchLocation = async (query) => {
-    if (!query.trim()) {
-      setSearchResults([]);
-      return;
-    }
-
-    setIsSearching(true);
-    try {
-      // Using Nominatim API (OpenStreetMap) - no API key required
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&limit=5`,
-        {
-          headers: {
-            'User-Agent': 'GeoRem/1.0', // Required by Nominatim
-          },
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        const formattedResults = data.map((item, index) => ({
-          id: index.toString(),
-          name: item.display_name,
-          lat: parseFloat(item.lat),
-          lng: parseFloat(item.lon),
-          type: item.type,
-          importance: item.importance,
-        }));
-        setSearchResults(formattedResults);
-      }
-    } catch (error) {
-      console.error('Search error:', error);
-      // Fallback to local search
-      performLocalSearch(query);
-    } finally {
-      setIsSearching(false);
-    }
-  };
-
-  const performLocalSearch = (query) => {
-    // Fallback local search for common places
-    const localPlaces = [
-      { name: 'New York City', lat: 40.7128, lng: -74.0060 },
-      { name: 'Los Angeles', lat: 34.0522, lng: -118.2437 },
-      { name: 'Chicago', lat: 41.8781, lng: -87.6298 },
-      { name: 'Houston', lat: 29.7604, lng: -95.3698 },
-      { name: 'Phoenix', lat: 33.4484, lng: -112.0740 },
-      { name: 'Philadelphia', lat: 39.9526, lng: -75.1652 },
-      { name: 'San Antonio', lat: 29.4241, lng: -98.4936 },
-      { name: 'San Diego', lat: 32.7157, lng: -117.1611 },
-      { name: 'Dallas', lat: 32.7767, lng: -96.7970 },
-      { name: 'San Jose', lat: 37.3382, lng: -121.8863 },
-      { name: 'London', lat: 51.5074, lng: -0.1278 },
-      { name: 'Paris', lat: 48.8566, lng: 2.3522 },
-      { name: 'Tokyo', lat: 35.6762, lng: 139.6503 },
-      { name: 'Sydney', lat: -33.8688, lng: 151.2093 },
-      { name: 'Mumbai', lat: 19.0760, lng: 72.8777 },
-    ];
-
-    const filtered = localPlaces
-      .filter(place => place.name.toLowerCase().includes(query.toLowerCase()))
-      .map((place, index) => ({
-        id: `local-${index}`,
-        name: place.name,
-        lat: place.lat,
-        lng: place.lng,
-        type: 'city',
-      }));
-
-    setSearchResults(filtered);
-  };
-
-  const reverseGeocode = async (lat, lng) => {
-    try {
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/reverse?format=json&lat=${lat}&lon=${lng}`,
-        {
-          headers: {
-            'User-Agent': 'GeoRem/1.0',
-          },
-        }
-      );
-
-      if (response.ok) {
-        const data = await response.json();
-        return data.display_name;
-      }
-    } catch (error) {
-      console.error('Reverse geocoding error:', error);
-    }
-    return null;
-  };
-
   const handleLocationSelect = (location) => {
     const formattedLocation = {
-      latitude: location.lat || location.latitude,
-      longitude: location.lng || location.longitude,
-      address: location.name || location.address,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      address: location.address || location.name,
     };
     
     setSelectedLocation(formattedLocation);
-    setSearchResults([]);
-    setSearchQuery('');
+    clearSearch();
   };
 
   const handleHistoryItemRemove = async (locationId) => {
@@ -272,21 +189,21 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
           style={styles.searchInput}
           value={searchQuery}
           onChangeText={setSearchQuery}
-          onSubmitEditing={() => searchLocation(searchQuery)}
+          onSubmitEditing={searchNow}
           placeholder="Search for a place or address..."
           placeholderTextColor={colors.textSecondary}
           returnKeyType="search"
           autoCorrect={false}
         />
         {searchQuery.length > 0 && (
-          <TouchableOpacity onPress={() => { setSearchQuery(''); setSearchResults([]); }}>
+          <TouchableOpacity onPress={clearSearch}>
             <Text style={styles.clearButton}>✕</Text>
           </TouchableOpacity>
         )}
       </View>
       <TouchableOpacity
         style={styles.searchButton}
-        onPress={() => searchLocation(searchQuery)}
+        onPress={searchNow}
         disabled={!searchQuery.trim() || isSearching}
       >
         <Text style={styles.searchButtonText}>Search</Text>
@@ -302,10 +219,10 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
       <Text style={styles.resultIcon}>📍</Text>
       <View style={styles.resultTextContainer}>
         <Text style={styles.resultName} numberOfLines={1}>
-          {item.name.split(',')[0]}
+          {item.name}
         </Text>
         <Text style={styles.resultAddress} numberOfLines={1}>
-          {item.name}
+          {item.address}
         </Text>
       </View>
     </TouchableOpacity>
@@ -425,13 +342,18 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
             <Text style={styles.searchingText}>Searching...</Text>
           </View>
         ) : searchResults.length > 0 ? (
-          <FlatList
-            data={searchResults}
-            renderItem={renderSearchResult}
-            keyExtractor={(item) => item.id}
-            style={styles.searchResultsList}
-            ItemSeparatorComponent={() => <View style={styles.separator} />}
-          />
+          <>
+            {isOffline && (
+              <Text style={styles.offlineNotice}>Offline: showing places you've used before</Text>
+            )}
+            <FlatList
+              data={searchResults}
+              renderItem={renderSearchResult}
+              keyExtractor={(item) => item.id}
+              style={styles.searchResultsList}
+              ItemSeparatorComponent={() => <View style={styles.separator} />}
+            />
+          </>
         ) : searchQuery.length === 0 && (
           <View style={styles.recentSearchesContainer}>
             {renderLocationHistorySections()}
@@ -455,7 +377,7 @@ const LocationSelectionScreenSearch = ({ navigation, onLocationSelect, initialLo
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -563,6 +485,12 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     marginLeft: spacing.sm,
   },
+  offlineNotice: {
+    ...typography.caption,
+    color: colors.warning,
+    marginHorizontal: spacing.md,
+    marginBottom: spacing.xs,
+  },
   searchResultsList: {
     flex: 1,
     marginHorizontal: spacing.md,
@@ -11,15 +11,19 @@ import {
   StyleSheet,
   Platform,
 } from 'react-native';
-import { colors, typography, spacing, borderRadius, shadows, globalStyles } from '../styles/styles';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
 import {
-  requestLocationPermission,
   getCurrentLocation,
   DEFAULT_LOCATION,
   formatCoordinates,
 } from '../utils/locationUtils';
+import GeocodingService from '../services/GeocodingService';
+import PermissionService from '../services/PermissionService';
 
 const LocationSelectionScreenSimple = ({ navigation, onLocationSelect, initialLocation }) => {
+  const { colors, globalStyles } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const [selectedLocation, setSelectedLocation] = useState(initialLocation || null);
   const [isLoading, setIsLoading] = useState(false);
   const [hasLocationPermission, setHasLocationPermission] = useState(false);
@@ -40,7 +44,7 @@ const LocationSelectionScreenSimple = ({ navigation, onLocationSelect, initialLo
   const initializeLocation = async () => {
     try {
       // Request location permission
-      const permissionGranted = await requestLocationPermission();
+      const permissionGranted = await PermissionService.requestForegroundLocation();
       setHasLocationPermission(permissionGranted);
 
       if (!permissionGranted) {
@@ -106,7 +110,7 @@ const LocationSelectionScreenSimple = ({ navigation, onLocationSelect, initialLo
     });
   };
 
-  const handleConfirmLocation = () => {
+  const handleConfirmLocation = async () => {
     if (!selectedLocation) {
       Alert.alert('No Location Selected', 'Please select a location using current location or enter coordinates manually.');
       return;
@@ -115,7 +119,7 @@ const LocationSelectionScreenSimple = ({ navigation, onLocationSelect, initialLo
     const locationData = {
       latitude: selectedLocation.latitude,
       longitude: selectedLocation.longitude,
-      address: formatCoordinates(selectedLocation.latitude, selectedLocation.longitude),
+      address: await GeocodingService.getAddress(selectedLocation.latitude, selectedLocation.longitude),
       timestamp: new Date().toISOString(),
     };
 
@@ -264,7 +268,7 @@ const LocationSelectionScreenSimple = ({ navigation, onLocationSelect, initialLo
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -1,4 +1,4 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import {
   View,
   Text,
@@ -19,29 +19,87 @@ import ReminderItem from '../components/ReminderItem';
 import FloatingActionButton from '../components/FloatingActionButton';
 import EmptyState from '../components/EmptyState';
 import CreateReminderScreen from './CreateReminderScreen';
+import SettingsScreen from './SettingsScreen';
+import PermissionsScreen from './PermissionsScreen';
 import ReminderStats from '../components/ReminderStats';
-import { colors, globalStyles, spacing, typography, borderRadius, shadows } from '../styles/styles';
+import ArrivalSheet from '../components/ArrivalSheet';
+import TriggerHistoryList from '../components/TriggerHistoryList';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+import { formatSchedule } from '../utils/scheduleUtils';
+import { formatRecurrence } from '../utils/recurrenceUtils';
+import { getPlaceCategory } from '../utils/placeCategories';
+import { isPowerSaving, describePowerPolicy } from '../utils/powerPolicy';
+import { getPermissionIssues } from '../utils/permissionGuides';
 
 const MainScreen = () => {
+  const { colors, globalStyles, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
   const {
     reminders,
     isLoading,
     isRefreshing,
     geofenceStatus,
+    settings,
     refreshReminders,
     addReminder,
+    updateReminder,
     deleteReminder,
     toggleReminderStatus,
     updateChecklistItem,
+    getTriggerHistory,
+    reminderRoute,
+    clearReminderRoute,
+    permissionStatus,
+    showPermissions,
+    setShowPermissions,
   } = useApp();
 
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showSettingsModal, setShowSettingsModal] = useState(false);
+  const [editingReminder, setEditingReminder] = useState(null);
   const [selectedReminder, setSelectedReminder] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [triggerHistory, setTriggerHistory] = useState([]);
   const [showStats, setShowStats] = useState(true);
   const [filterType, setFilterType] = useState('all'); // 'all', 'active', 'inactive'
   const scrollY = React.useRef(new Animated.Value(0)).current;
 
+  // Open the reminder requested by a notification tap or deep link
+  useEffect(() => {
+    if (!reminderRoute || isLoading) return;
+
+    const reminder = reminders.find(r => r.id === reminderRoute.reminderId);
+    if (!reminder) {
+      clearReminderRoute();
+      Alert.alert('Reminder Not Found', 'This reminder may have been deleted.');
+      return;
+    }
+
+    // The arrival sheet reads the route itself, so it stays open while items are ticked
+    if (reminderRoute.view !== 'arrival') {
+      setShowCreateModal(false);
+      setSelectedReminder(reminder);
+      setShowDetailsModal(true);
+      clearReminderRoute();
+    }
+  }, [reminderRoute, reminders, isLoading, clearReminderRoute]);
+
+  // Load the trigger history whenever the details modal shows a reminder
+  useEffect(() => {
+    if (!showDetailsModal || !selectedReminder) return;
+
+    let isCurrent = true;
+    setShowHistory(false);
+    getTriggerHistory(selectedReminder.id).then((events) => {
+      if (isCurrent) setTriggerHistory(events);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, [showDetailsModal, selectedReminder, getTriggerHistory]);
+
   const handleRefresh = useCallback(async () => {
     await refreshReminders();
   }, [refreshReminders]);
@@ -52,10 +110,31 @@ const MainScreen = () => {
   }, []);
 
   const handleAddReminder = useCallback(() => {
+    setEditingReminder(null);
+    setShowCreateModal(true);
+  }, []);
+
+  const handleEditReminder = useCallback((reminder) => {
+    setShowDetailsModal(false);
+    setEditingReminder(reminder);
     setShowCreateModal(true);
   }, []);
 
   const handleSaveReminder = useCallback(async (newReminder) => {
+    if (editingReminder) {
+      try {
+        const updatedReminder = await updateReminder(editingReminder.id, newReminder);
+        setShowCreateModal(false);
+        setEditingReminder(null);
+        setSelectedReminder(updatedReminder);
+        Alert.alert('Success', 'Reminder updated!', [{ text: 'OK' }]);
+      } catch (error) {
+        console.error('Error updating reminder:', error);
+        // Error is handled in context
+      }
+      return;
+    }
+
     try {
       await addReminder(newReminder);
       setShowCreateModal(false);
@@ -63,17 +142,22 @@ const MainScreen = () => {
       // Show success feedback
       Alert.alert(
         'Success',
-        `Reminder created! You'll be notified when you arrive within ${newReminder.locationData.radius}m of ${newReminder.location}.`,
+        newReminder.locationData.category
+          ? `Reminder created! You'll be notified when you arrive within ${newReminder.locationData.radius}m of any ${getPlaceCategory(newReminder.locationData.category)?.name || 'matching place'} near you.`
+          : newReminder.locationData.polygon
+          ? `Reminder created! You'll be notified when you enter the area you drew.`
+          : `Reminder created! You'll be notified when you arrive within ${newReminder.locationData.radius}m of ${newReminder.location}.`,
         [{ text: 'OK' }]
       );
     } catch (error) {
       console.error('Error saving reminder:', error);
       // Error is handled in context
     }
-  }, [addReminder]);
+  }, [addReminder, updateReminder, editingReminder]);
 
   const handleCloseCreateModal = useCallback(() => {
     setShowCreateModal(false);
+    setEditingReminder(null);
   }, []);
 
   const handleDeleteReminder = useCallback(async (reminderId) => {
@@ -92,20 +176,36 @@ const MainScreen = () => {
     await updateChecklistItem(reminderId, itemId, { completed: !completed });
   }, [updateChecklistItem]);
 
+  const handleArrivalDeactivate = useCallback(async (reminderId) => {
+    await toggleReminderStatus(reminderId);
+    clearReminderRoute();
+  }, [toggleReminderStatus, clearReminderRoute]);
+
   const handleGeofencePress = useCallback((reminder) => {
     const geofence = reminder.geofence;
-    const status = geofence?.isActive ? 'Active' : 'Inactive';
+    const powerPolicy = geofenceStatus.powerPolicy;
+    const isPaused = reminder.isActive && !reminder.isCritical && isPowerSaving(powerPolicy);
+    const status = !geofence?.isActive ? 'Inactive' : isPaused ? 'Paused' : 'Active';
     const triggers = geofence?.triggeredCount || 0;
     const lastTriggered = geofence?.lastTriggered 
       ? new Date(geofence.lastTriggered).toLocaleString() 
       : 'Never';
 
+    const size = reminder.locationData?.polygon
+      ? `Area: ${reminder.locationData.polygon.length}-point outline`
+      : reminder.locationData?.category
+      ? `Radius: ${reminder.locationData.radius || 100}m around each nearby match`
+      : `Radius: ${reminder.locationData?.radius || 100}m`;
+
+    const powerNotice = geofence?.isActive && reminder.isActive ? describePowerPolicy(powerPolicy) : null;
+
     Alert.alert(
       'Geofence Status',
-      `Status: ${status}\nRadius: ${reminder.locationData?.radius || 100}m\nTriggers: ${triggers}\nLast Triggered: ${lastTriggered}`,
+      `Status: ${status}\n${size}\nTriggers: ${triggers}\nLast Triggered: ${lastTriggered}` +
+        (powerNotice ? `\n\n${powerNotice}` : ''),
       [{ text: 'OK' }]
     );
-  }, []);
+  }, [geofenceStatus.powerPolicy]);
 
   const renderReminderItem = useCallback(({ item, index }) => (
     <ReminderItem
@@ -114,9 +214,10 @@ const MainScreen = () => {
       onGeofencePress={() => handleGeofencePress(item)}
       onToggleStatus={() => handleToggleStatus(item.id)}
       onDelete={() => handleDeleteReminder(item.id)}
+      powerPolicy={geofenceStatus.powerPolicy}
       testID={`reminder-item-${index}`}
     />
-  ), [handleReminderPress, handleGeofencePress, handleToggleStatus, handleDeleteReminder]);
+  ), [handleReminderPress, handleGeofencePress, handleToggleStatus, handleDeleteReminder, geofenceStatus.powerPolicy]);
 
   const getFilteredReminders = useCallback(() => {
     switch (filterType) {
@@ -150,6 +251,8 @@ const MainScreen = () => {
     );
   }, [reminders.length, filterType, getFilteredReminders]);
 
+  const permissionIssueCount = getPermissionIssues(permissionStatus).length;
+
   const renderHeader = useCallback(() => {
     const headerOpacity = scrollY.interpolate({
       inputRange: [0, 100],
@@ -161,14 +264,37 @@ const MainScreen = () => {
       <Animated.View style={[styles.header, { opacity: headerOpacity }]}>
         <View style={styles.headerContent}>
           <Text style={globalStyles.headerTitle}>GeoRem</Text>
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.statsToggle}
+              onPress={() => setShowStats(!showStats)}
+            >
+              <Text style={styles.statsToggleIcon}>{showStats ? '📊' : '📈'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.statsToggle}
+              onPress={() => setShowSettingsModal(true)}
+              testID="settings-button"
+            >
+              <Text style={styles.statsToggleIcon}>⚙️</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        {permissionIssueCount > 0 && (
           <TouchableOpacity
-            style={styles.statsToggle}
-            onPress={() => setShowStats(!showStats)}
+            style={styles.permissionBanner}
+            onPress={() => setShowPermissions(true)}
+            activeOpacity={0.7}
+            testID="permission-banner"
           >
-            <Text style={styles.statsToggleIcon}>{showStats ? '📊' : '📈'}</Text>
+            <Text style={styles.permissionBannerIcon}>⚠️</Text>
+            <Text style={styles.permissionBannerText}>
+              {permissionIssueCount} permission{permissionIssueCount === 1 ? '' : 's'} need{permissionIssueCount === 1 ? 's' : ''} attention. Tap to fix.
+            </Text>
           </TouchableOpacity>
-        </View>
-        
+        )}
+
         {showStats && (
           <ReminderStats 
             reminders={reminders} 
@@ -205,7 +331,7 @@ const MainScreen = () => {
         )}
       </Animated.View>
     );
-  }, [geofenceStatus, reminders, showStats, filterType, scrollY]);
+  }, [geofenceStatus, reminders, showStats, filterType, scrollY, styles, globalStyles, permissionIssueCount]);
 
   const renderDetailsModal = useCallback(() => {
     if (!selectedReminder) return null;
@@ -231,7 +357,15 @@ const MainScreen = () => {
           <View style={styles.modalContent}>
             <Text style={styles.modalTitle}>{selectedReminder.title}</Text>
             <Text style={styles.modalLocation}>📍 {selectedReminder.location}</Text>
-            <Text style={styles.modalRadius}>Radius: {selectedReminder.locationData?.radius || 100}m</Text>
+            <Text style={styles.modalRadius}>
+              {selectedReminder.locationData?.polygon
+                ? `Area: ${selectedReminder.locationData.polygon.length}-point outline`
+                : selectedReminder.locationData?.category
+                ? `Radius: ${selectedReminder.locationData.radius || 100}m around each nearby match`
+                : `Radius: ${selectedReminder.locationData?.radius || 100}m`}
+            </Text>
+            <Text style={styles.modalRadius}>🗓 {formatSchedule(selectedReminder.schedule)}</Text>
+            <Text style={styles.modalSchedule}>🔁 {formatRecurrence(selectedReminder.recurrence)}</Text>
             
             <View style={styles.modalDivider} />
             
@@ -255,6 +389,19 @@ const MainScreen = () => {
                 ))}
               </View>
             )}
+
+            <TouchableOpacity
+              style={styles.historyToggle}
+              onPress={() => setShowHistory(!showHistory)}
+              testID="trigger-history-toggle"
+            >
+              <Text style={styles.historyToggleText}>
+                🕘 Trigger history ({triggerHistory.length}) {showHistory ? '▴' : '▾'}
+              </Text>
+            </TouchableOpacity>
+            {showHistory && (
+              <TriggerHistoryList events={triggerHistory} testID="trigger-history" />
+            )}
             
             <View style={styles.modalActions}>
               <TouchableOpacity
@@ -263,6 +410,13 @@ const MainScreen = () => {
               >
                 <Text style={styles.deleteButtonText}>Delete</Text>
               </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.modalButton, styles.editButton]}
+                onPress={() => handleEditReminder(selectedReminder)}
+              >
+                <Text style={styles.editButtonText}>Edit</Text>
+              </TouchableOpacity>
               
               <TouchableOpacity
                 style={[styles.modalButton, styles.closeButton]}
@@ -275,12 +429,21 @@ const MainScreen = () => {
         </View>
       </Modal>
     );
-  }, [showDetailsModal, selectedReminder, handleChecklistToggle, handleDeleteReminder]);
+  }, [
+    showDetailsModal,
+    selectedReminder,
+    showHistory,
+    triggerHistory,
+    handleChecklistToggle,
+    handleDeleteReminder,
+    handleEditReminder,
+    styles,
+  ]);
 
   if (isLoading) {
     return (
       <SafeAreaView style={globalStyles.safeArea}>
-        <StatusBar style="dark" backgroundColor={colors.surface} />
+        <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
         {renderHeader()}
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={colors.primary} />
@@ -292,7 +455,7 @@ const MainScreen = () => {
 
   return (
     <SafeAreaView style={globalStyles.safeArea}>
-      <StatusBar style="dark" backgroundColor={colors.surface} />
+      <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
       
       {renderHeader()}
       
@@ -339,20 +502,61 @@ const MainScreen = () => {
         onRequestClose={handleCloseCreateModal}
       >
         <CreateReminderScreen
+          key={editingReminder?.id || 'new'}
           navigation={{
             goBack: handleCloseCreateModal
           }}
           onSave={handleSaveReminder}
+          reminder={editingReminder}
+          defaultRadius={settings?.defaultRadius}
+        />
+      </Modal>
+
+      {/* Settings Modal */}
+      <Modal
+        visible={showSettingsModal}
+        animationType="slide"
+        presentationStyle="fullScreen"
+        onRequestClose={() => setShowSettingsModal(false)}
+      >
+        <SettingsScreen
+          navigation={{
+            goBack: () => setShowSettingsModal(false)
+          }}
+        />
+      </Modal>
+
+      {/* Permissions Modal */}
+      <Modal
+        visible={showPermissions}
+        animationType="slide"
+        presentationStyle="fullScreen"
+        onRequestClose={() => setShowPermissions(false)}
+      >
+        <PermissionsScreen
+          navigation={{
+            goBack: () => setShowPermissions(false)
+          }}
         />
       </Modal>
 
       {/* Details Modal */}
       {renderDetailsModal()}
+
+      {/* Arrival Sheet, opened from a checklist notification */}
+      <ArrivalSheet
+        visible={reminderRoute?.view === 'arrival'}
+        reminder={reminderRoute && reminders.find(reminder => reminder.id === reminderRoute.reminderId)}
+        onToggleItem={handleChecklistToggle}
+        onDeactivate={handleArrivalDeactivate}
+        onClose={clearReminderRoute}
+        testID="arrival-sheet"
+      />
     </SafeAreaView>
   );
 };
 
-const styles = StyleSheet.create({
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
   header: {
     backgroundColor: colors.surface,
     paddingTop: spacing.md,
@@ -367,12 +571,37 @@ const styles = StyleSheet.create({
     paddingHorizontal: spacing.md,
     paddingBottom: spacing.sm,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   statsToggle: {
     padding: spacing.xs,
   },
   statsToggleIcon: {
     fontSize: 24,
   },
+  permissionBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginHorizontal: spacing.md,
+    marginBottom: spacing.sm,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.warning,
+    backgroundColor: colors.background,
+  },
+  permissionBannerIcon: {
+    fontSize: 16,
+    marginRight: spacing.sm,
+  },
+  permissionBannerText: {
+    ...typography.body2,
+    color: colors.text,
+    flex: 1,
+  },
   filterContainer: {
     paddingVertical: spacing.sm,
   },
@@ -437,6 +666,11 @@ const styles = StyleSheet.create({
     marginBottom: spacing.xs,
   },
   modalRadius: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  modalSchedule: {
     ...typography.caption,
     color: colors.textSecondary,
     marginBottom: spacing.md,
@@ -465,6 +699,14 @@ const styles = StyleSheet.create({
     textDecorationLine: 'line-through',
     color: colors.textSecondary,
   },
+  historyToggle: {
+    paddingVertical: spacing.sm,
+  },
+  historyToggleText: {
+    ...typography.body2,
+    color: colors.primary,
+    fontWeight: '600',
+  },
   modalActions: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -479,18 +721,27 @@ const styles = StyleSheet.create({
   },
   deleteButton: {
     backgroundColor: colors.error,
-    marginRight: spacing.sm,
+    marginRight: spacing.xs,
   },
   deleteButtonText: {
     ...typography.body2,
     color: colors.surface,
     fontWeight: '600',
   },
+  editButton: {
+    backgroundColor: colors.primary,
+    marginHorizontal: spacing.xs,
+  },
+  editButtonText: {
+    ...typography.body2,
+    color: colors.surface,
+    fontWeight: '600',
+  },
   closeButton: {
     backgroundColor: colors.background,
     borderWidth: 1,
     borderColor: colors.border,
-    marginLeft: spacing.sm,
+    marginLeft: spacing.xs,
   },
   closeButtonText: {
     ...typography.body2,
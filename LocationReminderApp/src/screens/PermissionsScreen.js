@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  StyleSheet,
+  Platform,
+  ActivityIndicator,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useApp } from '../context/AppContext';
+import PermissionService from '../services/PermissionService';
+import {
+  PERMISSIONS,
+  PERMISSION_STATES,
+  PERMISSION_INFO,
+  PERMISSION_STATE_INFO,
+  FIX_ACTIONS,
+  getPermissionFix,
+  getPermissionIssues,
+} from '../utils/permissionGuides';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+
+const PermissionsScreen = ({ navigation }) => {
+  const { colors, globalStyles, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const { permissionStatus, recheckPermissions } = useApp();
+  const [expandedId, setExpandedId] = useState(null);
+  const [isFixing, setIsFixing] = useState(false);
+
+  const issues = getPermissionIssues(permissionStatus);
+
+  // Check again whenever the screen opens, in case something changed meanwhile
+  useEffect(() => {
+    recheckPermissions();
+  }, [recheckPermissions]);
+
+  // Open the first problem's fix, and move on once it's fixed
+  useEffect(() => {
+    if (!expandedId || !issues.includes(expandedId)) {
+      setExpandedId(issues[0] || null);
+    }
+  }, [permissionStatus]);
+
+  const getStateColor = (state) => {
+    switch (state) {
+      case PERMISSION_STATES.GRANTED:
+        return colors.secondary;
+      case PERMISSION_STATES.LIMITED:
+      case PERMISSION_STATES.UNDETERMINED:
+        return colors.warning;
+      case PERMISSION_STATES.DENIED:
+        return colors.error;
+      default:
+        return colors.textSecondary;
+    }
+  };
+
+  const handleFix = async (permissionId, fix) => {
+    // Settings changes are picked up when the app comes back to the foreground
+    if (fix.action === FIX_ACTIONS.OPEN_SETTINGS) {
+      PermissionService.openSettings();
+      return;
+    }
+
+    setIsFixing(true);
+    try {
+      if (fix.action === FIX_ACTIONS.ENABLE_LOCATION_SERVICES) {
+        await PermissionService.enableLocationServices();
+      } else {
+        await PermissionService.request(permissionId);
+      }
+      await recheckPermissions();
+    } finally {
+      setIsFixing(false);
+    }
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <View style={styles.headerButton} />
+      <Text style={styles.headerTitle}>Permissions</Text>
+      <TouchableOpacity onPress={() => navigation?.goBack?.()} style={styles.headerButton}>
+        <Text style={styles.headerButtonText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderSummary = () => (
+    <View style={[styles.summary, issues.length > 0 && styles.summaryWarning]}>
+      <Text style={styles.summaryIcon}>{issues.length > 0 ? '⚠️' : '✅'}</Text>
+      <Text style={styles.summaryText}>
+        {!permissionStatus
+          ? 'Checking permissions…'
+          : issues.length > 0
+          ? `${issues.length} setting${issues.length === 1 ? '' : 's'} can stop reminders from triggering. Tap one to see how to fix it.`
+          : 'Everything reminders need is allowed.'}
+      </Text>
+    </View>
+  );
+
+  const renderFix = (permissionId, fix) => (
+    <View style={styles.fix}>
+      {fix.steps.map((step, index) => (
+        <View key={step} style={styles.step}>
+          <Text style={styles.stepNumber}>{index + 1}</Text>
+          <Text style={styles.stepText}>{step}</Text>
+        </View>
+      ))}
+      {fix.action && (
+        <TouchableOpacity
+          style={[styles.fixButton, isFixing && styles.fixButtonDisabled]}
+          onPress={() => handleFix(permissionId, fix)}
+          disabled={isFixing}
+          activeOpacity={0.7}
+          testID={`permission-fix-${permissionId}`}
+        >
+          {isFixing && fix.action !== FIX_ACTIONS.OPEN_SETTINGS
+            ? <ActivityIndicator color={colors.surface} />
+            : <Text style={styles.fixButtonText}>{fix.actionLabel}</Text>}
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderPermission = (permissionId, index) => {
+    const entry = permissionStatus[permissionId];
+    const info = PERMISSION_INFO[permissionId];
+    const stateInfo = PERMISSION_STATE_INFO[entry.state];
+    const fix = getPermissionFix(permissionId, entry, Platform.OS);
+    const isExpanded = fix && expandedId === permissionId;
+
+    return (
+      <View key={permissionId}>
+        {index > 0 && <View style={styles.divider} />}
+        <TouchableOpacity
+          style={styles.row}
+          onPress={() => setExpandedId(isExpanded ? null : permissionId)}
+          disabled={!fix}
+          activeOpacity={0.7}
+          testID={`permission-${permissionId}`}
+        >
+          <Text style={styles.optionIcon}>{info.icon}</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>{info.label}</Text>
+            <Text style={styles.rowDescription}>{info.description}</Text>
+          </View>
+          <View style={[styles.stateBadge, { borderColor: getStateColor(entry.state) }]}>
+            <Text style={[styles.stateText, { color: getStateColor(entry.state) }]}>
+              {stateInfo.icon} {stateInfo.label}
+            </Text>
+          </View>
+        </TouchableOpacity>
+        {isExpanded && renderFix(permissionId, fix)}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={globalStyles.safeArea}>
+      <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
+      {renderHeader()}
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {renderSummary()}
+        {permissionStatus && (
+          <View style={styles.card}>
+            {Object.values(PERMISSIONS)
+              .filter(permissionId => permissionStatus[permissionId])
+              .map(renderPermission)}
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    ...shadows.small,
+  },
+  headerButton: {
+    minWidth: 60,
+    alignItems: 'flex-end',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+  headerButtonText: {
+    ...typography.body1,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    ...typography.h3,
+    color: colors.text,
+  },
+  scrollView: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.lg,
+    paddingBottom: spacing.xl,
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    borderColor: colors.secondary,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+    ...shadows.small,
+  },
+  summaryWarning: {
+    borderColor: colors.warning,
+  },
+  summaryIcon: {
+    fontSize: 20,
+    marginRight: spacing.sm,
+  },
+  summaryText: {
+    ...typography.body2,
+    color: colors.text,
+    flex: 1,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    paddingHorizontal: spacing.md,
+    ...shadows.small,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  rowLabel: {
+    ...typography.body1,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  rowDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
+  optionIcon: {
+    fontSize: 20,
+    marginRight: spacing.sm,
+  },
+  stateBadge: {
+    borderWidth: 1,
+    borderRadius: borderRadius.sm,
+    paddingHorizontal: spacing.xs,
+    paddingVertical: spacing.xs / 2,
+  },
+  stateText: {
+    ...typography.caption,
+    fontWeight: '600',
+  },
+  divider: {
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  fix: {
+    backgroundColor: colors.background,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+  },
+  step: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginBottom: spacing.sm,
+  },
+  stepNumber: {
+    ...typography.caption,
+    color: colors.surface,
+    backgroundColor: colors.primary,
+    fontWeight: '700',
+    width: 20,
+    height: 20,
+    lineHeight: 20,
+    borderRadius: 10,
+    overflow: 'hidden',
+    textAlign: 'center',
+    marginRight: spacing.sm,
+  },
+  stepText: {
+    ...typography.body2,
+    color: colors.text,
+    flex: 1,
+  },
+  fixButton: {
+    backgroundColor: colors.primary,
+    borderRadius: borderRadius.md,
+    paddingVertical: spacing.sm,
+    alignItems: 'center',
+    marginTop: spacing.xs,
+  },
+  fixButtonDisabled: {
+    opacity: 0.6,
+  },
+  fixButtonText: {
+    ...typography.body1,
+    color: colors.surface,
+    fontWeight: '600',
+  },
+});
+
+export default PermissionsScreen;
@@ -0,0 +1,721 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  Switch,
+  TouchableOpacity,
+  SafeAreaView,
+  StyleSheet,
+  Alert,
+  Modal,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import { useApp } from '../context/AppContext';
+import RadiusSelector from '../components/RadiusSelector';
+import PermissionsScreen from './PermissionsScreen';
+import SimulatorScreen from './SimulatorScreen';
+import BackupService from '../services/BackupService';
+import { GEOFENCING_MODES } from '../services/GeofenceManager';
+import { IMPORT_MODES } from '../utils/backupUtils';
+import { POWER_MODES, describePowerPolicy } from '../utils/powerPolicy';
+import { getPermissionIssues } from '../utils/permissionGuides';
+import { GEO_FORMATS, GEO_FORMAT_INFO } from '../utils/geoFormats';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius, THEME_MODES } from '../styles/styles';
+
+const ACCURACY_OPTIONS = [
+  { value: 'low', icon: '🔋', label: 'Battery saver', description: 'Checks less often. Best for large areas.' },
+  { value: 'balanced', icon: '⚖️', label: 'Balanced', description: 'Good accuracy with moderate battery use.' },
+  { value: 'high', icon: '🎯', label: 'Precise', description: 'Checks often. Best for small areas, uses more battery.' },
+];
+
+const GEOFENCING_MODE_OPTIONS = [
+  { value: GEOFENCING_MODES.NATIVE, icon: '🛰️', label: 'System geofencing', description: 'The phone watches nearby reminders. Lowest battery use; alerts can take a few minutes.' },
+  { value: GEOFENCING_MODES.POLLING, icon: '📡', label: 'Continuous tracking', description: 'Tracks your location all the time. Fastest alerts, shows a persistent notification.' },
+];
+
+const LOW_BATTERY_THRESHOLD_OPTIONS = [
+  { value: 0, label: 'Never' },
+  { value: 10, label: '10%' },
+  { value: 20, label: '20%' },
+  { value: 30, label: '30%' },
+];
+
+const LOW_BATTERY_MODE_OPTIONS = [
+  { value: POWER_MODES.COARSE, icon: '🔋', label: 'Coarse location', description: 'Keeps watching critical reminders with rough location. Alerts can be late for small areas.' },
+  { value: POWER_MODES.FETCH_ONLY, icon: '⏱️', label: 'Periodic checks only', description: 'Stops location tracking and checks critical reminders about every 15 minutes.' },
+];
+
+const THEME_OPTIONS = [
+  { value: THEME_MODES.SYSTEM, icon: '📱', label: 'System' },
+  { value: THEME_MODES.LIGHT, icon: '☀️', label: 'Light' },
+  { value: THEME_MODES.DARK, icon: '🌙', label: 'Dark' },
+];
+
+const SettingsScreen = ({ navigation }) => {
+  const { colors, globalStyles, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const {
+    settings,
+    updateSettings,
+    clearAllData,
+    exportData,
+    importData,
+    exportLocations,
+    importLocations,
+    geofenceStatus,
+    permissionStatus,
+  } = useApp();
+  const [defaultRadius, setDefaultRadius] = useState(settings?.defaultRadius);
+  const [showPermissions, setShowPermissions] = useState(false);
+  const [showSimulator, setShowSimulator] = useState(false);
+
+  const handleChange = async (key, value) => {
+    try {
+      await updateSettings({ ...settings, [key]: value });
+    } catch (error) {
+      // updateSettings already told the user
+    }
+  };
+
+  // The slider reports every step, so only save once it settles
+  useEffect(() => {
+    if (!settings || defaultRadius == null || defaultRadius === settings.defaultRadius) return;
+
+    const timeout = setTimeout(() => handleChange('defaultRadius', defaultRadius), 500);
+    return () => clearTimeout(timeout);
+  }, [defaultRadius, settings]);
+
+  const handleExport = async () => {
+    try {
+      await exportData();
+    } catch (error) {
+      // exportData already told the user
+    }
+  };
+
+  const handleImport = async () => {
+    let data;
+    try {
+      data = await BackupService.pickBackupFile();
+    } catch (error) {
+      Alert.alert('Import Failed', error.message);
+      return;
+    }
+    if (!data) return;
+
+    const runImport = async (mode) => {
+      try {
+        await importData(data, mode);
+      } catch (error) {
+        // importData already told the user
+      }
+    };
+
+    Alert.alert(
+      'Import Backup',
+      'Add the backed up reminders to your current ones, or replace everything with the backup?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Merge', onPress: () => runImport(IMPORT_MODES.MERGE) },
+        { text: 'Replace', style: 'destructive', onPress: () => runImport(IMPORT_MODES.REPLACE) },
+      ]
+    );
+  };
+
+  const handleExportLocations = async (format) => {
+    try {
+      await exportLocations(format);
+    } catch (error) {
+      // exportLocations already told the user
+    }
+  };
+
+  const handleImportLocations = async () => {
+    let file;
+    try {
+      file = await BackupService.pickTextFile();
+    } catch (error) {
+      Alert.alert('Import Failed', 'The selected file could not be read.');
+      return;
+    }
+    if (!file) return;
+
+    try {
+      await importLocations(file);
+    } catch (error) {
+      // importLocations already told the user
+    }
+  };
+
+  const handleClearAllData = async () => {
+    const cleared = await clearAllData();
+    if (cleared) {
+      navigation?.goBack?.();
+    }
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <View style={styles.headerButton} />
+      <Text style={styles.headerTitle}>Settings</Text>
+      <TouchableOpacity onPress={() => navigation?.goBack?.()} style={styles.headerButton}>
+        <Text style={styles.headerButtonText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderSwitchRow = (key, label, description, disabled = false) => (
+    <View style={styles.row}>
+      <View style={styles.rowText}>
+        <Text style={[styles.rowLabel, disabled && styles.disabledText]}>{label}</Text>
+        <Text style={styles.rowDescription}>{description}</Text>
+      </View>
+      <Switch
+        value={!!settings[key]}
+        onValueChange={(value) => handleChange(key, value)}
+        disabled={disabled}
+        trackColor={{ false: colors.border, true: colors.primary }}
+        thumbColor={settings[key] ? colors.surface : colors.textSecondary}
+        testID={`setting-${key}`}
+      />
+    </View>
+  );
+
+  const renderNotificationSettings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Notifications</Text>
+      <View style={styles.card}>
+        {renderSwitchRow('notificationsEnabled', 'Reminder notifications', 'Notify me when a reminder triggers')}
+        <View style={styles.divider} />
+        {renderSwitchRow('soundEnabled', 'Sound', 'Play a sound with reminders', !settings.notificationsEnabled)}
+        <View style={styles.divider} />
+        {renderSwitchRow('vibrationEnabled', 'Vibration', 'Vibrate with reminders', !settings.notificationsEnabled)}
+      </View>
+    </View>
+  );
+
+  const renderAppearanceSettings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Appearance</Text>
+      <View style={styles.themeOptions}>
+        {THEME_OPTIONS.map((option) => {
+          const isSelected = (settings.theme || THEME_MODES.SYSTEM) === option.value;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.themeOption, isSelected && styles.themeOptionSelected]}
+              onPress={() => handleChange('theme', option.value)}
+              activeOpacity={0.7}
+              testID={`setting-theme-${option.value}`}
+            >
+              <Text style={styles.optionIcon}>{option.icon}</Text>
+              <Text style={[styles.themeOptionText, isSelected && styles.selectedText]}>
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderAccuracySettings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Location Accuracy</Text>
+      <View style={styles.card}>
+        {ACCURACY_OPTIONS.map((option, index) => {
+          const isSelected = settings.locationAccuracy === option.value;
+          return (
+            <View key={option.value}>
+              {index > 0 && <View style={styles.divider} />}
+              <TouchableOpacity
+                style={styles.row}
+                onPress={() => handleChange('locationAccuracy', option.value)}
+                activeOpacity={0.7}
+                testID={`setting-accuracy-${option.value}`}
+              >
+                <Text style={styles.optionIcon}>{option.icon}</Text>
+                <View style={styles.rowText}>
+                  <Text style={[styles.rowLabel, isSelected && styles.selectedText]}>{option.label}</Text>
+                  <Text style={styles.rowDescription}>{option.description}</Text>
+                </View>
+                <Text style={styles.checkmark}>{isSelected ? '✓' : ''}</Text>
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+      </View>
+    </View>
+  );
+
+  const renderGeofencingSettings = () => {
+    const selectedMode = settings.geofencingMode || GEOFENCING_MODES.NATIVE;
+    // Native mode quietly falls back to polling without "always" location access
+    const isFallingBack = geofenceStatus.isMonitoring &&
+      selectedMode === GEOFENCING_MODES.NATIVE &&
+      geofenceStatus.geofencingMode === GEOFENCING_MODES.POLLING;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionLabel}>Geofencing</Text>
+        <View style={styles.card}>
+          {GEOFENCING_MODE_OPTIONS.map((option, index) => {
+            const isSelected = selectedMode === option.value;
+            return (
+              <View key={option.value}>
+                {index > 0 && <View style={styles.divider} />}
+                <TouchableOpacity
+                  style={styles.row}
+                  onPress={() => handleChange('geofencingMode', option.value)}
+                  activeOpacity={0.7}
+                  testID={`setting-geofencing-${option.value}`}
+                >
+                  <Text style={styles.optionIcon}>{option.icon}</Text>
+                  <View style={styles.rowText}>
+                    <Text style={[styles.rowLabel, isSelected && styles.selectedText]}>{option.label}</Text>
+                    <Text style={styles.rowDescription}>{option.description}</Text>
+                  </View>
+                  <Text style={styles.checkmark}>{isSelected ? '✓' : ''}</Text>
+                </TouchableOpacity>
+              </View>
+            );
+          })}
+        </View>
+        {isFallingBack && (
+          <Text style={styles.sectionNote}>
+            Using continuous tracking because location access isn't set to "Allow all the time". See Permissions above to change it.
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderBatterySettings = () => {
+    const threshold = settings.lowBatteryThreshold || 0;
+    const selectedMode = settings.lowBatteryMode || POWER_MODES.COARSE;
+    const powerNotice = describePowerPolicy(geofenceStatus.powerPolicy);
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionLabel}>Low Battery</Text>
+        <Text style={[styles.rowDescription, styles.sectionIntro]}>
+          Below this level, and in Low Power Mode, only reminders marked critical are watched
+        </Text>
+        <View style={styles.themeOptions}>
+          {LOW_BATTERY_THRESHOLD_OPTIONS.map((option) => {
+            const isSelected = threshold === option.value;
+            return (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.themeOption, isSelected && styles.themeOptionSelected]}
+                onPress={() => handleChange('lowBatteryThreshold', option.value)}
+                activeOpacity={0.7}
+                testID={`setting-low-battery-${option.value}`}
+              >
+                <Text style={[styles.themeOptionText, isSelected && styles.selectedText]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+        {threshold > 0 && (
+          <View style={[styles.card, styles.subsectionCard]}>
+            {LOW_BATTERY_MODE_OPTIONS.map((option, index) => {
+              const isSelected = selectedMode === option.value;
+              return (
+                <View key={option.value}>
+                  {index > 0 && <View style={styles.divider} />}
+                  <TouchableOpacity
+                    style={styles.row}
+                    onPress={() => handleChange('lowBatteryMode', option.value)}
+                    activeOpacity={0.7}
+                    testID={`setting-low-battery-mode-${option.value}`}
+                  >
+                    <Text style={styles.optionIcon}>{option.icon}</Text>
+                    <View style={styles.rowText}>
+                      <Text style={[styles.rowLabel, isSelected && styles.selectedText]}>{option.label}</Text>
+                      <Text style={styles.rowDescription}>{option.description}</Text>
+                    </View>
+                    <Text style={styles.checkmark}>{isSelected ? '✓' : ''}</Text>
+                  </TouchableOpacity>
+                </View>
+              );
+            })}
+          </View>
+        )}
+        {powerNotice && (
+          <Text style={styles.sectionNote}>{powerNotice}</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderPermissionSettings = () => {
+    const issueCount = getPermissionIssues(permissionStatus).length;
+
+    return (
+      <View style={styles.section}>
+        <Text style={styles.sectionLabel}>Permissions</Text>
+        <View style={styles.card}>
+          <TouchableOpacity
+            style={styles.row}
+            onPress={() => setShowPermissions(true)}
+            activeOpacity={0.7}
+            testID="open-permissions"
+          >
+            <Text style={styles.optionIcon}>{issueCount > 0 ? '⚠️' : '✅'}</Text>
+            <View style={styles.rowText}>
+              <Text style={styles.rowLabel}>Permission status</Text>
+              <Text style={styles.rowDescription}>
+                {issueCount > 0
+                  ? `${issueCount} need${issueCount === 1 ? 's' : ''} attention. See how to fix ${issueCount === 1 ? 'it' : 'them'}.`
+                  : 'Location, notifications and background refresh'}
+              </Text>
+            </View>
+            <Text style={styles.chevron}>›</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderRadiusSettings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>New Reminders</Text>
+      <RadiusSelector
+        label="Default Radius"
+        radius={defaultRadius}
+        onRadiusChange={setDefaultRadius}
+        minRadius={50}
+        maxRadius={1000}
+      />
+    </View>
+  );
+
+  const renderDataSettings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Data</Text>
+      <View style={styles.card}>
+        <TouchableOpacity
+          style={styles.row}
+          onPress={handleExport}
+          activeOpacity={0.7}
+          testID="export-backup"
+        >
+          <Text style={styles.optionIcon}>📤</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Export backup</Text>
+            <Text style={styles.rowDescription}>Save your reminders and settings to a file</Text>
+          </View>
+        </TouchableOpacity>
+        <View style={styles.divider} />
+        <TouchableOpacity
+          style={styles.row}
+          onPress={handleImport}
+          activeOpacity={0.7}
+          testID="import-backup"
+        >
+          <Text style={styles.optionIcon}>📥</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Import backup</Text>
+            <Text style={styles.rowDescription}>Restore reminders from a backup file</Text>
+          </View>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={[styles.sectionLabel, styles.subsectionLabel]}>Places</Text>
+      <View style={styles.card}>
+        <View style={styles.row}>
+          <Text style={styles.optionIcon}>🗺️</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Export locations</Text>
+            <Text style={styles.rowDescription}>Share reminder places with GIS tools</Text>
+          </View>
+        </View>
+        <View style={styles.formatButtons}>
+          {Object.values(GEO_FORMATS).map((format) => (
+            <TouchableOpacity
+              key={format}
+              style={styles.formatButton}
+              onPress={() => handleExportLocations(format)}
+              activeOpacity={0.7}
+              testID={`export-locations-${format}`}
+            >
+              <Text style={styles.formatButtonText}>{GEO_FORMAT_INFO[format].label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <View style={styles.divider} />
+        <TouchableOpacity
+          style={styles.row}
+          onPress={handleImportLocations}
+          activeOpacity={0.7}
+          testID="import-locations"
+        >
+          <Text style={styles.optionIcon}>📍</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Import locations</Text>
+            <Text style={styles.rowDescription}>Create draft reminders from a GeoJSON, KML or GPX file</Text>
+          </View>
+        </TouchableOpacity>
+      </View>
+      <TouchableOpacity
+        style={styles.dangerButton}
+        onPress={handleClearAllData}
+        activeOpacity={0.7}
+        testID="clear-all-data"
+      >
+        <Text style={styles.dangerButtonText}>Clear All Data</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderDeveloperSettings = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Developer</Text>
+      <View style={styles.card}>
+        <TouchableOpacity
+          style={styles.row}
+          onPress={() => setShowSimulator(true)}
+          activeOpacity={0.7}
+          testID="open-simulator"
+        >
+          <Text style={styles.optionIcon}>🧪</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Location simulator</Text>
+            <Text style={styles.rowDescription}>Replay a GPX or JSON trace, or a walk through a reminder, to test triggers</Text>
+          </View>
+          <Text style={styles.chevron}>›</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={globalStyles.safeArea}>
+      <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
+      {renderHeader()}
+
+      {settings && (
+        <ScrollView
+          style={styles.scrollView}
+          contentContainerStyle={styles.scrollContent}
+          showsVerticalScrollIndicator={false}
+        >
+          {renderPermissionSettings()}
+          {renderAppearanceSettings()}
+          {renderNotificationSettings()}
+          {renderAccuracySettings()}
+          {renderGeofencingSettings()}
+          {renderBatterySettings()}
+          {renderRadiusSettings()}
+          {renderDataSettings()}
+          {__DEV__ && renderDeveloperSettings()}
+        </ScrollView>
+      )}
+
+      <Modal
+        visible={showPermissions}
+        animationType="slide"
+        presentationStyle="fullScreen"
+        onRequestClose={() => setShowPermissions(false)}
+      >
+        <PermissionsScreen
+          navigation={{
+            goBack: () => setShowPermissions(false)
+          }}
+        />
+      </Modal>
+
+      {__DEV__ && (
+        <Modal
+          visible={showSimulator}
+          animationType="slide"
+          presentationStyle="fullScreen"
+          onRequestClose={() => setShowSimulator(false)}
+        >
+          <SimulatorScreen
+            navigation={{
+              goBack: () => setShowSimulator(false)
+            }}
+          />
+        </Modal>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    ...shadows.small,
+  },
+  headerButton: {
+    minWidth: 60,
+    alignItems: 'flex-end',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+  headerButtonText: {
+    ...typography.body1,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    ...typography.h3,
+    color: colors.text,
+  },
+  scrollView: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.lg,
+    paddingBottom: spacing.xl,
+  },
+  section: {
+    marginBottom: spacing.lg,
+  },
+  sectionLabel: {
+    ...typography.body1,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    paddingHorizontal: spacing.md,
+    ...shadows.small,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  rowLabel: {
+    ...typography.body1,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  rowDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
+  sectionNote: {
+    ...typography.caption,
+    color: colors.warning,
+    marginTop: spacing.xs,
+    marginHorizontal: spacing.xs,
+  },
+  sectionIntro: {
+    marginTop: 0,
+    marginBottom: spacing.sm,
+    marginHorizontal: spacing.xs,
+  },
+  subsectionCard: {
+    marginTop: spacing.sm,
+  },
+  disabledText: {
+    color: colors.textSecondary,
+  },
+  selectedText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  themeOptions: {
+    flexDirection: 'row',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.xs,
+    ...shadows.small,
+  },
+  themeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  themeOptionSelected: {
+    backgroundColor: colors.background,
+  },
+  themeOptionText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  optionIcon: {
+    fontSize: 20,
+    marginRight: spacing.sm,
+  },
+  checkmark: {
+    ...typography.body1,
+    color: colors.primary,
+    fontWeight: '700',
+    width: 20,
+    textAlign: 'center',
+  },
+  chevron: {
+    ...typography.h3,
+    color: colors.textSecondary,
+  },
+  divider: {
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  subsectionLabel: {
+    marginTop: spacing.md,
+  },
+  formatButtons: {
+    flexDirection: 'row',
+    paddingBottom: spacing.md,
+  },
+  formatButton: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    marginHorizontal: spacing.xs / 2,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    alignItems: 'center',
+  },
+  formatButtonText: {
+    ...typography.body2,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  dangerButton: {
+    marginTop: spacing.md,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    borderWidth: 1,
+    borderColor: colors.error,
+    paddingVertical: spacing.md,
+    alignItems: 'center',
+  },
+  dangerButtonText: {
+    ...typography.body1,
+    color: colors.error,
+    fontWeight: '600',
+  },
+});
+
+export default SettingsScreen;
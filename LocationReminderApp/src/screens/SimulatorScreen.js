@@ -0,0 +1,532 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  StyleSheet,
+  Alert,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import MapView, { Marker, Circle, Polygon, Polyline } from 'react-native-maps';
+import GeofenceManager from '../services/GeofenceManager';
+import LocationSimulator, { SIMULATION_SPEEDS } from '../services/LocationSimulator';
+import BackupService from '../services/BackupService';
+import { parseLocationTrace } from '../utils/geoFormats';
+import { createVisitTrace } from '../utils/locationTraces';
+import { formatTriggerOutcome, formatTriggerEvent } from '../utils/triggerHistoryUtils';
+import { useTheme, useThemedStyles } from '../context/ThemeContext';
+import { spacing, borderRadius } from '../styles/styles';
+
+const MAP_EDGE_PADDING = { top: 40, right: 40, bottom: 40, left: 40 };
+
+// "0:45" or "12:05", from the start of the trace
+const formatOffset = (offsetMs) => {
+  const totalSeconds = Math.round(offsetMs / 1000);
+  const seconds = totalSeconds % 60;
+  return `${Math.floor(totalSeconds / 60)}:${seconds < 10 ? '0' : ''}${seconds}`;
+};
+
+const SimulatorScreen = ({ navigation }) => {
+  const { colors, globalStyles, isDark } = useTheme();
+  const styles = useThemedStyles(createStyles);
+  const mapRef = useRef(null);
+  const [simulation, setSimulation] = useState(LocationSimulator.getState());
+  const [geofences] = useState(() => GeofenceManager.getActiveGeofences());
+
+  const { trace, position, currentFix, isRunning, isActive, log } = simulation;
+
+  // Follow the simulator, and hand location back to the device on the way out
+  useEffect(() => {
+    const unsubscribe = LocationSimulator.addListener(setSimulation);
+    return () => {
+      unsubscribe();
+      LocationSimulator.stop();
+    };
+  }, []);
+
+  // Frame a newly loaded trace, or the geofences before one is loaded
+  const fitMap = (points) => {
+    if (points.length > 0) {
+      mapRef.current?.fitToCoordinates(points, { edgePadding: MAP_EDGE_PADDING, animated: true });
+    }
+  };
+
+  useEffect(() => {
+    fitMap(trace || geofences);
+  }, [trace]);
+
+  const handleLoadFile = async () => {
+    let file;
+    try {
+      file = await BackupService.pickTextFile();
+    } catch (error) {
+      Alert.alert('Load Failed', 'The selected file could not be read.');
+      return;
+    }
+    if (!file) return;
+
+    try {
+      const { fixes, skipped } = parseLocationTrace(file.contents, file.name);
+      await LocationSimulator.load(fixes, file.name);
+      if (skipped > 0) {
+        Alert.alert('Trace Loaded', `${skipped} point${skipped === 1 ? ' was' : 's were'} skipped because they had no usable location.`);
+      }
+    } catch (error) {
+      Alert.alert('Load Failed', error.message);
+    }
+  };
+
+  // Stay reminders get a visit long enough to trigger
+  const handleVisit = async (geofence) => {
+    await LocationSimulator.load(
+      createVisitTrace(geofence, { stayMinutes: geofence.transitionType === 'DWELL' ? geofence.dwellMinutes : 0 }),
+      `Walk through ${geofence.title}`
+    );
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <View style={styles.headerButton} />
+      <Text style={styles.headerTitle}>Location Simulator</Text>
+      <TouchableOpacity onPress={() => navigation?.goBack?.()} style={styles.headerButton}>
+        <Text style={styles.headerButtonText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderGeofence = (geofence) => (
+    geofence.shape === 'polygon' ? (
+      <Polygon
+        key={geofence.id}
+        coordinates={geofence.polygon}
+        strokeColor={colors.primary}
+        fillColor={colors.primary + '33'}
+        strokeWidth={2}
+      />
+    ) : (
+      <Circle
+        key={geofence.id}
+        center={{ latitude: geofence.latitude, longitude: geofence.longitude }}
+        radius={geofence.radius}
+        strokeColor={colors.primary}
+        fillColor={colors.primary + '33'}
+        strokeWidth={2}
+      />
+    )
+  );
+
+  const renderMap = () => (
+    <MapView
+      ref={mapRef}
+      style={styles.map}
+      userInterfaceStyle={isDark ? 'dark' : 'light'}
+      onMapReady={() => fitMap(trace || geofences)}
+      showsCompass={true}
+      showsScale={true}
+      mapType="standard"
+    >
+      {geofences.map(renderGeofence)}
+      {trace && (
+        <Polyline
+          coordinates={trace}
+          strokeColor={colors.textSecondary}
+          strokeWidth={2}
+        />
+      )}
+      {trace && position > 1 && (
+        <Polyline
+          coordinates={trace.slice(0, position)}
+          strokeColor={colors.secondary}
+          strokeWidth={3}
+        />
+      )}
+      {currentFix && (
+        <Marker
+          coordinate={currentFix}
+          anchor={{ x: 0.5, y: 0.5 }}
+        >
+          <View style={styles.fixDot} />
+        </Marker>
+      )}
+    </MapView>
+  );
+
+  const renderTraceSection = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Trace</Text>
+      <View style={styles.card}>
+        <TouchableOpacity
+          style={styles.row}
+          onPress={handleLoadFile}
+          activeOpacity={0.7}
+          testID="simulator-load-file"
+        >
+          <Text style={styles.optionIcon}>📂</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>Load a recorded trace</Text>
+            <Text style={styles.rowDescription}>GPX track or JSON list of locations</Text>
+          </View>
+          <Text style={styles.chevron}>›</Text>
+        </TouchableOpacity>
+        {geofences.length > 0 && (
+          <>
+            <View style={styles.divider} />
+            <View style={styles.row}>
+              <Text style={styles.optionIcon}>🚶</Text>
+              <View style={styles.rowText}>
+                <Text style={styles.rowLabel}>Walk through a reminder</Text>
+                <Text style={styles.rowDescription}>
+                  In from the north, through the center and out to the south. Stays long enough for "Stay" reminders
+                </Text>
+              </View>
+            </View>
+            <View style={styles.chips}>
+              {geofences.map((geofence) => (
+                <TouchableOpacity
+                  key={geofence.id}
+                  style={styles.chip}
+                  onPress={() => handleVisit(geofence)}
+                  activeOpacity={0.7}
+                  testID={`simulator-visit-${geofence.reminderId}`}
+                >
+                  <Text style={styles.chipText} numberOfLines={1}>
+                    {geofence.category ? `${geofence.title} · ${geofence.locationName}` : geofence.title}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </>
+        )}
+      </View>
+      {trace && (
+        <Text style={styles.traceInfo}>
+          {simulation.traceName} · {trace.length} fixes · {formatOffset(trace[trace.length - 1].offsetMs)}
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderPlayback = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Playback</Text>
+      <View style={styles.speedOptions}>
+        {SIMULATION_SPEEDS.map((speed) => {
+          const isSelected = simulation.speed === speed;
+          return (
+            <TouchableOpacity
+              key={speed}
+              style={[styles.speedOption, isSelected && styles.speedOptionSelected]}
+              onPress={() => LocationSimulator.setSpeed(speed)}
+              activeOpacity={0.7}
+              testID={`simulator-speed-${speed}`}
+            >
+              <Text style={[styles.speedOptionText, isSelected && styles.selectedText]}>{speed}×</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+      <View style={styles.controls}>
+        <TouchableOpacity
+          style={[styles.controlButton, styles.primaryButton, !trace && styles.disabledButton]}
+          onPress={() => (isRunning ? LocationSimulator.pause() : LocationSimulator.start())}
+          disabled={!trace}
+          activeOpacity={0.7}
+          testID="simulator-play"
+        >
+          <Text style={styles.primaryButtonText}>{isRunning ? 'Pause' : 'Start'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, (!trace || isRunning) && styles.disabledButton]}
+          onPress={() => LocationSimulator.step()}
+          disabled={!trace || isRunning}
+          activeOpacity={0.7}
+          testID="simulator-step"
+        >
+          <Text style={styles.controlButtonText}>Step</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.controlButton, !isActive && styles.disabledButton]}
+          onPress={() => LocationSimulator.stop()}
+          disabled={!isActive}
+          activeOpacity={0.7}
+          testID="simulator-stop"
+        >
+          <Text style={styles.controlButtonText}>Stop</Text>
+        </TouchableOpacity>
+      </View>
+      {trace && (
+        <Text style={styles.traceInfo}>
+          {currentFix
+            ? [
+              `Fix ${position} of ${trace.length}`,
+              formatOffset(currentFix.offsetMs),
+              typeof currentFix.accuracy === 'number' ? `±${Math.round(currentFix.accuracy)}m` : null,
+            ].filter(Boolean).join(' · ')
+            : 'Not started'}
+        </Text>
+      )}
+      {isActive && (
+        <Text style={styles.sectionNote}>
+          The device's own location is ignored until you stop. Notifications are real.
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderLogEntry = (entry, index) => {
+    if (entry.isEnd) {
+      return (
+        <View key={`end-${index}`}>
+          {index > 0 && <View style={styles.divider} />}
+          <Text style={[styles.logEnd, styles.rowDescription]}>End of trace</Text>
+        </View>
+      );
+    }
+
+    const outcome = formatTriggerOutcome(entry.outcome);
+    return (
+      <View key={`${entry.reminderId}-${entry.type}-${entry.timestamp}`}>
+        {index > 0 && <View style={styles.divider} />}
+        <View style={styles.row}>
+          <Text style={styles.optionIcon}>{outcome.icon}</Text>
+          <View style={styles.rowText}>
+            <Text style={styles.rowLabel}>{entry.title}</Text>
+            <Text style={styles.rowDescription}>{formatTriggerEvent(entry)}</Text>
+            <Text style={styles.rowDescription}>{outcome.label}</Text>
+          </View>
+          <Text style={styles.logTime}>{formatOffset(entry.offsetMs)}</Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderLog = () => (
+    <View style={styles.section}>
+      <Text style={styles.sectionLabel}>Transitions</Text>
+      <View style={styles.card}>
+        {log.length > 0 ? (
+          log.map(renderLogEntry)
+        ) : (
+          <Text style={[styles.logEmpty, styles.rowDescription]}>
+            Arrivals, departures and stays show up here as the trace plays
+          </Text>
+        )}
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={globalStyles.safeArea}>
+      <StatusBar style={isDark ? 'light' : 'dark'} backgroundColor={colors.surface} />
+      {renderHeader()}
+      {renderMap()}
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        {renderTraceSection()}
+        {renderPlayback()}
+        {renderLog()}
+      </ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const createStyles = ({ colors, typography, shadows }) => StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.md,
+    backgroundColor: colors.surface,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+    ...shadows.small,
+  },
+  headerButton: {
+    minWidth: 60,
+    alignItems: 'flex-end',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+  },
+  headerButtonText: {
+    ...typography.body1,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    ...typography.h3,
+    color: colors.text,
+  },
+  map: {
+    height: 280,
+  },
+  fixDot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    backgroundColor: colors.secondary,
+    borderWidth: 2,
+    borderColor: colors.surface,
+  },
+  scrollView: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    paddingHorizontal: spacing.md,
+    paddingTop: spacing.lg,
+    paddingBottom: spacing.xl,
+  },
+  section: {
+    marginBottom: spacing.lg,
+  },
+  sectionLabel: {
+    ...typography.body1,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: spacing.sm,
+  },
+  sectionNote: {
+    ...typography.caption,
+    color: colors.warning,
+    marginTop: spacing.xs,
+    marginHorizontal: spacing.xs,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    paddingHorizontal: spacing.md,
+    ...shadows.small,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.md,
+  },
+  rowText: {
+    flex: 1,
+    marginRight: spacing.sm,
+  },
+  rowLabel: {
+    ...typography.body1,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  rowDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
+  optionIcon: {
+    fontSize: 20,
+    marginRight: spacing.sm,
+  },
+  chevron: {
+    ...typography.h3,
+    color: colors.textSecondary,
+  },
+  divider: {
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  selectedText: {
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingBottom: spacing.md,
+  },
+  chip: {
+    maxWidth: '100%',
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginRight: spacing.xs,
+    marginBottom: spacing.xs,
+    borderRadius: borderRadius.sm,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.body2,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  traceInfo: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+    marginHorizontal: spacing.xs,
+  },
+  speedOptions: {
+    flexDirection: 'row',
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.xs,
+    ...shadows.small,
+  },
+  speedOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  speedOptionSelected: {
+    backgroundColor: colors.background,
+  },
+  speedOptionText: {
+    ...typography.body2,
+    color: colors.textSecondary,
+    fontWeight: '500',
+  },
+  controls: {
+    flexDirection: 'row',
+    marginTop: spacing.sm,
+  },
+  controlButton: {
+    flex: 1,
+    paddingVertical: spacing.sm,
+    marginHorizontal: spacing.xs / 2,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    alignItems: 'center',
+  },
+  controlButtonText: {
+    ...typography.body1,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    backgroundColor: colors.primary,
+  },
+  primaryButtonText: {
+    ...typography.body1,
+    color: colors.surface,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  logTime: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  logEnd: {
+    paddingVertical: spacing.sm,
+    textAlign: 'center',
+  },
+  logEmpty: {
+    paddingVertical: spacing.md,
+    textAlign: 'center',
+  },
+});
+
+export default SimulatorScreen;
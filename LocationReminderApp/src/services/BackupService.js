@@ -0,0 +1,86 @@
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+import StorageService from './StorageService';
+import { GEO_FORMAT_INFO, exportLocations, getExportableReminders } from '../utils/geoFormats';
+
+const BACKUP_MIME_TYPE = 'application/json';
+
+class BackupService {
+  // Write a backup of all reminders and settings to a file and open the share sheet
+  async exportToFile() {
+    const data = await StorageService.exportData();
+    const date = new Date().toISOString().slice(0, 10);
+    const fileUri = await this.shareFile(`georem-backup-${date}.json`, JSON.stringify(data, null, 2), {
+      mimeType: BACKUP_MIME_TYPE,
+      dialogTitle: 'Save GeoRem backup',
+      UTI: 'public.json',
+    });
+
+    return { fileUri, reminderCount: data.reminders.length };
+  }
+
+  // Write reminder locations as a GeoJSON, KML or GPX file and open the share sheet
+  async exportLocationsToFile(format) {
+    const info = GEO_FORMAT_INFO[format];
+    // Category reminders have no location of their own, so they aren't exported
+    const reminders = getExportableReminders(await StorageService.getReminders());
+    if (reminders.length === 0) {
+      throw new Error('There are no reminder locations to export.');
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const fileUri = await this.shareFile(`georem-locations-${date}.${info.extension}`, exportLocations(reminders, format), {
+      mimeType: info.mimeType,
+      dialogTitle: `Share ${info.label} locations`,
+      UTI: info.uti,
+    });
+
+    return { fileUri, reminderCount: reminders.length };
+  }
+
+  // Write a file to the cache directory and open the share sheet for it
+  async shareFile(fileName, contents, shareOptions) {
+    const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+    await FileSystem.writeAsStringAsync(fileUri, contents);
+
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device.');
+    }
+
+    await Sharing.shareAsync(fileUri, shareOptions);
+    return fileUri;
+  }
+
+  // Let the user pick a backup file and parse it, or return null if they cancel
+  async pickBackupFile() {
+    const file = await this.pickTextFile();
+    if (!file) return null;
+
+    try {
+      return JSON.parse(file.contents);
+    } catch (error) {
+      throw new Error('The selected file is not a valid backup.');
+    }
+  }
+
+  // Let the user pick a file and read it as text, or return null if they cancel
+  async pickTextFile() {
+    const result = await DocumentPicker.getDocumentAsync({
+      // File managers rarely report a useful type for .json, .kml or .gpx files
+      type: '*/*',
+      copyToCacheDirectory: true,
+    });
+
+    if (result.canceled || !result.assets?.length) {
+      return null;
+    }
+
+    const asset = result.assets[0];
+    const contents = await FileSystem.readAsStringAsync(asset.uri);
+    return { name: asset.name || '', contents };
+  }
+}
+
+// Export singleton instance
+export default new BackupService();
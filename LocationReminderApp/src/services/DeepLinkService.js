@@ -0,0 +1,126 @@
+import { Linking } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import NotificationActionService, { NOTIFICATION_TAP } from './NotificationActionService';
+import StorageService from './StorageService';
+
+export const APP_SCHEME = 'georem';
+
+// Matches georem://reminder/<id>, and exp://host/--/reminder/<id> in Expo Go
+const REMINDER_URL_PATTERN = new RegExp(`(?:^${APP_SCHEME}://|/--/)reminder/([^/?#]+)`);
+
+// Build the deep link that opens a reminder
+export const buildReminderUrl = (reminderId) => {
+  return `${APP_SCHEME}://reminder/${encodeURIComponent(reminderId)}`;
+};
+
+// Get the reminder ID from a deep link, or null if it isn't a reminder link
+export const parseReminderUrl = (url) => {
+  const match = REMINDER_URL_PATTERN.exec(url || '');
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+class DeepLinkService {
+  constructor() {
+    this.listeners = new Set();
+    this.pendingRoute = null;
+    this.linkSubscription = null;
+    this.removeTapListener = null;
+  }
+
+  // Start routing deep links and notification taps, including the ones that launched the app
+  async start() {
+    if (!this.linkSubscription) {
+      this.linkSubscription = Linking.addEventListener('url', ({ url }) => this.handleUrl(url));
+    }
+
+    if (!this.removeTapListener) {
+      this.removeTapListener = NotificationActionService.addListener((reminderId, action, data) => {
+        if (action === NOTIFICATION_TAP) {
+          this.openReminder(reminderId, data.reminderType === 'checklist' ? 'arrival' : 'details');
+        }
+      });
+    }
+
+    try {
+      const initialUrl = await Linking.getInitialURL();
+      if (initialUrl) {
+        this.handleUrl(initialUrl);
+      }
+
+      // A tap that cold-started the app may arrive before any listener exists.
+      // Action buttons are handled by the background task, and the last response
+      // can still be reported on later launches, so only route a tap, and only once
+      const lastResponse = await Notifications.getLastNotificationResponseAsync();
+      if (lastResponse && lastResponse.actionIdentifier === NOTIFICATION_TAP) {
+        const notificationId = lastResponse.notification.request.identifier;
+        if (notificationId !== (await StorageService.getLastHandledResponse())) {
+          await StorageService.setLastHandledResponse(notificationId);
+          await NotificationActionService.handleResponse(lastResponse);
+        }
+      }
+      if (lastResponse) {
+        await Notifications.clearLastNotificationResponseAsync();
+      }
+    } catch (error) {
+      console.error('Error handling launch link:', error);
+    }
+  }
+
+  // Stop routing deep links and notification taps
+  stop() {
+    if (this.linkSubscription) {
+      this.linkSubscription.remove();
+      this.linkSubscription = null;
+    }
+    if (this.removeTapListener) {
+      this.removeTapListener();
+      this.removeTapListener = null;
+    }
+  }
+
+  // Route a deep link URL
+  handleUrl(url) {
+    const reminderId = parseReminderUrl(url);
+    if (!reminderId) {
+      console.log(`Ignoring unknown link: ${url}`);
+      return false;
+    }
+    this.openReminder(reminderId, 'details');
+    return true;
+  }
+
+  // Ask the UI to show a reminder, keeping the route until someone is listening
+  openReminder(reminderId, view = 'details') {
+    const route = { reminderId, view };
+    console.log('Opening reminder from link:', route);
+
+    if (this.listeners.size === 0) {
+      this.pendingRoute = route;
+      return;
+    }
+
+    this.listeners.forEach((listener) => {
+      try {
+        listener(route);
+      } catch (error) {
+        console.error('Error in deep link listener:', error);
+      }
+    });
+  }
+
+  // Subscribe to reminder routes (returns an unsubscribe function)
+  addListener(listener) {
+    this.listeners.add(listener);
+
+    if (this.pendingRoute) {
+      const route = this.pendingRoute;
+      this.pendingRoute = null;
+      listener(route);
+    }
+
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export singleton instance
+export default new DeepLinkService();
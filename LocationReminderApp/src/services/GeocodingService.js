@@ -0,0 +1,211 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import LocationHistoryService from './LocationHistoryService';
+import {
+  DEFAULT_NOMINATIM_URL,
+  createPlace,
+  createAbortError,
+  isAbortError,
+  createPlatformProvider,
+  createNominatimProvider,
+  createLocalProvider,
+} from './geocodingProviders';
+import { isSamePlace, rankPlaces } from '../utils/placeRanking';
+import { formatCoordinates } from '../utils/locationUtils';
+
+const STORAGE_KEYS = {
+  PLACE_CACHE: '@LocationReminder:placeCache',
+};
+
+// Oldest cached places are dropped once the cache has this many
+const MAX_CACHED_PLACES = 200;
+
+// Shorter queries match too much to be worth a lookup
+export const MIN_QUERY_LENGTH = 2;
+
+// Online results for a query are reused for this long
+const SEARCH_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_SEARCHES = 50;
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+class GeocodingService {
+  constructor() {
+    this.localProvider = createLocalProvider({ loadPlaces: () => this.getLocalPlaces() });
+    this.searchCache = new Map();
+    this.configure();
+  }
+
+  // Choose the online providers, tried in order before falling back to local places.
+  // EXPO_PUBLIC_NOMINATIM_URL points Nominatim at another server, e.g. a local stub
+  configure({ providers, nominatimBaseUrl } = {}) {
+    this.providers = providers || [
+      createNominatimProvider({
+        baseUrl: nominatimBaseUrl || process.env.EXPO_PUBLIC_NOMINATIM_URL || DEFAULT_NOMINATIM_URL,
+      }),
+      createPlatformProvider(),
+    ];
+    this.searchCache.clear();
+  }
+
+  // Search for places, best match first. Places from location history join the
+  // online results, and are all that is searched when every online provider fails.
+  // Pass near to favour places close to it, and signal to cancel the search
+  async search(query, { limit = 5, near = null, signal } = {}) {
+    const trimmedQuery = (query || '').trim();
+    if (trimmedQuery.length < MIN_QUERY_LENGTH) {
+      return [];
+    }
+
+    const onlineResults = await this.searchOnline(trimmedQuery, { limit, signal });
+    throwIfAborted(signal);
+
+    const localResults = await this.localProvider.search(trimmedQuery, { limit });
+    throwIfAborted(signal);
+
+    // Cached lookups would only repeat the online results
+    const knownPlaces = onlineResults
+      ? localResults.filter(place => place.source === 'history')
+      : localResults;
+
+    return rankPlaces([knownPlaces, onlineResults || []], trimmedQuery, { near, limit });
+  }
+
+  // Try each online provider in turn, or return null if none of them found anything
+  async searchOnline(query, { limit, signal }) {
+    const cacheKey = `${limit}:${query.toLowerCase()}`;
+    const cached = this.searchCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < SEARCH_CACHE_TTL_MS) {
+      return cached.results;
+    }
+
+    for (const provider of this.providers) {
+      try {
+        const results = await provider.search(query, { limit, signal });
+        if (results.length > 0) {
+          this.rememberSearch(cacheKey, results);
+          await this.cachePlaces(results);
+          return results;
+        }
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.log(`Geocoding with ${provider.name} failed: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  // Keep a query's results in memory, dropping the oldest queries first
+  rememberSearch(cacheKey, results) {
+    this.searchCache.delete(cacheKey);
+    this.searchCache.set(cacheKey, { results, timestamp: Date.now() });
+
+    if (this.searchCache.size > MAX_CACHED_SEARCHES) {
+      const oldestKey = this.searchCache.keys().next().value;
+      this.searchCache.delete(oldestKey);
+    }
+  }
+
+  // Find the address of some coordinates, falling back to nearby known places
+  async reverse(latitude, longitude, { signal } = {}) {
+    for (const provider of this.providers) {
+      try {
+        const place = await provider.reverse(latitude, longitude, { signal });
+        if (place) {
+          await this.cachePlaces([place]);
+          return place;
+        }
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.log(`Reverse geocoding with ${provider.name} failed: ${error.message}`);
+      }
+    }
+
+    try {
+      return await this.localProvider.reverse(latitude, longitude);
+    } catch (error) {
+      console.error('Error reverse geocoding from local places:', error);
+      return null;
+    }
+  }
+
+  // Get the address of some coordinates, or the coordinates themselves if nothing is known
+  async getAddress(latitude, longitude) {
+    try {
+      const place = await this.reverse(latitude, longitude);
+      if (place) return place.address;
+    } catch (error) {
+      console.error('Error getting address:', error);
+    }
+    return formatCoordinates(latitude, longitude);
+  }
+
+  // Get every place that can be searched offline: location history first, then cached results
+  async getLocalPlaces() {
+    const [history, cached] = await Promise.all([
+      LocationHistoryService.getLocationHistory(),
+      this.getCachedPlaces(),
+    ]);
+
+    const places = history.map(entry => createPlace({
+      id: `history-${entry.id}`,
+      name: entry.name,
+      address: entry.address,
+      latitude: entry.latitude,
+      longitude: entry.longitude,
+    }, 'history'));
+
+    cached.forEach((place) => {
+      if (!places.some(existing => isSamePlace(existing, place))) {
+        places.push(place);
+      }
+    });
+
+    return places;
+  }
+
+  // Get places resolved by earlier online lookups
+  async getCachedPlaces() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.PLACE_CACHE);
+      return jsonValue != null ? JSON.parse(jsonValue) : [];
+    } catch (error) {
+      console.error('Error getting cached places:', error);
+      return [];
+    }
+  }
+
+  // Remember resolved places so they can be found offline later (newest first)
+  async cachePlaces(places) {
+    try {
+      const cached = await this.getCachedPlaces();
+      const remaining = cached.filter(place => !places.some(newPlace => isSamePlace(place, newPlace)));
+      const updated = [...places, ...remaining].slice(0, MAX_CACHED_PLACES);
+
+      await AsyncStorage.setItem(STORAGE_KEYS.PLACE_CACHE, JSON.stringify(updated));
+      return true;
+    } catch (error) {
+      console.error('Error caching places:', error);
+      return false;
+    }
+  }
+
+  // Clear cached places
+  async clearCache() {
+    this.searchCache.clear();
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.PLACE_CACHE);
+      return true;
+    } catch (error) {
+      console.error('Error clearing place cache:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export default new GeocodingService();
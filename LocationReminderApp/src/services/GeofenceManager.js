@@ -1,12 +1,112 @@
 import * as Location from 'expo-location';
 import * as TaskManager from 'expo-task-manager';
 import * as BackgroundFetch from 'expo-background-fetch';
-import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
 import NotificationService from './NotificationService';
+import StorageService from './StorageService';
+import PlaceCategoryService from './PlaceCategoryService';
+import PowerService from './PowerService';
+import PermissionService from './PermissionService';
+import { calculateDistance, getPolygonRadius, isPointInPolygon } from '../utils/geoMath';
+import {
+  DEFAULT_TRANSITION_OPTIONS,
+  TRANSITION_STATUS,
+  createTransitionState,
+  evaluateTransition,
+} from '../utils/transitionEngine';
+import { isWithinSchedule } from '../utils/scheduleUtils';
+import { isRecurrenceArmed, isOneShot } from '../utils/recurrenceUtils';
+import { TRIGGER_OUTCOMES } from '../utils/triggerHistoryUtils';
+import { isCategoryReminder } from '../utils/placeCategories';
+import {
+  getRegionLimit,
+  planGeofenceBudget,
+  rankGeofencesByDistance,
+  shouldRerank,
+} from '../utils/geofenceBudget';
+import { getSamplingTier, selectSamplingTier, getSamplingOptions } from '../utils/samplingTiers';
+import { PERMISSIONS, isUsable } from '../utils/permissionGuides';
+import {
+  POWER_MODES,
+  FULL_POWER_POLICY,
+  evaluatePowerPolicy,
+  isSamePowerPolicy,
+  isPowerSaving,
+} from '../utils/powerPolicy';
 
 const LOCATION_TASK_NAME = 'background-location-task';
 const GEOFENCE_CHECK_TASK = 'geofence-check-task';
+const GEOFENCING_TASK_NAME = 'native-geofencing-task';
+const DEFAULT_DWELL_MINUTES = 10;
+
+// Category reminders get geofences for this many of the nearest matching places,
+// looked up within the search radius and again after moving the refresh distance
+const CATEGORY_PLACE_LIMIT = 5;
+const CATEGORY_SEARCH_RADIUS_METERS = 3000;
+const CATEGORY_REFRESH_DISTANCE_METERS = 1000;
+
+// Location request settings for each "Location accuracy" setting: the finest
+// sampling used until a geofence is close (see samplingTiers). Coarser fixes are
+// accepted at lower accuracy so the transition engine doesn't discard every fix.
+const ACCURACY_PROFILES = {
+  low: {
+    accuracy: Location.Accuracy.Low,
+    foreground: { timeInterval: 60000, distanceInterval: 50 },
+    background: { timeInterval: 120000, distanceInterval: 100 },
+    maxAccuracyMeters: 500,
+  },
+  balanced: {
+    accuracy: Location.Accuracy.Balanced,
+    foreground: { timeInterval: 30000, distanceInterval: 10 },
+    background: { timeInterval: 60000, distanceInterval: 50 },
+    maxAccuracyMeters: 100,
+  },
+  high: {
+    accuracy: Location.Accuracy.High,
+    foreground: { timeInterval: 10000, distanceInterval: 5 },
+    background: { timeInterval: 30000, distanceInterval: 25 },
+    maxAccuracyMeters: 100,
+  },
+};
+
+// How geofences are watched. Native mode hands the armed geofences to the OS, which
+// wakes the app on entry and exit; polling mode tracks the location continuously
+export const GEOFENCING_MODES = {
+  NATIVE: 'native',
+  POLLING: 'polling',
+};
+
+// Platforms whose OS can monitor regions for us
+const NATIVE_GEOFENCING_PLATFORMS = ['ios', 'android'];
+
+// In native mode an extra region around the user wakes the app when they leave
+// it, so the armed geofences can be chosen again
+const BOUNDARY_REGION_ID = 'budget-boundary';
+
+// Android shows this notification while location updates run in the background
+const FOREGROUND_SERVICE = {
+  notificationTitle: 'Location Reminders Active',
+  notificationBody: 'Monitoring your location for reminders',
+};
+
+// Fixes older than this are looked up again before choosing geofences around them
+const RECENT_LOCATION_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Convert an expo-location position into the fix the transition engine uses
+const toFix = (position) => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+  timestamp: new Date(position.timestamp).toISOString(),
+});
+
+// Transitions that should notify for each reminder trigger type
+const NOTIFYING_TRANSITIONS = {
+  ENTER: ['ENTER'],
+  EXIT: ['EXIT'],
+  BOTH: ['ENTER', 'EXIT'],
+  DWELL: ['DWELL'],
+};
 
 // Define the background location task
 TaskManager.defineTask(LOCATION_TASK_NAME, ({ data, error }) => {
@@ -18,7 +118,18 @@ TaskManager.defineTask(LOCATION_TASK_NAME, ({ data, error }) => {
     const { locations } = data;
     console.log('Received new locations', locations);
     // Process location updates in background
-    GeofenceManager.handleBackgroundLocationUpdate(locations[0]);
+    return geofenceManager.handleBackgroundLocationUpdate(locations);
+  }
+});
+
+// Define the task the OS runs when a registered region is entered or left
+TaskManager.defineTask(GEOFENCING_TASK_NAME, ({ data, error }) => {
+  if (error) {
+    console.error('Native geofencing task error:', error);
+    return;
+  }
+  if (data) {
+    return geofenceManager.handleNativeGeofenceEvent(data.eventType, data.region);
   }
 });
 
@@ -26,7 +137,7 @@ TaskManager.defineTask(LOCATION_TASK_NAME, ({ data, error }) => {
 TaskManager.defineTask(GEOFENCE_CHECK_TASK, async () => {
   try {
     console.log('Background geofence check started');
-    await GeofenceManager.performBackgroundGeofenceCheck();
+    await geofenceManager.performBackgroundGeofenceCheck();
     return BackgroundFetch.BackgroundFetchResult.NewData;
   } catch (error) {
     console.error('Background geofence check error:', error);
@@ -37,18 +148,44 @@ TaskManager.defineTask(GEOFENCE_CHECK_TASK, async () => {
 class GeofenceManager {
   constructor() {
     this.activeGeofences = new Map();
+    this.isInitialized = false;
+    this.isInitializing = false; // permission prompts send the app to the background and back
+    this.isSimulating = false; // fixes come from LocationSimulator instead of the device
+    this.simulation = null; // in-memory state simulated fixes work on, see setSimulating
     this.isMonitoring = false;
     this.locationSubscription = null;
     this.lastKnownLocation = null;
+    this.pendingWork = Promise.resolve();
+    this.transitionOptions = { ...DEFAULT_TRANSITION_OPTIONS };
+    this.triggerListeners = new Set();
+    this.locationAccuracy = null;
+    this.isRefreshingCategories = false;
+    // One region is kept back for the boundary region used in native mode
+    this.geofenceBudget = getRegionLimit(Platform.OS) - 1;
+    this.budgetAnchor = null; // where the armed geofences were last chosen
+    this.geofencingMode = null;
+    this.samplingTier = null; // ID of the sampling tier location updates use in polling mode
+    this.powerPolicy = FULL_POWER_POLICY;
+    this.powerPolicyListeners = new Set();
+    this.removePowerListener = null;
+  }
+
+  // Run geofence state changes one at a time so foreground fixes, background
+  // tasks and edits never interleave their reads and writes of stored state
+  runExclusive(task) {
+    const run = this.pendingWork.then(task, task);
+    this.pendingWork = run.catch(() => {});
+    return run;
   }
 
   // Initialize the geofence manager
   async initialize() {
+    this.isInitializing = true;
     try {
       console.log('Initializing Expo GeofenceManager...');
       
-      // Request location permissions
-      const hasPermission = await this.requestLocationPermissions();
+      // Request location permissions, in the background too
+      const { foreground: hasPermission } = await PermissionService.requestLocationPermissions();
       if (!hasPermission) {
         throw new Error('Location permissions not granted');
       }
@@ -59,45 +196,72 @@ class GeofenceManager {
       // Register background tasks
       await this.registerBackgroundTasks();
 
+      // Degrade or restore monitoring as the battery runs low or charges
+      PowerService.start();
+      if (!this.removePowerListener) {
+        this.removePowerListener = PowerService.addListener(() => this.handlePowerStateChange());
+      }
+
       // Load existing geofences from storage
-      await this.loadGeofencesFromStorage();
+      await this.runExclusive(() => this.loadGeofencesFromStorage());
+      console.log(`Loaded ${this.activeGeofences.size} geofences from storage`);
       
       // Start monitoring if there are active geofences
-      if (this.activeGeofences.size > 0) {
+      if (await this.hasMonitoredReminders()) {
         await this.startMonitoring();
       }
 
+      this.isInitialized = true;
       console.log('Expo GeofenceManager initialized successfully');
       return true;
     } catch (error) {
       console.error('Failed to initialize Expo GeofenceManager:', error);
       return false;
+    } finally {
+      this.isInitializing = false;
     }
   }
 
-  // Request location permissions
-  async requestLocationPermissions() {
+  // Pick up permissions changed in the system settings or the permissions screen:
+  // start once location is allowed, stop without it, and switch between native
+  // and polling geofencing as background access comes and goes
+  async recheckPermissions() {
+    if (this.isInitializing) {
+      return;
+    }
+
     try {
-      // Request foreground location permission
-      let { status } = await Location.requestForegroundPermissionsAsync();
-      if (status !== 'granted') {
-        console.error('Foreground location permission not granted');
-        return false;
-      }
-
-      // Request background location permission
-      if (Platform.OS === 'android') {
-        const backgroundStatus = await Location.requestBackgroundPermissionsAsync();
-        if (backgroundStatus.status !== 'granted') {
-          console.warn('Background location permission not granted');
-          // Continue without background location for basic functionality
+      const status = await PermissionService.checkPermissions();
+      if (!status) {
+        return;
+      }
+
+      if (!isUsable(status[PERMISSIONS.FOREGROUND_LOCATION])) {
+        if (this.isMonitoring) {
+          console.log('Location access was turned off, stopping monitoring');
+          await this.stopMonitoring();
         }
+        return;
       }
 
-      return true;
+      if (!this.isInitialized) {
+        await this.initialize();
+        return;
+      }
+
+      if (!this.isMonitoring) {
+        if (await this.hasMonitoredReminders()) {
+          await this.startMonitoring();
+        }
+        return;
+      }
+
+      if ((await this.resolveGeofencingMode(status)) !== this.geofencingMode) {
+        console.log('Background location access changed, restarting monitoring');
+        await this.restartMonitoring();
+      }
     } catch (error) {
-      console.error('Error requesting location permissions:', error);
-      return false;
+      console.error('Error re-checking permissions:', error);
     }
   }
 
@@ -117,46 +281,93 @@ class GeofenceManager {
     }
   }
 
+  // Build the geofence record for a reminder
+  createGeofenceData(reminder) {
+    const polygon = reminder.locationData.polygon || null;
+
+    return {
+      id: `geofence_${reminder.id}`,
+      reminderId: reminder.id,
+      shape: polygon ? 'polygon' : 'circle',
+      latitude: reminder.locationData.latitude,
+      longitude: reminder.locationData.longitude,
+      radius: polygon ? Math.round(getPolygonRadius(polygon)) : reminder.locationData.radius || 100,
+      polygon,
+      title: reminder.title,
+      reminderType: reminder.type,
+      reminderContent: reminder.content,
+      locationName: reminder.location,
+      isActive: true,
+      createdAt: new Date().toISOString(),
+      triggeredCount: 0,
+      lastTriggered: null,
+      transitionType: reminder.geofence?.transitionType || 'ENTER',
+      dwellMinutes: reminder.geofence?.dwellMinutes || DEFAULT_DWELL_MINUTES,
+      schedule: reminder.schedule || null,
+      recurrence: reminder.recurrence || null,
+      isCritical: !!reminder.isCritical, // keeps being watched when the power policy pauses others
+    };
+  }
+
+  // Build the geofence record for one place matching a category reminder
+  createCategoryGeofenceData(reminder, place) {
+    const geofenceData = this.createGeofenceData({
+      ...reminder,
+      location: place.name,
+      locationData: {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        radius: reminder.locationData.radius,
+      },
+    });
+
+    return {
+      ...geofenceData,
+      id: `geofence_${reminder.id}_${place.id}`,
+      category: reminder.locationData.category,
+      placeId: place.id,
+    };
+  }
+
   // Add a new geofence for a reminder
   async addGeofence(reminder) {
     try {
-      const geofenceId = `geofence_${reminder.id}`;
-      
-      const geofenceData = {
-        id: geofenceId,
-        reminderId: reminder.id,
-        latitude: reminder.locationData.latitude,
-        longitude: reminder.locationData.longitude,
-        radius: reminder.locationData.radius || 100,
-        title: reminder.title,
-        reminderType: reminder.type,
-        reminderContent: reminder.content,
-        locationName: reminder.location,
-        isActive: true,
-        createdAt: new Date().toISOString(),
-        triggeredCount: 0,
-        lastTriggered: null,
-        transitionType: 'ENTER',
-      };
+      if (isCategoryReminder(reminder)) {
+        const geofences = await this.addCategoryGeofences(reminder);
+        NotificationService.showGeofenceSetupNotification(reminder);
+        return geofences;
+      }
 
-      // Add to active geofences
-      this.activeGeofences.set(geofenceId, geofenceData);
+      const geofenceData = this.createGeofenceData(reminder);
+      const geofenceId = geofenceData.id;
+      const polygon = geofenceData.polygon;
 
-      // Save to storage
-      await this.saveGeofencesToStorage();
-      
-      // Save reminder data separately for background access
-      await this.saveReminderData(reminder);
+      // Add to active geofences and save to storage, replacing any it had as a category reminder
+      const replacedIds = await this.runExclusive(async () => {
+        const ids = this.getReminderGeofenceIds(reminder.id).filter(id => id !== geofenceId);
+        ids.forEach(id => this.activeGeofences.delete(id));
+        this.activeGeofences.set(geofenceId, geofenceData);
+        await this.saveGeofencesToStorage();
+        return ids;
+      });
+      await this.clearDwellTimers(replacedIds);
+      await this.setCategoryAnchor(reminder.id, null);
 
       // Start monitoring if not already started
       if (!this.isMonitoring) {
         await this.startMonitoring();
+      } else {
+        await this.rearmGeofences();
       }
 
       // Show setup notification
       NotificationService.showGeofenceSetupNotification(reminder);
 
-      console.log(`Geofence added for reminder: ${reminder.title} (radius: ${geofenceData.radius}m)`);
+      console.log(
+        polygon
+          ? `Geofence added for reminder: ${reminder.title} (polygon: ${polygon.length} points)`
+          : `Geofence added for reminder: ${reminder.title} (radius: ${geofenceData.radius}m)`
+      );
       return geofenceData;
     } catch (error) {
       console.error('Error adding geofence:', error);
@@ -164,39 +375,96 @@ class GeofenceManager {
     }
   }
 
-  // Save reminder data for background access
-  async saveReminderData(reminder) {
+  // Update the geofence for an edited reminder, keeping its trigger history
+  async updateGeofence(reminder) {
     try {
-      const storedReminders = await AsyncStorage.getItem('reminders');
-      let reminders = storedReminders ? JSON.parse(storedReminders) : [];
-      
-      // Update or add reminder
-      const existingIndex = reminders.findIndex(r => r.id === reminder.id);
-      if (existingIndex >= 0) {
-        reminders[existingIndex] = reminder;
-      } else {
-        reminders.push(reminder);
+      if (isCategoryReminder(reminder)) {
+        return await this.addCategoryGeofences(reminder);
       }
-      
-      await AsyncStorage.setItem('reminders', JSON.stringify(reminders));
+
+      const existing = this.getGeofenceByReminderId(reminder.id);
+      if (!existing) {
+        return await this.addGeofence(reminder);
+      }
+
+      const geofenceData = this.createGeofenceData(reminder);
+      const isSameArea = this.isSameArea(existing, geofenceData);
+      const updatedGeofence = this.mergeGeofenceState(existing, geofenceData);
+
+      await this.runExclusive(async () => {
+        this.activeGeofences.set(updatedGeofence.id, updatedGeofence);
+        await this.saveGeofencesToStorage();
+      });
+
+      if (!isSameArea) {
+        await this.clearDwellTimer(updatedGeofence.id);
+      }
+      // Whether a reminder is critical decides if it's paused on low battery
+      if (!isSameArea || existing.isCritical !== updatedGeofence.isCritical) {
+        await this.rearmGeofences();
+      }
+
+      console.log(`Geofence updated for reminder: ${reminder.title}`);
+      return updatedGeofence;
     } catch (error) {
-      console.error('Error saving reminder data:', error);
+      console.error('Error updating geofence:', error);
+      throw error;
     }
   }
 
-  // Remove a geofence
+  // Check whether two geofences cover the same area
+  isSameArea(a, b) {
+    return (
+      a.latitude === b.latitude &&
+      a.longitude === b.longitude &&
+      a.radius === b.radius &&
+      JSON.stringify(a.polygon) === JSON.stringify(b.polygon)
+    );
+  }
+
+  // Carry the trigger history of an existing geofence over to its rebuilt record
+  mergeGeofenceState(existing, geofenceData) {
+    const isSameArea = this.isSameArea(existing, geofenceData);
+
+    return {
+      ...geofenceData,
+      createdAt: existing.createdAt,
+      triggeredCount: existing.triggeredCount,
+      lastTriggered: existing.lastTriggered,
+      lastTransitionType: existing.lastTransitionType,
+      // A moved or reshaped area needs a fresh inside/outside reading
+      wasInside: isSameArea ? existing.wasInside : undefined,
+      transitionState: isSameArea ? existing.transitionState : undefined,
+      lastChecked: isSameArea ? existing.lastChecked : undefined,
+      isInRegion: isSameArea ? existing.isInRegion : undefined,
+    };
+  }
+
+  // Remove a reminder's geofence, or all of them for a category reminder
   async removeGeofence(reminderId) {
     try {
-      const geofenceId = `geofence_${reminderId}`;
-      const geofence = this.activeGeofences.get(geofenceId);
-
-      if (geofence) {
-        this.activeGeofences.delete(geofenceId);
+      await this.setCategoryAnchor(reminderId, null);
+
+      // Reload first, as this may run from a background task with no geofences in memory
+      const removedIds = await this.runExclusive(async () => {
+        await this.loadGeofencesFromStorage();
+        const ids = this.getReminderGeofenceIds(reminderId);
+        if (ids.length === 0) {
+          return ids;
+        }
+        ids.forEach(id => this.activeGeofences.delete(id));
         await this.saveGeofencesToStorage();
+        return ids;
+      });
+
+      if (removedIds.length > 0) {
+        await this.clearDwellTimers(removedIds);
 
         // Stop monitoring if no active geofences
-        if (this.activeGeofences.size === 0) {
-          this.stopMonitoring();
+        if (!(await this.hasMonitoredReminders())) {
+          await this.stopMonitoring();
+        } else {
+          await this.rearmGeofences();
         }
 
         console.log(`Geofence removed for reminder ID: ${reminderId}`);
@@ -210,8 +478,242 @@ class GeofenceManager {
     }
   }
 
-  // Start location monitoring
-  async startMonitoring() {
+  // Get the IDs of every geofence belonging to a reminder
+  getReminderGeofenceIds(reminderId) {
+    return this.getActiveGeofences()
+      .filter(geofence => geofence.reminderId === reminderId)
+      .map(geofence => geofence.id);
+  }
+
+  // Clear the dwell timers of removed geofences
+  async clearDwellTimers(geofenceIds) {
+    for (const geofenceId of geofenceIds) {
+      await this.clearDwellTimer(geofenceId);
+    }
+  }
+
+  // Get the places a category reminder's geofences currently cover
+  getCategoryPlaces(reminder, geofences = this.getActiveGeofences()) {
+    return geofences
+      .filter(geofence =>
+        geofence.reminderId === reminder.id &&
+        geofence.category === reminder.locationData.category
+      )
+      .map(geofence => ({
+        id: geofence.placeId,
+        name: geofence.locationName,
+        latitude: geofence.latitude,
+        longitude: geofence.longitude,
+      }));
+  }
+
+  // Set up a new or edited category reminder around the user's current location
+  async addCategoryGeofences(reminder) {
+    const location = await this.getRecentLocation();
+    const places = location ? await this.findCategoryPlaces(reminder, location) : null;
+
+    // Until a lookup succeeds, keep watching the places already found for this category
+    const geofences = await this.setCategoryPlaces(reminder, places || this.getCategoryPlaces(reminder));
+    await this.setCategoryAnchor(reminder.id, places ? location : null);
+
+    // Monitoring also keeps the places up to date as the user moves
+    if (!this.isMonitoring) {
+      await this.startMonitoring();
+    }
+
+    console.log(`Category geofences set for reminder: ${reminder.title} (${geofences.length} places)`);
+    return geofences;
+  }
+
+  // Remember where a category reminder's places were looked up, or forget it (null).
+  // Kept in storage, so background tasks don't repeat the lookup
+  async setCategoryAnchor(reminderId, location) {
+    const anchors = await StorageService.getCategoryAnchors();
+    if (location) {
+      anchors[reminderId] = { latitude: location.latitude, longitude: location.longitude };
+    } else if (anchors[reminderId]) {
+      delete anchors[reminderId];
+    } else {
+      return;
+    }
+    await StorageService.saveCategoryAnchors(anchors);
+  }
+
+  // Find the places nearest to a location that match a category reminder (null if the lookup failed)
+  findCategoryPlaces(reminder, location) {
+    return PlaceCategoryService.findNearby(reminder.locationData.category, location, {
+      radius: CATEGORY_SEARCH_RADIUS_METERS,
+      limit: CATEGORY_PLACE_LIMIT,
+    });
+  }
+
+  // Replace a category reminder's geofences with ones for the given places. Places
+  // it was already watching keep their inside/outside state
+  async setCategoryPlaces(reminder, places) {
+    const geofences = places.map(place => this.createCategoryGeofenceData(reminder, place));
+
+    const removedIds = await this.runExclusive(async () => {
+      await this.loadGeofencesFromStorage();
+      const previousIds = this.getReminderGeofenceIds(reminder.id);
+
+      previousIds.forEach(id => this.activeGeofences.delete(id));
+      geofences.forEach((geofenceData) => {
+        const existing = this.activeGeofences.get(geofenceData.id);
+        this.activeGeofences.set(geofenceData.id, existing
+          ? this.mergeGeofenceState(existing, geofenceData)
+          : geofenceData);
+      });
+      await this.saveGeofencesToStorage();
+      return previousIds.filter(id => !this.activeGeofences.has(id));
+    });
+
+    await this.clearDwellTimers(removedIds);
+    await this.rearmGeofences();
+    return geofences;
+  }
+
+  // Get a recent location to choose geofences and look up category places around
+  async getRecentLocation() {
+    const location = this.lastKnownLocation;
+    if (location && Date.now() - new Date(location.timestamp) < RECENT_LOCATION_MAX_AGE_MS) {
+      return location;
+    }
+
+    const position = await this.getCurrentPosition();
+    if (!position) {
+      return location;
+    }
+    this.lastKnownLocation = toFix(position);
+    return this.lastKnownLocation;
+  }
+
+  // Get a fresh position from the device, or null if there is none
+  async getCurrentPosition() {
+    try {
+      return await Location.getCurrentPositionAsync({ accuracy: this.getAccuracyProfile().accuracy });
+    } catch (error) {
+      console.error('Error getting current position:', error);
+      return null;
+    }
+  }
+
+  // Get the active reminders that follow a category of places
+  async getCategoryReminders() {
+    const reminders = await StorageService.getReminders();
+    return reminders.filter(reminder => reminder.isActive && isCategoryReminder(reminder));
+  }
+
+  // Check whether anything needs location updates: a geofence, or a category
+  // reminder that has no places nearby yet
+  async hasMonitoredReminders() {
+    if (this.activeGeofences.size > 0) {
+      return true;
+    }
+    return (await this.getCategoryReminders()).length > 0;
+  }
+
+  // Look up category reminders' places again once the user has moved far enough
+  // from where they were last looked up
+  async refreshCategoryPlaces(location) {
+    // Lookups are slow, so don't start another round while one is running
+    if (this.isRefreshingCategories) {
+      return;
+    }
+    this.isRefreshingCategories = true;
+
+    try {
+      // Paused reminders don't need their places looked up
+      const reminders = (await this.getCategoryReminders())
+        .filter(reminder => !isPowerSaving(this.powerPolicy) || reminder.isCritical);
+
+      const anchors = await StorageService.getCategoryAnchors();
+      for (const reminder of reminders) {
+        const anchor = anchors[reminder.id];
+        const distanceMoved = anchor
+          ? calculateDistance(anchor.latitude, anchor.longitude, location.latitude, location.longitude)
+          : Infinity;
+        if (distanceMoved < CATEGORY_REFRESH_DISTANCE_METERS) {
+          continue;
+        }
+
+        const places = await this.findCategoryPlaces(reminder, location);
+        if (places) {
+          await this.setCategoryPlaces(reminder, places);
+          await this.setCategoryAnchor(reminder.id, location);
+          console.log(`Refreshed places for reminder: ${reminder.title} (${places.length} found)`);
+        }
+      }
+    } catch (error) {
+      console.error('Error refreshing category places:', error);
+    } finally {
+      this.isRefreshingCategories = false;
+    }
+  }
+
+  // Rebuild geofences to match a set of reminders, e.g. after restoring a backup.
+  // Unchanged reminders keep their geofence and its inside/outside state
+  async syncGeofences(reminders) {
+    try {
+      const removedIds = await this.runExclusive(async () => {
+        await this.loadGeofencesFromStorage();
+        const previous = new Map(this.activeGeofences);
+        this.activeGeofences.clear();
+
+        reminders
+          .filter(reminder => reminder.isActive && reminder.locationData)
+          .forEach((reminder) => {
+            // Category reminders keep the places they had; the next location update looks up the rest
+            if (isCategoryReminder(reminder)) {
+              this.getCategoryPlaces(reminder, Array.from(previous.values())).forEach((place) => {
+                const geofenceData = this.createCategoryGeofenceData(reminder, place);
+                this.activeGeofences.set(
+                  geofenceData.id,
+                  this.mergeGeofenceState(previous.get(geofenceData.id), geofenceData)
+                );
+              });
+              return;
+            }
+
+            const geofenceData = this.createGeofenceData(reminder);
+            const existing = previous.get(geofenceData.id);
+
+            this.activeGeofences.set(geofenceData.id, existing
+              ? this.mergeGeofenceState(existing, geofenceData)
+              : {
+                  ...geofenceData,
+                  // Restored reminders keep their trigger counts so cooldowns still apply
+                  triggeredCount: reminder.geofence?.triggeredCount || 0,
+                  lastTriggered: reminder.geofence?.lastTriggered || null,
+                  lastTransitionType: reminder.geofence?.lastTransitionType,
+                });
+          });
+
+        await this.saveGeofencesToStorage();
+        return Array.from(previous.keys()).filter(id => !this.activeGeofences.has(id));
+      });
+
+      await this.clearDwellTimers(removedIds);
+      await StorageService.saveCategoryAnchors({});
+
+      if (!(await this.hasMonitoredReminders())) {
+        await this.stopMonitoring();
+      } else if (!this.isMonitoring) {
+        await this.startMonitoring();
+      } else {
+        await this.rearmGeofences();
+      }
+
+      console.log(`Synced ${this.activeGeofences.size} geofences (${removedIds.length} removed)`);
+      return true;
+    } catch (error) {
+      console.error('Error syncing geofences:', error);
+      return false;
+    }
+  }
+
+  // Start location monitoring. Pass isExclusive when already running inside
+  // runExclusive, which would otherwise wait on itself
+  async startMonitoring({ isExclusive = false } = {}) {
     if (this.isMonitoring) {
       console.log('Already monitoring location');
       return;
@@ -221,36 +723,291 @@ class GeofenceManager {
       console.log('Starting geofence monitoring...');
       this.isMonitoring = true;
 
-      // Start foreground location watching
+      await this.loadAccuracyProfile();
+      this.geofencingMode = await this.resolveGeofencingMode();
+
+      // Too low on battery to track the location; the background fetch task checks instead
+      if (this.powerPolicy.mode === POWER_MODES.FETCH_ONLY) {
+        await this.saveMonitoringState();
+        console.log('Geofence monitoring started (background fetch only)');
+        return;
+      }
+
+      // The OS watches the armed geofences, so no continuous tracking is needed
+      if (this.geofencingMode === GEOFENCING_MODES.NATIVE) {
+        await this.saveMonitoringState();
+        await this.rearmGeofences({ isExclusive });
+        await this.updateCloseWatch();
+        console.log('Geofence monitoring started (native)');
+        return;
+      }
+
+      // Sample finely until a fix shows how far away the geofences are
+      const tier = this.lastKnownLocation
+        ? selectSamplingTier(this.getDistanceToNearestArmedGeofence(this.lastKnownLocation))
+        : getSamplingTier('near');
+      await this.startLocationUpdates(tier);
+
+      console.log('Geofence monitoring started (polling)');
+    } catch (error) {
+      console.error('Error starting monitoring:', error);
+      this.isMonitoring = false;
+      await this.saveMonitoringState();
+    }
+  }
+
+  // Start foreground and background location updates at a sampling tier. A process
+  // the OS started for a background task only restarts the background updates
+  async startLocationUpdates(tier, { watch = true } = {}) {
+    const options = this.getSamplingOptions(tier);
+    this.samplingTier = tier.id;
+    await this.saveMonitoringState();
+
+    // Start foreground location watching
+    if (watch) {
       this.locationSubscription = await Location.watchPositionAsync(
         {
-          accuracy: Location.Accuracy.Balanced,
-          timeInterval: 30000, // 30 seconds
-          distanceInterval: 10, // 10 meters
+          accuracy: options.accuracy,
+          ...options.foreground,
         },
         (location) => {
           this.handleLocationUpdate(location);
         }
       );
+    }
 
-      // Start background location tracking
-      await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
-        accuracy: Location.Accuracy.Balanced,
-        timeInterval: 60000, // 1 minute in background
-        distanceInterval: 50, // 50 meters in background
-        foregroundService: {
-          notificationTitle: 'Location Reminders Active',
-          notificationBody: 'Monitoring your location for reminders',
-        },
-      });
+    // Start background location tracking (starting it again updates the options)
+    await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
+      accuracy: options.accuracy,
+      ...options.background,
+      foregroundService: FOREGROUND_SERVICE,
+    });
+  }
+
+  // Check whether a geofence needs location fixes between the OS's region events:
+  // an area, to see the user cross its outline inside the registered circle, or a
+  // stay reminder, to see how long the user has stayed
+  needsCloseWatch(geofence, dwellTimers) {
+    if (!geofence.isInRegion || geofence.isArmed === false) {
+      return false;
+    }
+    if (geofence.shape === 'polygon') {
+      return true;
+    }
+    const timer = dwellTimers[geofence.id];
+    return geofence.transitionType === 'DWELL' && !(timer && timer.notified);
+  }
 
-      console.log('Geofence monitoring started');
+  // In native mode, track the location while the user is inside a region that needs
+  // a closer look, and stop once none does. Polling mode tracks it all the time
+  async updateCloseWatch() {
+    if (
+      this.geofencingMode !== GEOFENCING_MODES.NATIVE ||
+      this.powerPolicy.mode === POWER_MODES.FETCH_ONLY ||
+      this.isSimulating
+    ) {
+      return;
+    }
+
+    try {
+      const dwellTimers = await StorageService.getDwellTimers();
+      const isNeeded = this.getActiveGeofences().some(geofence => this.needsCloseWatch(geofence, dwellTimers));
+      const isStarted = await Location.hasStartedLocationUpdatesAsync(LOCATION_TASK_NAME);
+
+      if (isNeeded && !isStarted) {
+        const options = this.getSamplingOptions(getSamplingTier('near'));
+        await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
+          accuracy: options.accuracy,
+          ...options.background,
+          foregroundService: FOREGROUND_SERVICE,
+        });
+        console.log('Tracking location until the user leaves an area or stay reminder');
+      } else if (!isNeeded && isStarted) {
+        await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+        console.log('Stopped tracking location, leaving it to the OS again');
+      }
     } catch (error) {
-      console.error('Error starting monitoring:', error);
-      this.isMonitoring = false;
+      console.error('Error updating close watch:', error);
+    }
+  }
+
+  // Get the distance in meters from a location to the nearest armed geofence's
+  // boundary (Infinity when nothing is armed)
+  getDistanceToNearestArmedGeofence(location) {
+    const armed = this.getActiveGeofences().filter(geofence => geofence.isArmed !== false);
+    const [nearest] = rankGeofencesByDistance(armed, location);
+    return nearest ? nearest.distance : Infinity;
+  }
+
+  // Sample coarsely while geofences are far away and finely when approaching one
+  async updateSamplingTier(location) {
+    if (
+      !this.isMonitoring ||
+      this.geofencingMode !== GEOFENCING_MODES.POLLING ||
+      !this.samplingTier ||
+      this.isSimulating
+    ) {
+      return;
+    }
+
+    const distance = this.getDistanceToNearestArmedGeofence(location);
+    const tier = selectSamplingTier(distance, this.samplingTier);
+    if (tier.id === this.samplingTier) {
+      return;
+    }
+
+    console.log(`Nearest geofence ${Math.round(distance)}m away, sampling tier ${this.samplingTier} -> ${tier.id}`);
+    try {
+      const isWatching = !!this.locationSubscription;
+      if (isWatching) {
+        this.locationSubscription.remove();
+        this.locationSubscription = null;
+      }
+      await this.startLocationUpdates(tier, { watch: isWatching });
+    } catch (error) {
+      console.error('Error changing sampling tier:', error);
     }
   }
 
+  // Save how monitoring runs, so a process the OS starts for a background task
+  // carries on with the same mode and sampling tier
+  saveMonitoringState() {
+    return StorageService.saveMonitoringState({
+      isMonitoring: this.isMonitoring,
+      geofencingMode: this.geofencingMode,
+      samplingTier: this.samplingTier,
+    });
+  }
+
+  // Pick up the saved monitoring state in a process started for a background task
+  async restoreMonitoringState() {
+    if (this.isMonitoring) {
+      return;
+    }
+
+    const state = await StorageService.getMonitoringState();
+    this.isMonitoring = !!state.isMonitoring;
+    this.geofencingMode = state.geofencingMode || (await this.resolveGeofencingMode());
+    this.samplingTier = state.samplingTier || null;
+  }
+
+  // Choose between native and polling geofencing from the setting, falling back to
+  // polling where the OS can't monitor regions for the app. Takes permission status
+  // that was just checked, or checks it
+  async resolveGeofencingMode(permissions = null) {
+    const settings = await StorageService.getSettings();
+    if (settings.geofencingMode === GEOFENCING_MODES.POLLING) {
+      return GEOFENCING_MODES.POLLING;
+    }
+
+    if (!NATIVE_GEOFENCING_PLATFORMS.includes(Platform.OS)) {
+      console.log(`Native geofencing is not available on ${Platform.OS}, using polling`);
+      return GEOFENCING_MODES.POLLING;
+    }
+
+    // Region monitoring only runs with "Allow all the time" location access
+    const status = permissions || (await PermissionService.checkPermissions());
+    if (!status || !isUsable(status[PERMISSIONS.BACKGROUND_LOCATION])) {
+      console.log('Background location not granted, using polling geofencing');
+      return GEOFENCING_MODES.POLLING;
+    }
+
+    return GEOFENCING_MODES.NATIVE;
+  }
+
+  // Load the accuracy setting and power policy, and apply them to the transition engine
+  async loadAccuracyProfile() {
+    const settings = await StorageService.getSettings();
+    this.locationAccuracy = ACCURACY_PROFILES[settings.locationAccuracy]
+      ? settings.locationAccuracy
+      : 'balanced';
+    await this.refreshPowerPolicy(settings);
+
+    const profile = this.getAccuracyProfile();
+    this.setTransitionOptions({ maxAccuracyMeters: profile.maxAccuracyMeters });
+    return profile;
+  }
+
+  // Get the location request settings in use: the accuracy setting's, or the
+  // battery saver's while the power policy degrades monitoring
+  getAccuracyProfile() {
+    const accuracy = isPowerSaving(this.powerPolicy) ? 'low' : this.locationAccuracy;
+    return ACCURACY_PROFILES[accuracy] || ACCURACY_PROFILES.balanced;
+  }
+
+  // Get the location request settings for a sampling tier under the current profile
+  getSamplingOptions(tier) {
+    return getSamplingOptions(tier, this.getAccuracyProfile(), {
+      isPowerSaving: isPowerSaving(this.powerPolicy),
+    });
+  }
+
+  // Evaluate the power policy from the battery state and settings. Returns whether it changed
+  async refreshPowerPolicy(settings) {
+    const powerState = await PowerService.getPowerState();
+    const policy = evaluatePowerPolicy(powerState, settings || (await StorageService.getSettings()));
+    if (isSamePowerPolicy(policy, this.powerPolicy)) {
+      return false;
+    }
+
+    console.log(`Power policy: ${policy.mode}${policy.reason ? ` (${policy.reason})` : ''}`);
+    this.powerPolicy = policy;
+    // Pausing or resuming reminders changes which geofences should be armed
+    this.budgetAnchor = null;
+    this.powerPolicyListeners.forEach((listener) => listener(policy));
+    return true;
+  }
+
+  // Restart monitoring when the battery state changes how it should run
+  async handlePowerStateChange() {
+    try {
+      if (!(await this.refreshPowerPolicy())) {
+        return;
+      }
+
+      await this.restartMonitoring();
+    } catch (error) {
+      console.error('Error applying power policy:', error);
+    }
+  }
+
+  // Subscribe to power policy changes (returns an unsubscribe function)
+  addPowerPolicyListener(listener) {
+    this.powerPolicyListeners.add(listener);
+    return () => this.powerPolicyListeners.delete(listener);
+  }
+
+  // Apply changed settings, restarting monitoring when the accuracy, geofencing mode
+  // or power policy changed
+  async applySettings(settings) {
+    const powerChanged = await this.refreshPowerPolicy(settings);
+    if (!this.isMonitoring) {
+      return;
+    }
+
+    const accuracyChanged = settings.locationAccuracy !== this.locationAccuracy;
+    const modeChanged = (await this.resolveGeofencingMode()) !== this.geofencingMode;
+    if (!accuracyChanged && !modeChanged && !powerChanged) {
+      return;
+    }
+
+    console.log('Location settings changed, restarting monitoring');
+    await this.restartMonitoring();
+  }
+
+  // Stop and start monitoring again, if it is running, to pick up changed settings.
+  // Runs exclusively so no location fix is checked halfway through the restart
+  restartMonitoring() {
+    return this.runExclusive(async () => {
+      if (!this.isMonitoring) {
+        return;
+      }
+
+      await this.stopMonitoring();
+      await this.startMonitoring({ isExclusive: true });
+    });
+  }
+
   // Stop location monitoring
   async stopMonitoring() {
     if (!this.isMonitoring) {
@@ -272,50 +1029,76 @@ class GeofenceManager {
         await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
       }
 
+      // Stop native region monitoring
+      if (await Location.hasStartedGeofencingAsync(GEOFENCING_TASK_NAME)) {
+        await Location.stopGeofencingAsync(GEOFENCING_TASK_NAME);
+      }
+
       this.isMonitoring = false;
+      this.samplingTier = null;
+      await this.saveMonitoringState();
       console.log('Geofence monitoring stopped');
     } catch (error) {
       console.error('Error stopping monitoring:', error);
     }
   }
 
-  // Handle location updates
-  handleLocationUpdate(location) {
-    const currentLocation = {
-      latitude: location.coords.latitude,
-      longitude: location.coords.longitude,
-      timestamp: new Date(location.timestamp).toISOString(),
-    };
+  // Handle location updates. While simulating, only the simulator's fixes are used
+  handleLocationUpdate(location, { simulated = false } = {}) {
+    if (this.isSimulating && !simulated) {
+      return Promise.resolve();
+    }
+
+    const currentLocation = toFix(location);
 
     console.log('Location update:', currentLocation);
     this.lastKnownLocation = currentLocation;
 
-    // Check all active geofences
-    this.checkGeofences(currentLocation);
+    // Check all active geofences, then keep category reminders' places near the user.
+    // Simulated fixes only check the places already found
+    return this.processLocation(currentLocation)
+      .then(() => (simulated ? null : this.refreshCategoryPlaces(currentLocation)));
+  }
+
+  // Check a location against the stored geofence state and save the result, so
+  // inside/outside state survives background invocations and process restarts
+  processLocation(currentLocation) {
+    return this.runExclusive(async () => {
+      try {
+        await this.loadGeofencesFromStorage();
+        if (this.needsRerank(currentLocation)) {
+          this.rankGeofences(currentLocation);
+          await this.registerNativeRegions();
+        }
+        await this.checkGeofences(currentLocation);
+        await this.saveGeofencesToStorage();
+        await this.updateSamplingTier(currentLocation);
+        await this.updateCloseWatch();
+
+        // The last one-shot reminder may just have retired
+        if (!this.isSimulating && !(await this.hasMonitoredReminders())) {
+          await this.stopMonitoring();
+        }
+      } catch (error) {
+        console.error('Error processing location update:', error);
+      }
+    });
   }
 
   // Handle background location updates
-  static async handleBackgroundLocationUpdate(location) {
+  async handleBackgroundLocationUpdate(locations) {
     try {
-      const currentLocation = {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
-        timestamp: new Date(location.timestamp).toISOString(),
-      };
-
-      console.log('Background location update:', currentLocation);
-      
-      // Load geofences from storage
-      const storedGeofences = await AsyncStorage.getItem('activeGeofences');
-      if (storedGeofences) {
-        const geofencesArray = JSON.parse(storedGeofences);
-        const activeGeofences = new Map();
-        geofencesArray.forEach((geofence) => {
-          activeGeofences.set(geofence.id, geofence);
-        });
+      // The app may have been started just to run this task
+      await StorageService.initialize();
+      if (!this.locationAccuracy) {
+        await this.loadAccuracyProfile();
+      }
+      await this.restoreMonitoringState();
 
-        // Check geofences
-        GeofenceManager.prototype.checkGeofences.call({ activeGeofences }, currentLocation);
+      // Fixes can arrive batched; replay them in order so no transition is skipped
+      for (const location of locations) {
+        console.log('Background location update:', location.coords);
+        await this.handleLocationUpdate(location);
       }
     } catch (error) {
       console.error('Error handling background location update:', error);
@@ -323,71 +1106,404 @@ class GeofenceManager {
   }
 
   // Perform background geofence check
-  static async performBackgroundGeofenceCheck() {
+  async performBackgroundGeofenceCheck() {
     try {
       console.log('Performing background geofence check...');
+      // The app may have been started just to run this task
+      await StorageService.initialize();
+      await this.restoreMonitoringState();
+      // Battery events aren't delivered while the app is suspended
+      await this.handlePowerStateChange();
+      const profile = await this.loadAccuracyProfile();
       
       // Get current location
       const location = await Location.getCurrentPositionAsync({
-        accuracy: Location.Accuracy.Balanced,
+        accuracy: profile.accuracy,
       });
 
-      const currentLocation = {
-        latitude: location.coords.latitude,
-        longitude: location.coords.longitude,
+      await this.handleLocationUpdate({ ...location, timestamp: Date.now() });
+    } catch (error) {
+      console.error('Error during background geofence check:', error);
+    }
+  }
+
+  // Check whether the armed geofences need choosing again: after moving far enough,
+  // or when geofences were added or removed since they were last chosen
+  needsRerank(location) {
+    const geofences = this.getActiveGeofences();
+    if (geofences.some(geofence => typeof geofence.isArmed !== 'boolean')) {
+      return true;
+    }
+
+    const armedCount = geofences.filter(geofence => geofence.isArmed).length;
+    if (armedCount < Math.min(this.getWatchedGeofences().length, this.geofenceBudget)) {
+      return true;
+    }
+
+    return shouldRerank(this.budgetAnchor, location);
+  }
+
+  // Arm only the geofences nearest to a location, up to the budget. The others
+  // keep their last state and are skipped until the user gets closer
+  rankGeofences(location) {
+    const { armedIds, rerankDistance } = planGeofenceBudget(
+      this.getWatchedGeofences(),
+      location,
+      this.geofenceBudget
+    );
+
+    this.activeGeofences.forEach((geofence) => {
+      geofence.isArmed = armedIds.has(geofence.id);
+    });
+    this.budgetAnchor = {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      rerankDistance,
+    };
+
+    console.log(`Armed ${armedIds.size} of ${this.activeGeofences.size} geofences`);
+  }
+
+  // Get the geofences that can be armed: all of them, or only critical reminders'
+  // while the power policy pauses the rest
+  getWatchedGeofences() {
+    const geofences = this.getActiveGeofences();
+    return isPowerSaving(this.powerPolicy)
+      ? geofences.filter(geofence => geofence.isCritical)
+      : geofences;
+  }
+
+  // Change how many geofences can be armed at once
+  setGeofenceBudget(limit) {
+    this.geofenceBudget = limit;
+    this.budgetAnchor = null;
+  }
+
+  // Check if current location triggers any geofences
+  async checkGeofences(currentLocation) {
+    for (const geofence of this.activeGeofences.values()) {
+      if (geofence.isArmed === false) {
+        continue;
+      }
+
+      const { state, transition } = evaluateTransition(
+        geofence,
+        currentLocation,
+        this.getTransitionState(geofence),
+        this.getTransitionOptions()
+      );
+      const isInsideGeofence = state.status === TRANSITION_STATUS.INSIDE;
+
+      // Update the geofence state before notifying, so it is saved even if
+      // the process is suspended while the notification is being shown
+      geofence.transitionState = state;
+      geofence.wasInside = isInsideGeofence;
+      geofence.lastChecked = currentLocation.timestamp;
+
+      if (transition) {
+        await this.handleGeofenceTransition(geofence, transition, currentLocation);
+      }
+
+      // Track how long we've stayed inside for dwell reminders
+      if (geofence.transitionType === 'DWELL') {
+        await this.updateDwellTimer(geofence, isInsideGeofence, currentLocation);
+      }
+
+      if (geofence.isActive === false) {
+        await this.retireGeofence(geofence);
+      }
+    }
+  }
+
+  // One-shot reminders turn their geofence off once they have fired,
+  // along with the other places of a category reminder
+  async retireGeofence(geofence) {
+    const retiredIds = geofence.category
+      ? this.getReminderGeofenceIds(geofence.reminderId)
+      : [geofence.id];
+    retiredIds.forEach(id => this.activeGeofences.delete(id));
+    await this.clearDwellTimers(retiredIds);
+    console.log(`Geofence retired after firing once: ${geofence.title}`);
+  }
+
+  // Handle a region the OS reported entering or leaving (native mode)
+  async handleNativeGeofenceEvent(eventType, region) {
+    if (this.isSimulating) {
+      console.log(`Ignoring native geofence event while simulating: ${region.identifier}`);
+      return;
+    }
+
+    try {
+      // The app may have been started just to run this task
+      await StorageService.initialize();
+      if (!this.locationAccuracy) {
+        await this.loadAccuracyProfile();
+      }
+      await this.restoreMonitoringState();
+      this.geofencingMode = GEOFENCING_MODES.NATIVE;
+
+      // A fresh fix records where the user really is, not just the region's center
+      const position = await this.getCurrentPosition();
+
+      if (region.identifier === BOUNDARY_REGION_ID) {
+        // The user left the area the armed geofences were chosen for
+        console.log('Left the geofence boundary region, choosing geofences again');
+        this.budgetAnchor = null;
+        if (position) {
+          await this.handleLocationUpdate(position);
+        }
+        return;
+      }
+
+      const transitionType = eventType === Location.GeofencingEventType.Enter ? 'ENTER' : 'EXIT';
+      const location = position ? toFix(position) : {
+        latitude: region.latitude,
+        longitude: region.longitude,
+        accuracy: null,
         timestamp: new Date().toISOString(),
       };
+      if (position) {
+        this.lastKnownLocation = location;
+      }
 
-      // Load and check geofences
-      const storedGeofences = await AsyncStorage.getItem('activeGeofences');
-      if (storedGeofences) {
-        const geofencesArray = JSON.parse(storedGeofences);
-        const activeGeofences = new Map();
-        geofencesArray.forEach((geofence) => {
-          activeGeofences.set(geofence.id, geofence);
+      const retired = await this.runExclusive(async () => {
+        await this.loadGeofencesFromStorage();
+        const geofence = this.activeGeofences.get(region.identifier);
+        if (!geofence) {
+          return false;
+        }
+
+        await this.applyNativeTransition(geofence, transitionType, location);
+        await this.saveGeofencesToStorage();
+        return geofence.isActive === false;
+      });
+
+      // A retired one-shot reminder frees up regions for other geofences
+      if (retired) {
+        if (await this.hasMonitoredReminders()) {
+          await this.rearmGeofences();
+        } else {
+          await this.stopMonitoring();
+          return;
+        }
+      }
+
+      await this.updateCloseWatch();
+    } catch (error) {
+      console.error('Error handling native geofence event:', error);
+    }
+  }
+
+  // Apply an entry or exit reported by the OS, notifying the same way a polled transition does
+  async applyNativeTransition(geofence, transitionType, location) {
+    const status = transitionType === 'ENTER' ? TRANSITION_STATUS.INSIDE : TRANSITION_STATUS.OUTSIDE;
+    // While inside the region, updateCloseWatch tracks the location if needed
+    geofence.isInRegion = status === TRANSITION_STATUS.INSIDE;
+
+    // Areas are registered as the circle around their outline, so entering that
+    // circle only counts once the user is inside the outline itself. Location
+    // updates check for that until the user leaves the circle
+    if (
+      status === TRANSITION_STATUS.INSIDE &&
+      geofence.shape === 'polygon' &&
+      !isPointInPolygon(location, geofence.polygon)
+    ) {
+      console.log(`Near but not inside area: ${geofence.title}`);
+      return;
+    }
+
+    const previousStatus = this.getTransitionState(geofence).status;
+    geofence.transitionState = createTransitionState(status);
+    geofence.wasInside = status === TRANSITION_STATUS.INSIDE;
+    geofence.lastChecked = location.timestamp;
+
+    // A polled fix may already have seen this crossing, and a geofence that
+    // starts out with the user outside hasn't been exited
+    const isNewTransition = previousStatus !== status &&
+      !(status === TRANSITION_STATUS.OUTSIDE && previousStatus === TRANSITION_STATUS.UNKNOWN);
+    if (isNewTransition) {
+      await this.handleGeofenceTransition(geofence, transitionType, location);
+    }
+
+    // Dwell timers start here and finish on a later fix, which updateCloseWatch provides
+    if (geofence.transitionType === 'DWELL') {
+      await this.updateDwellTimer(geofence, status === TRANSITION_STATUS.INSIDE, location);
+    }
+
+    if (geofence.isActive === false) {
+      await this.retireGeofence(geofence);
+    }
+  }
+
+  // Register the armed geofences with the OS, plus a boundary region around where
+  // they were chosen. Does nothing in polling mode
+  async registerNativeRegions() {
+    if (
+      this.geofencingMode !== GEOFENCING_MODES.NATIVE ||
+      this.powerPolicy.mode === POWER_MODES.FETCH_ONLY ||
+      this.isSimulating
+    ) {
+      return;
+    }
+
+    try {
+      const regions = this.getActiveGeofences()
+        .filter(geofence => geofence.isArmed)
+        .map(geofence => ({
+          identifier: geofence.id,
+          latitude: geofence.latitude,
+          longitude: geofence.longitude,
+          radius: geofence.radius,
+          notifyOnEnter: true,
+          notifyOnExit: true,
+        }));
+
+      // Leaving the boundary means a geofence that isn't armed may be getting close,
+      // or category reminders may need their places looked up again
+      if (this.budgetAnchor) {
+        regions.push({
+          identifier: BOUNDARY_REGION_ID,
+          latitude: this.budgetAnchor.latitude,
+          longitude: this.budgetAnchor.longitude,
+          radius: Math.min(this.budgetAnchor.rerankDistance, CATEGORY_REFRESH_DISTANCE_METERS),
+          notifyOnEnter: false,
+          notifyOnExit: true,
         });
+      }
 
-        // Check geofences
-        GeofenceManager.prototype.checkGeofences.call({ activeGeofences }, currentLocation);
+      if (regions.length === 0) {
+        if (await Location.hasStartedGeofencingAsync(GEOFENCING_TASK_NAME)) {
+          await Location.stopGeofencingAsync(GEOFENCING_TASK_NAME);
+        }
+        return;
       }
+
+      // Starting again replaces the regions registered before
+      await Location.startGeofencingAsync(GEOFENCING_TASK_NAME, regions);
+      console.log(`Registered ${regions.length} regions with the OS`);
     } catch (error) {
-      console.error('Error during background geofence check:', error);
+      console.error('Error registering native geofences:', error);
     }
   }
 
-  // Check if current location triggers any geofences
-  checkGeofences(currentLocation) {
-    this.activeGeofences.forEach((geofence, geofenceId) => {
-      const distance = this.calculateDistance(
-        currentLocation.latitude,
-        currentLocation.longitude,
-        geofence.latitude,
-        geofence.longitude
+  // Choose the armed geofences again after geofences were added or removed. Polling
+  // mode does this on the next fix; native mode has to register them right away.
+  // Pass isExclusive when already running inside runExclusive
+  async rearmGeofences({ isExclusive = false } = {}) {
+    if (
+      !this.isMonitoring ||
+      this.geofencingMode !== GEOFENCING_MODES.NATIVE ||
+      this.powerPolicy.mode === POWER_MODES.FETCH_ONLY
+    ) {
+      return;
+    }
+
+    const location = await this.getRecentLocation();
+    if (!location) {
+      return;
+    }
+
+    const rearm = async () => {
+      await this.loadGeofencesFromStorage();
+      this.rankGeofences(location);
+      await this.saveGeofencesToStorage();
+      await this.registerNativeRegions();
+    };
+    await (isExclusive ? rearm() : this.runExclusive(rearm));
+  }
+
+  // Get the transition state of a geofence, migrating the older wasInside flag
+  getTransitionState(geofence) {
+    if (geofence.transitionState) {
+      return geofence.transitionState;
+    }
+    if (typeof geofence.wasInside === 'boolean') {
+      return createTransitionState(
+        geofence.wasInside ? TRANSITION_STATUS.INSIDE : TRANSITION_STATUS.OUTSIDE
       );
+    }
+    return createTransitionState();
+  }
+
+  // Tune the hysteresis band, accuracy threshold and confirmation count
+  setTransitionOptions(options) {
+    this.transitionOptions = { ...this.transitionOptions, ...options };
+  }
+
+  // Get the transition options to check fixes with. Background fetch checks are
+  // 15 minutes or more apart, so there one fix confirms a transition
+  getTransitionOptions() {
+    return this.powerPolicy.mode === POWER_MODES.FETCH_ONLY
+      ? { ...this.transitionOptions, requiredConsecutiveFixes: 1 }
+      : this.transitionOptions;
+  }
+
+  // Start, advance or clear the persisted dwell timer for a geofence
+  async updateDwellTimer(geofence, isInside, location) {
+    try {
+      if (!isInside) {
+        await this.clearDwellTimer(geofence.id);
+        return;
+      }
 
-      const isInsideGeofence = distance <= geofence.radius;
-      const wasInsideGeofence = geofence.wasInside || false;
+      const timer = await this.getDwellTimer(geofence.id);
+      if (!timer) {
+        await this.saveDwellTimer(geofence.id, {
+          enteredAt: location.timestamp,
+          notified: false,
+        });
+        return;
+      }
 
-      // Check for ENTER transition
-      if (isInsideGeofence && !wasInsideGeofence) {
-        this.handleGeofenceTransition(geofence, 'ENTER', currentLocation);
+      if (timer.notified) {
+        return;
       }
-      // Check for EXIT transition
-      else if (!isInsideGeofence && wasInsideGeofence) {
-        this.handleGeofenceTransition(geofence, 'EXIT', currentLocation);
+
+      const dwellMs = (geofence.dwellMinutes || DEFAULT_DWELL_MINUTES) * 60 * 1000;
+      const elapsedMs = new Date(location.timestamp) - new Date(timer.enteredAt);
+      if (elapsedMs >= dwellMs) {
+        // Only mark the dwell as handled once it actually notified, so a
+        // dwell outside the reminder's schedule can still fire later on
+        const outcome = await this.handleGeofenceTransition(
+          geofence,
+          'DWELL',
+          location,
+          timer.lastOutcome
+        );
+        await this.saveDwellTimer(geofence.id, {
+          ...timer,
+          notified: outcome === TRIGGER_OUTCOMES.NOTIFIED,
+          lastOutcome: outcome,
+        });
       }
+    } catch (error) {
+      console.error('Error updating dwell timer:', error);
+    }
+  }
 
-      // Update the geofence state
-      geofence.wasInside = isInsideGeofence;
-      geofence.lastChecked = currentLocation.timestamp;
-    });
+  // Check whether a transition matches the reminder's configured trigger
+  shouldNotify(geofence, transitionType) {
+    const notifyingTransitions = NOTIFYING_TRANSITIONS[geofence.transitionType || 'ENTER'] || [];
+    return notifyingTransitions.includes(transitionType);
   }
 
-  // Handle geofence transition events
-  async handleGeofenceTransition(geofence, transitionType, location) {
+  // Handle geofence transition events (returns the outcome, see TRIGGER_OUTCOMES)
+  async handleGeofenceTransition(geofence, transitionType, location, previousOutcome = null) {
+    let outcome = TRIGGER_OUTCOMES.FAILED;
+
     try {
       console.log(`Geofence ${transitionType}: ${geofence.title}`);
 
+      // Load the full reminder data from storage
+      const fullReminder = await this.loadReminderData(geofence.reminderId);
+
+      const skipReason = await this.getSkipReason(geofence, transitionType, location, fullReminder);
+      if (skipReason) {
+        outcome = skipReason;
+        console.log(`Skipping ${transitionType} notification (${skipReason}): ${geofence.title}`);
+        return outcome;
+      }
+
       // Update geofence data
       geofence.triggeredCount += 1;
       geofence.lastTriggered = location.timestamp;
@@ -395,12 +1511,9 @@ class GeofenceManager {
 
       // Save updated geofence data
       await this.saveGeofencesToStorage();
-
-      // Load the full reminder data from storage
-      const fullReminder = await this.loadReminderData(geofence.reminderId);
       
       // Create reminder object for notification
-      const reminder = fullReminder || {
+      let reminder = fullReminder || {
         id: geofence.reminderId,
         title: geofence.title,
         type: geofence.reminderType || 'sentence',
@@ -410,79 +1523,264 @@ class GeofenceManager {
           latitude: geofence.latitude,
           longitude: geofence.longitude,
           radius: geofence.radius,
+          polygon: geofence.polygon || undefined,
+        },
+        geofence: {
+          transitionType: geofence.transitionType,
+          dwellMinutes: geofence.dwellMinutes,
         },
       };
 
-      // Show notification
-      NotificationService.showGeofenceNotification(reminder, transitionType);
+      // A category reminder names the place it matched
+      if (fullReminder && geofence.category) {
+        reminder = { ...fullReminder, location: geofence.locationName };
+      }
 
+      // Show notification. A simulated transition is only reported to the trigger listeners
+      if (!this.isSimulating) {
+        await NotificationService.showGeofenceNotification(reminder, transitionType);
+      }
+      outcome = TRIGGER_OUTCOMES.NOTIFIED;
+
+      const recurrence = fullReminder ? fullReminder.recurrence : geofence.recurrence;
+      if (isOneShot(recurrence)) {
+        geofence.isActive = false;
+      }
+      await this.syncReminderTrigger(geofence, fullReminder);
+      return outcome;
     } catch (error) {
       console.error('Error handling geofence transition:', error);
+      return outcome;
+    } finally {
+      // A skipped dwell is retried on every fix, so only log when the outcome changes
+      if (outcome !== previousOutcome) {
+        await this.recordTrigger(geofence, transitionType, location, outcome);
+      }
     }
   }
 
-  // Load full reminder data from storage
-  async loadReminderData(reminderId) {
+  // Get why a transition should not notify, or null if it should
+  async getSkipReason(geofence, transitionType, location, fullReminder) {
+    const date = new Date(location.timestamp);
+
+    // Snoozes are checked for every transition, since leaving ends a "next visit" snooze
+    if (fullReminder && (await this.isSnoozed(fullReminder, transitionType, location))) {
+      return TRIGGER_OUTCOMES.SNOOZED;
+    }
+
+    if (!this.shouldNotify(geofence, transitionType)) {
+      return TRIGGER_OUTCOMES.TRIGGER_MISMATCH;
+    }
+
+    const settings = await StorageService.getSettings();
+    if (!settings.notificationsEnabled) {
+      return TRIGGER_OUTCOMES.NOTIFICATIONS_OFF;
+    }
+
+    // Respect the reminder's time window and day-of-week schedule
+    const schedule = fullReminder ? fullReminder.schedule : geofence.schedule;
+    if (!isWithinSchedule(schedule, date)) {
+      return TRIGGER_OUTCOMES.OUTSIDE_SCHEDULE;
+    }
+
+    // Respect the reminder's once / cooldown / recurring mode
+    const recurrence = fullReminder ? fullReminder.recurrence : geofence.recurrence;
+    // A category reminder re-arms after triggering at any of its places, not each one
+    const lastTriggered = geofence.category && fullReminder?.geofence
+      ? fullReminder.geofence.lastTriggered
+      : geofence.lastTriggered;
+    if (!isRecurrenceArmed(recurrence, lastTriggered, date)) {
+      return TRIGGER_OUTCOMES.NOT_REARMED;
+    }
+
+    return null;
+  }
+
+  // Append a transition to the reminder's trigger history
+  async recordTrigger(geofence, transitionType, location, outcome) {
     try {
-      const storedReminders = await AsyncStorage.getItem('reminders');
-      if (storedReminders) {
-        const reminders = JSON.parse(storedReminders);
-        return reminders.find(reminder => reminder.id === reminderId);
+      const distance = calculateDistance(
+        location.latitude,
+        location.longitude,
+        geofence.latitude,
+        geofence.longitude
+      );
+
+      const event = {
+        timestamp: location.timestamp,
+        type: transitionType,
+        outcome,
+        distance: Math.round(distance),
+        accuracy: typeof location.accuracy === 'number' ? Math.round(location.accuracy) : null,
+        latitude: location.latitude,
+        longitude: location.longitude,
+      };
+      if (!this.isSimulating) {
+        await StorageService.appendTriggerEvent(geofence.reminderId, event);
       }
+
+      this.triggerListeners.forEach((listener) => listener(geofence.reminderId, outcome, {
+        ...event,
+        title: geofence.title,
+        locationName: geofence.locationName,
+      }));
     } catch (error) {
-      console.error('Error loading reminder data:', error);
+      console.error('Error recording trigger:', error);
     }
-    return null;
   }
 
-  // Calculate distance between two points (Haversine formula)
-  calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371000; // Radius of the Earth in meters
-    const dLat = this.toRadians(lat2 - lat1);
-    const dLon = this.toRadians(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(this.toRadians(lat1)) *
-        Math.cos(this.toRadians(lat2)) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const distance = R * c; // Distance in meters
-    return distance;
+  // Switch between device fixes and the simulator's. Simulated fixes work on a copy
+  // of the geofence, dwell timer and reminder state that is dropped afterwards, so
+  // they never notify or change anything in storage. The armed geofences are
+  // chosen again around whichever location comes next
+  async setSimulating(isSimulating) {
+    if (this.isSimulating === isSimulating) {
+      return;
+    }
+
+    await this.runExclusive(async () => {
+      this.simulation = isSimulating
+        ? {
+            geofences: await StorageService.getGeofences(),
+            dwellTimers: await StorageService.getDwellTimers(),
+            reminderUpdates: {},
+          }
+        : null;
+      this.isSimulating = isSimulating;
+      this.budgetAnchor = null;
+    });
+    console.log(isSimulating ? 'Location simulation started' : 'Location simulation stopped');
+
+    if (!isSimulating) {
+      // The last fix was simulated, so don't let it stand in for the real location
+      this.lastKnownLocation = null;
+      // Go back to the stored state, with any reminders edited while simulating
+      await this.syncGeofences(await StorageService.getReminders());
+    }
   }
 
-  // Convert degrees to radians
-  toRadians(degrees) {
-    return degrees * (Math.PI / 180);
+  // Subscribe to recorded triggers (returns an unsubscribe function)
+  addTriggerListener(listener) {
+    this.triggerListeners.add(listener);
+    return () => this.triggerListeners.delete(listener);
   }
 
-  // Save geofences to AsyncStorage
-  async saveGeofencesToStorage() {
-    try {
-      const geofencesArray = Array.from(this.activeGeofences.values());
-      await AsyncStorage.setItem('activeGeofences', JSON.stringify(geofencesArray));
-    } catch (error) {
-      console.error('Error saving geofences to storage:', error);
+  // Check whether a reminder is snoozed, clearing snoozes that have ended
+  async isSnoozed(reminder, transitionType, location) {
+    const snooze = reminder.snooze;
+    if (!snooze) {
+      return false;
     }
+
+    if (snooze.until && new Date(location.timestamp) < new Date(snooze.until)) {
+      return true;
+    }
+
+    if (snooze.nextVisit) {
+      // Leaving ends the current visit; arriving means the user was already
+      // away when they snoozed, so this arrival is the next visit
+      if (transitionType === 'EXIT' || transitionType === 'ENTER') {
+        await this.updateReminderData(reminder.id, { snooze: null });
+      }
+      return transitionType !== 'ENTER';
+    }
+
+    await this.updateReminderData(reminder.id, { snooze: null });
+    return false;
   }
 
-  // Load geofences from AsyncStorage
-  async loadGeofencesFromStorage() {
+  // Copy the trigger onto the stored reminder, turning one-shot reminders off
+  async syncReminderTrigger(geofence, reminder) {
+    if (!reminder) return;
+
     try {
-      const storedGeofences = await AsyncStorage.getItem('activeGeofences');
-      if (storedGeofences) {
-        const geofencesArray = JSON.parse(storedGeofences);
-        this.activeGeofences.clear();
-        geofencesArray.forEach((geofence) => {
-          this.activeGeofences.set(geofence.id, geofence);
-        });
-        console.log(`Loaded ${geofencesArray.length} geofences from storage`);
+      const updates = {
+        geofence: {
+          ...reminder.geofence,
+          // Category reminders count triggers across all of their places
+          triggeredCount: geofence.category
+            ? (reminder.geofence?.triggeredCount || 0) + 1
+            : geofence.triggeredCount,
+          lastTriggered: geofence.lastTriggered,
+          lastTransitionType: geofence.lastTransitionType,
+        },
+      };
+      if (geofence.isActive === false) {
+        updates.isActive = false;
       }
+      await this.updateReminderData(reminder.id, updates);
     } catch (error) {
-      console.error('Error loading geofences from storage:', error);
+      console.error('Error syncing reminder trigger:', error);
     }
   }
 
+  // Load full reminder data from storage, with the changes simulated fixes made
+  async loadReminderData(reminderId) {
+    const reminder = await StorageService.getReminderById(reminderId);
+    if (!reminder || !this.simulation) {
+      return reminder || null;
+    }
+    return { ...reminder, ...this.simulation.reminderUpdates[reminderId] };
+  }
+
+  // Update a reminder in storage, or only for the simulation while simulating
+  async updateReminderData(reminderId, updates) {
+    if (this.simulation) {
+      const { reminderUpdates } = this.simulation;
+      reminderUpdates[reminderId] = { ...reminderUpdates[reminderId], ...updates };
+      return;
+    }
+    await StorageService.updateReminder(reminderId, updates);
+  }
+
+  // Get a geofence's dwell timer, or null if it has none
+  async getDwellTimer(geofenceId) {
+    if (this.simulation) {
+      return this.simulation.dwellTimers[geofenceId] || null;
+    }
+    return StorageService.getDwellTimer(geofenceId);
+  }
+
+  // Save a geofence's dwell timer
+  async saveDwellTimer(geofenceId, timer) {
+    if (this.simulation) {
+      this.simulation.dwellTimers[geofenceId] = timer;
+      return;
+    }
+    await StorageService.saveDwellTimer(geofenceId, timer);
+  }
+
+  // Clear a geofence's dwell timer
+  async clearDwellTimer(geofenceId) {
+    if (this.simulation) {
+      delete this.simulation.dwellTimers[geofenceId];
+      return;
+    }
+    await StorageService.clearDwellTimer(geofenceId);
+  }
+
+  // Save geofences to storage, or to the simulation's copy while simulating
+  async saveGeofencesToStorage() {
+    const geofencesArray = Array.from(this.activeGeofences.values());
+    if (this.simulation) {
+      this.simulation.geofences = geofencesArray;
+      return;
+    }
+    await StorageService.saveGeofences(geofencesArray);
+  }
+
+  // Load geofences from storage, or from the simulation's copy while simulating
+  async loadGeofencesFromStorage() {
+    const geofencesArray = this.simulation
+      ? this.simulation.geofences
+      : await StorageService.getGeofences();
+    this.activeGeofences.clear();
+    geofencesArray.forEach((geofence) => {
+      this.activeGeofences.set(geofence.id, geofence);
+    });
+    console.log(`Loaded ${geofencesArray.length} geofences from storage`);
+  }
+
   // Get all active geofences
   getActiveGeofences() {
     return Array.from(this.activeGeofences.values());
@@ -499,6 +1797,13 @@ class GeofenceManager {
     return {
       isMonitoring: this.isMonitoring,
       activeGeofencesCount: this.activeGeofences.size,
+      armedGeofencesCount: this.getActiveGeofences().filter(geofence => geofence.isArmed !== false).length,
+      geofenceBudget: this.geofenceBudget,
+      geofencingMode: this.geofencingMode,
+      samplingTier: this.samplingTier,
+      powerPolicy: this.powerPolicy,
+      isSimulating: this.isSimulating,
+      pausedGeofencesCount: this.activeGeofences.size - this.getWatchedGeofences().length,
       lastKnownLocation: this.lastKnownLocation,
     };
   }
@@ -506,6 +1811,12 @@ class GeofenceManager {
   // Cleanup
   async cleanup() {
     await this.stopMonitoring();
+
+    PowerService.stop();
+    if (this.removePowerListener) {
+      this.removePowerListener();
+      this.removePowerListener = null;
+    }
     
     // Unregister background tasks
     try {
@@ -515,11 +1826,11 @@ class GeofenceManager {
     }
     
     this.activeGeofences.clear();
-    await AsyncStorage.removeItem('activeGeofences');
-    await AsyncStorage.removeItem('reminders');
+    await StorageService.saveGeofences([]);
     console.log('Expo GeofenceManager cleanup completed');
   }
 }
 
-// Export singleton instance
-export default new GeofenceManager();
+// Export singleton instance (also used by the background tasks above)
+const geofenceManager = new GeofenceManager();
+export default geofenceManager;
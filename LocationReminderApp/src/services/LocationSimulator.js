@@ -0,0 +1,194 @@
+import GeofenceManager from './GeofenceManager';
+
+// Replay speeds offered by the simulator screen
+export const SIMULATION_SPEEDS = [1, 10, 60];
+
+// Keep the log short enough to render in one list
+const MAX_LOG_ENTRIES = 100;
+
+// Feeds a trace to GeofenceManager.handleLocationUpdate in place of the device's
+// location provider. Fix timestamps follow the trace's own timeline, so dwell
+// times come out the same at any replay speed
+class LocationSimulator {
+  constructor() {
+    this.trace = null;
+    this.traceName = null;
+    this.position = 0;
+    this.speed = 1;
+    this.isRunning = false;
+    this.baseTime = null;
+    this.timer = null;
+    this.log = [];
+    this.listeners = new Set();
+    this.removeTriggerListener = null;
+  }
+
+  // Load a trace ({ latitude, longitude, accuracy, offsetMs } fixes), replacing any current one
+  async load(trace, traceName) {
+    await this.stop();
+
+    this.trace = trace;
+    this.traceName = traceName;
+    this.notify();
+  }
+
+  // Start or resume replaying the loaded trace
+  async start({ speed = this.speed } = {}) {
+    if (!this.trace || this.isRunning) {
+      return;
+    }
+
+    // A finished trace starts over as a new run
+    if (this.position >= this.trace.length) {
+      await this.stop();
+    }
+
+    await this.begin();
+    this.speed = speed;
+    this.isRunning = true;
+    this.notify();
+    this.scheduleNext(0);
+  }
+
+  // Pause the replay; the next start or step carries on from the same fix
+  pause() {
+    this.clearTimer();
+    this.isRunning = false;
+    this.notify();
+  }
+
+  // Feed the next fix only
+  async step() {
+    if (!this.trace || this.isRunning || this.position >= this.trace.length) {
+      return;
+    }
+
+    await this.begin();
+    await this.feedNext();
+  }
+
+  // Change the replay speed, also while running
+  setSpeed(speed) {
+    this.speed = speed;
+    this.notify();
+  }
+
+  // End the simulation and hand location back to the device
+  async stop() {
+    this.clearTimer();
+    this.isRunning = false;
+    this.position = 0;
+    this.baseTime = null;
+
+    if (this.removeTriggerListener) {
+      this.removeTriggerListener();
+      this.removeTriggerListener = null;
+    }
+
+    await GeofenceManager.setSimulating(false);
+    this.notify();
+  }
+
+  // Switch the geofence engine over to simulated fixes, once per run
+  async begin() {
+    if (this.baseTime !== null) {
+      return;
+    }
+
+    this.baseTime = Date.now();
+    this.log = [];
+    this.removeTriggerListener = GeofenceManager.addTriggerListener((reminderId, outcome, event) => {
+      this.addLogEntry({ reminderId, outcome, ...event });
+    });
+    await GeofenceManager.setSimulating(true);
+  }
+
+  // Wait out the gap to the next fix, shortened by the replay speed
+  scheduleNext(delayMs) {
+    this.clearTimer();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      const hasMore = await this.feedNext();
+      if (!hasMore || !this.isRunning) {
+        return;
+      }
+
+      const gapMs = this.trace[this.position].offsetMs - this.trace[this.position - 1].offsetMs;
+      this.scheduleNext(gapMs / this.speed);
+    }, delayMs);
+  }
+
+  // Feed the fix at the current position. Returns whether fixes remain
+  async feedNext() {
+    if (!this.trace || this.position >= this.trace.length) {
+      return false;
+    }
+
+    const fix = this.trace[this.position];
+    this.position += 1;
+    this.notify();
+
+    try {
+      await GeofenceManager.handleLocationUpdate({
+        coords: {
+          latitude: fix.latitude,
+          longitude: fix.longitude,
+          accuracy: fix.accuracy,
+        },
+        timestamp: this.baseTime + fix.offsetMs,
+      }, { simulated: true });
+    } catch (error) {
+      console.error('Error feeding simulated location:', error);
+    }
+
+    if (this.position >= this.trace.length) {
+      this.isRunning = false;
+      this.addLogEntry({ isEnd: true, timestamp: this.baseTime + fix.offsetMs });
+      return false;
+    }
+    return true;
+  }
+
+  // Add to the transition log, newest first, with its time into the trace
+  addLogEntry(entry) {
+    this.log = [{ ...entry, offsetMs: entry.timestamp - this.baseTime }, ...this.log].slice(0, MAX_LOG_ENTRIES);
+    this.notify();
+  }
+
+  // Cancel the pending fix, if any
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Get a snapshot for the simulator screen
+  getState() {
+    return {
+      trace: this.trace,
+      traceName: this.traceName,
+      position: this.position,
+      currentFix: this.trace && this.position > 0 ? this.trace[this.position - 1] : null,
+      speed: this.speed,
+      isRunning: this.isRunning,
+      isActive: this.baseTime !== null,
+      log: this.log,
+    };
+  }
+
+  // Tell the listeners about a change
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach((listener) => listener(state));
+  }
+
+  // Subscribe to simulator changes (returns an unsubscribe function)
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export singleton instance
+export default new LocationSimulator();
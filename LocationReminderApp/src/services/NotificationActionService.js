@@ -0,0 +1,251 @@
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import NotificationService, {
+  NOTIFICATION_ACTIONS,
+  CHECK_ITEM_ACTION_PREFIX,
+  SNOOZE_MINUTES,
+} from './NotificationService';
+import StorageService from './StorageService';
+import GeofenceManager from './GeofenceManager';
+
+const NOTIFICATION_ACTION_TASK = 'notification-action-task';
+
+// Action reported when the notification itself is tapped
+export const NOTIFICATION_TAP = Notifications.DEFAULT_ACTION_IDENTIFIER;
+
+// Define the background task that receives notification actions while the app
+// is not running, so the buttons work without opening the app
+TaskManager.defineTask(NOTIFICATION_ACTION_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('Notification action task error:', error);
+    return;
+  }
+  if (data) {
+    await notificationActionService.handleResponse(data);
+  }
+});
+
+class NotificationActionService {
+  constructor() {
+    this.listeners = new Set();
+    this.responseSubscription = null;
+    this.handledResponses = new Set();
+  }
+
+  // Start handling notification actions in the foreground and background
+  async registerListeners() {
+    if (!this.responseSubscription) {
+      this.responseSubscription = Notifications.addNotificationResponseReceivedListener(
+        (response) => this.handleResponse(response)
+      );
+    }
+
+    try {
+      await Notifications.registerTaskAsync(NOTIFICATION_ACTION_TASK);
+    } catch (error) {
+      console.error('Error registering notification action task:', error);
+    }
+  }
+
+  // Stop handling notification actions in the foreground
+  removeListeners() {
+    if (this.responseSubscription) {
+      this.responseSubscription.remove();
+      this.responseSubscription = null;
+    }
+  }
+
+  // Subscribe to reminder changes made from notifications (returns an unsubscribe function)
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Let subscribers know a reminder was changed or opened from a notification
+  notifyListeners(reminderId, action, data = {}) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(reminderId, action, data);
+      } catch (error) {
+        console.error('Error in notification action listener:', error);
+      }
+    });
+  }
+
+  // Handle a notification response from the listener or the background task
+  async handleResponse(response) {
+    try {
+      const actionIdentifier = response.actionIdentifier;
+      const request = response.notification?.request;
+      const content = request?.content;
+      const reminderId = content?.data?.reminderId;
+      const isTap = actionIdentifier === NOTIFICATION_TAP;
+      const isCheckItem = actionIdentifier?.startsWith(CHECK_ITEM_ACTION_PREFIX);
+
+      if (
+        !reminderId ||
+        !(isTap || isCheckItem || Object.values(NOTIFICATION_ACTIONS).includes(actionIdentifier))
+      ) {
+        return false;
+      }
+
+      // The same response can reach both the listener and the background task
+      const responseKey = `${request.identifier}:${actionIdentifier}`;
+      if (this.handledResponses.has(responseKey)) {
+        return false;
+      }
+      this.handledResponses.add(responseKey);
+
+      // Tapping the notification opens the app, which decides where to route it
+      if (isTap) {
+        this.notifyListeners(reminderId, actionIdentifier, content.data);
+        return true;
+      }
+
+      // The app may have been started just to handle this action
+      await StorageService.initialize();
+
+      let handled = false;
+      switch (isCheckItem ? CHECK_ITEM_ACTION_PREFIX : actionIdentifier) {
+        case CHECK_ITEM_ACTION_PREFIX:
+          handled = await this.checkItem(
+            reminderId,
+            actionIdentifier.slice(CHECK_ITEM_ACTION_PREFIX.length),
+            content.data
+          );
+          break;
+        case NOTIFICATION_ACTIONS.SNOOZE:
+          handled = await this.snooze(reminderId, content);
+          break;
+        case NOTIFICATION_ACTIONS.SNOOZE_NEXT_VISIT:
+          handled = await this.snoozeUntilNextVisit(reminderId);
+          break;
+        case NOTIFICATION_ACTIONS.MARK_DONE:
+          handled = await this.markDone(reminderId);
+          break;
+        case NOTIFICATION_ACTIONS.DISABLE:
+          handled = await this.disableReminder(reminderId);
+          break;
+      }
+
+      await NotificationService.dismissNotification(request.identifier);
+
+      if (handled) {
+        this.notifyListeners(reminderId, actionIdentifier);
+      }
+      return handled;
+    } catch (error) {
+      console.error('Error handling notification response:', error);
+      return false;
+    }
+  }
+
+  // Tick a checklist item, then replace the notification with one for the remaining items
+  async checkItem(reminderId, itemId, data = {}) {
+    try {
+      const updatedReminder = await StorageService.updateChecklistItem(reminderId, itemId, {
+        completed: true,
+      });
+      if (!updatedReminder) return false;
+
+      const openCount = updatedReminder.content.filter(item => !item.completed).length;
+      await NotificationService.showGeofenceNotification(updatedReminder, data.transitionType, {
+        silent: true,
+        message: openCount > 0
+          ? `🛒 ${openCount} item${openCount === 1 ? '' : 's'} left`
+          : '✅ All items done',
+      });
+
+      console.log(`Checklist item ${itemId} completed for: ${updatedReminder.title}`);
+      return true;
+    } catch (error) {
+      console.error('Error completing checklist item:', error);
+      return false;
+    }
+  }
+
+  // Show the notification again in 15 minutes and hold back new ones until then
+  async snooze(reminderId, content) {
+    try {
+      const until = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000).toISOString();
+      const updatedReminder = await StorageService.updateReminder(reminderId, {
+        snooze: { until, nextVisit: false },
+      });
+      if (!updatedReminder) return false;
+
+      await NotificationService.scheduleSnoozedNotification(content, SNOOZE_MINUTES);
+      console.log(`Reminder snoozed until ${until}: ${updatedReminder.title}`);
+      return true;
+    } catch (error) {
+      console.error('Error snoozing reminder:', error);
+      return false;
+    }
+  }
+
+  // Hold back notifications until the next time the location is visited
+  async snoozeUntilNextVisit(reminderId) {
+    try {
+      const updatedReminder = await StorageService.updateReminder(reminderId, {
+        snooze: { until: null, nextVisit: true },
+      });
+      if (!updatedReminder) return false;
+
+      console.log(`Reminder snoozed until next visit: ${updatedReminder.title}`);
+      return true;
+    } catch (error) {
+      console.error('Error snoozing reminder until next visit:', error);
+      return false;
+    }
+  }
+
+  // Complete the reminder, ticking any checklist items, and stop monitoring it
+  async markDone(reminderId) {
+    try {
+      const reminder = await StorageService.getReminderById(reminderId);
+      if (!reminder) return false;
+
+      const updates = {
+        isActive: false,
+        completedAt: new Date().toISOString(),
+        snooze: null,
+      };
+      if (reminder.type === 'checklist') {
+        updates.content = reminder.content.map(item => ({ ...item, completed: true }));
+      }
+
+      await StorageService.updateReminder(reminderId, updates);
+      await GeofenceManager.removeGeofence(reminderId);
+      await NotificationService.cancelNotificationsForReminder(reminderId);
+
+      console.log(`Reminder marked done: ${reminder.title}`);
+      return true;
+    } catch (error) {
+      console.error('Error marking reminder done:', error);
+      return false;
+    }
+  }
+
+  // Turn the reminder off, like the switch in the reminder list
+  async disableReminder(reminderId) {
+    try {
+      const updatedReminder = await StorageService.updateReminder(reminderId, {
+        isActive: false,
+        snooze: null,
+      });
+      if (!updatedReminder) return false;
+
+      await GeofenceManager.removeGeofence(reminderId);
+      await NotificationService.cancelNotificationsForReminder(reminderId);
+
+      console.log(`Reminder disabled: ${updatedReminder.title}`);
+      return true;
+    } catch (error) {
+      console.error('Error disabling reminder:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+const notificationActionService = new NotificationActionService();
+export default notificationActionService;
@@ -1,5 +1,34 @@
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
+import StorageService from './StorageService';
+import PermissionService from './PermissionService';
+
+export const GEOFENCE_CATEGORY = 'geofence-reminder';
+
+// Action identifiers shown on geofence notifications
+export const NOTIFICATION_ACTIONS = {
+  SNOOZE: 'snooze-15',
+  SNOOZE_NEXT_VISIT: 'snooze-next-visit',
+  MARK_DONE: 'mark-done',
+  DISABLE: 'disable-reminder',
+};
+
+export const SNOOZE_MINUTES = 15;
+
+// Checklist notifications get one "tick" button per open item
+export const CHECK_ITEM_ACTION_PREFIX = 'check-item:';
+const MAX_CHECKLIST_ITEM_ACTIONS = 2;
+
+const VIBRATION_PATTERN = [0, 250, 250, 250];
+
+// Android fixes sound and vibration per channel, so there is a reminder
+// channel for each combination of the sound and vibration settings
+const REMINDER_CHANNELS = [
+  { id: 'geofence-reminders', sound: true, vibrate: true, name: 'Location Reminders' },
+  { id: 'geofence-reminders-silent', sound: false, vibrate: true, name: 'Location Reminders (vibrate only)' },
+  { id: 'geofence-reminders-quiet', sound: true, vibrate: false, name: 'Location Reminders (sound only)' },
+  { id: 'geofence-reminders-muted', sound: false, vibrate: false, name: 'Location Reminders (no sound or vibration)' },
+];
 
 // Configure notification behavior
 Notifications.setNotificationHandler({
@@ -23,21 +52,56 @@ class NotificationService {
     if (Platform.OS === 'android') {
       await this.createNotificationChannels();
     }
+
+    await this.createNotificationCategories();
+  }
+
+  // Register the action buttons shown on geofence notifications. The actions
+  // don't open the app, so they are handled by NotificationActionService
+  async createNotificationCategories() {
+    try {
+      await Notifications.setNotificationCategoryAsync(GEOFENCE_CATEGORY, [
+        {
+          identifier: NOTIFICATION_ACTIONS.SNOOZE,
+          buttonTitle: `Snooze ${SNOOZE_MINUTES} min`,
+          options: { opensAppToForeground: false },
+        },
+        {
+          identifier: NOTIFICATION_ACTIONS.SNOOZE_NEXT_VISIT,
+          buttonTitle: 'Next visit',
+          options: { opensAppToForeground: false },
+        },
+        {
+          identifier: NOTIFICATION_ACTIONS.MARK_DONE,
+          buttonTitle: 'Mark done',
+          options: { opensAppToForeground: false },
+        },
+        {
+          identifier: NOTIFICATION_ACTIONS.DISABLE,
+          buttonTitle: 'Disable',
+          options: { opensAppToForeground: false, isDestructive: true },
+        },
+      ]);
+    } catch (error) {
+      console.error('Error creating notification categories:', error);
+    }
   }
 
   async createNotificationChannels() {
-    // High-priority channel for location reminders
-    await Notifications.setNotificationChannelAsync('geofence-reminders', {
-      name: 'Location Reminders',
-      description: 'Important notifications for location-based reminders',
-      importance: Notifications.AndroidImportance.HIGH,
-      vibrationPattern: [0, 250, 250, 250],
-      lightColor: '#6366F1',
-      sound: 'default',
-      enableLights: true,
-      enableVibrate: true,
-      showBadge: true,
-    });
+    // High-priority channels for location reminders
+    for (const channel of REMINDER_CHANNELS) {
+      await Notifications.setNotificationChannelAsync(channel.id, {
+        name: channel.name,
+        description: 'Important notifications for location-based reminders',
+        importance: Notifications.AndroidImportance.HIGH,
+        vibrationPattern: channel.vibrate ? VIBRATION_PATTERN : null,
+        lightColor: '#6366F1',
+        sound: channel.sound ? 'default' : null,
+        enableLights: true,
+        enableVibrate: channel.vibrate,
+        showBadge: true,
+      });
+    }
 
     // Standard channel for geofence setup/status alerts
     await Notifications.setNotificationChannelAsync('geofence-alerts', {
@@ -50,17 +114,59 @@ class NotificationService {
     });
   }
 
+  // Register a category with buttons for the open items of a checklist reminder.
+  // Returns the category to use, falling back to the standard geofence actions.
+  async createChecklistCategory(reminder) {
+    const openItems = (reminder.content || []).filter(item => !item.completed);
+    if (openItems.length === 0) {
+      return GEOFENCE_CATEGORY;
+    }
+
+    const categoryIdentifier = `checklist-${reminder.id}`;
+    try {
+      const itemActions = openItems.slice(0, MAX_CHECKLIST_ITEM_ACTIONS).map(item => ({
+        identifier: `${CHECK_ITEM_ACTION_PREFIX}${item.id}`,
+        buttonTitle: `✓ ${item.text.length > 24 ? `${item.text.slice(0, 23)}…` : item.text}`,
+        options: { opensAppToForeground: false },
+      }));
+
+      await Notifications.setNotificationCategoryAsync(categoryIdentifier, [
+        ...itemActions,
+        {
+          identifier: NOTIFICATION_ACTIONS.MARK_DONE,
+          buttonTitle: 'Mark done',
+          options: { opensAppToForeground: false },
+        },
+      ]);
+      return categoryIdentifier;
+    } catch (error) {
+      console.error('Error creating checklist category:', error);
+      return GEOFENCE_CATEGORY;
+    }
+  }
+
+  // Get the reminder channel matching the sound and vibration settings
+  getReminderChannelId(settings, silent = false) {
+    const sound = settings.soundEnabled && !silent;
+    const channel = REMINDER_CHANNELS.find(
+      c => c.sound === sound && c.vibrate === settings.vibrationEnabled
+    );
+    return channel.id;
+  }
+
   // Show local notification when geofence is triggered
-  async showGeofenceNotification(reminder, transitionType) {
-    const isEntering = transitionType === 'ENTER';
+  async showGeofenceNotification(reminder, transitionType, options = {}) {
+    const settings = await StorageService.getSettings();
     const title = reminder.title;
-    const message = isEntering 
-      ? `📍 You've arrived at your location`
-      : `🚶 Leaving location reminder`;
+    const message = options.message || this.getTransitionMessage(reminder, transitionType);
 
     const formattedContent = this.formatReminderContent(reminder);
 
     try {
+      const categoryIdentifier = reminder.type === 'checklist'
+        ? await this.createChecklistCategory(reminder)
+        : GEOFENCE_CATEGORY;
+
       await Notifications.scheduleNotificationAsync({
         content: {
           title: title,
@@ -72,12 +178,15 @@ class NotificationService {
             reminderType: reminder.type,
             fullContent: formattedContent,
           },
-          sound: 'default',
+          categoryIdentifier,
+          sound: options.silent || !settings.soundEnabled ? false : 'default',
+          vibrate: settings.vibrationEnabled ? VIBRATION_PATTERN : undefined,
           priority: Notifications.AndroidNotificationPriority.HIGH,
           sticky: false,
           autoDismiss: true,
         },
-        trigger: null, // Show immediately
+        // Show immediately, on the channel that matches the sound settings
+        trigger: { channelId: this.getReminderChannelId(settings, options.silent) },
       });
 
       console.log(`Geofence notification sent for: ${reminder.title}`);
@@ -87,13 +196,62 @@ class NotificationService {
     }
   }
 
+  // Show a geofence notification again after it was snoozed
+  async scheduleSnoozedNotification(content, minutes = SNOOZE_MINUTES) {
+    try {
+      const settings = await StorageService.getSettings();
+      return await Notifications.scheduleNotificationAsync({
+        content: {
+          title: content.title,
+          body: content.body,
+          data: { ...content.data, snoozed: true },
+          categoryIdentifier: content.categoryIdentifier || GEOFENCE_CATEGORY,
+          sound: settings.soundEnabled ? 'default' : false,
+          vibrate: settings.vibrationEnabled ? VIBRATION_PATTERN : undefined,
+          priority: Notifications.AndroidNotificationPriority.HIGH,
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+          seconds: minutes * 60,
+          channelId: this.getReminderChannelId(settings),
+        },
+      });
+    } catch (error) {
+      console.error('Error scheduling snoozed notification:', error);
+      return null;
+    }
+  }
+
+  // Dismiss a notification that is still shown in the notification tray
+  async dismissNotification(identifier) {
+    try {
+      await Notifications.dismissNotificationAsync(identifier);
+    } catch (error) {
+      console.error('Error dismissing notification:', error);
+    }
+  }
+
+  // Get the notification message for a transition type
+  getTransitionMessage(reminder, transitionType) {
+    switch (transitionType) {
+      case 'EXIT':
+        return `🚶 Leaving location reminder`;
+      case 'DWELL':
+        return `⏱️ You've been here for ${reminder.geofence?.dwellMinutes || 10} minutes`;
+      default:
+        return `📍 You've arrived at your location`;
+    }
+  }
+
   // Format reminder content for notification
   formatReminderContent(reminder) {
     if (reminder.type === 'sentence') {
       return reminder.content;
     } else if (reminder.type === 'checklist') {
       // Show ALL checklist items as plain text
-      const itemText = reminder.content.map(item => `• ${item.text}`).join('\n');
+      const itemText = reminder.content
+        .map(item => `${item.completed ? '✓' : '•'} ${item.text}`)
+        .join('\n');
       return itemText;
     }
     return reminder.title;
@@ -102,6 +260,9 @@ class NotificationService {
   // Show notification for geofence setup
   async showGeofenceSetupNotification(reminder) {
     try {
+      const settings = await StorageService.getSettings();
+      if (!settings.notificationsEnabled) return;
+
       await Notifications.scheduleNotificationAsync({
         content: {
           title: '✅ Geofence Active',
@@ -113,7 +274,7 @@ class NotificationService {
           sound: false,
           priority: Notifications.AndroidNotificationPriority.DEFAULT,
         },
-        trigger: null,
+        trigger: { channelId: 'geofence-alerts' },
       });
     } catch (error) {
       console.error('Error showing geofence setup notification:', error);
@@ -134,7 +295,7 @@ class NotificationService {
           sound: false,
           priority: Notifications.AndroidNotificationPriority.LOW,
         },
-        trigger: null,
+        trigger: { channelId: 'geofence-alerts' },
       });
     } catch (error) {
       console.error('Error showing geofence removed notification:', error);
@@ -143,26 +304,8 @@ class NotificationService {
 
   // Request notification permissions
   async requestPermissions() {
-    try {
-      const { status: existingStatus } = await Notifications.getPermissionsAsync();
-      let finalStatus = existingStatus;
-
-      if (existingStatus !== 'granted') {
-        const { status } = await Notifications.requestPermissionsAsync();
-        finalStatus = status;
-      }
-
-      if (finalStatus !== 'granted') {
-        console.warn('Notification permissions not granted');
-        return { alert: false, sound: false, badge: false };
-      }
-
-      console.log('Notification permissions granted');
-      return { alert: true, sound: true, badge: true };
-    } catch (error) {
-      console.error('Error requesting notification permissions:', error);
-      return { alert: false, sound: false, badge: false };
-    }
+    const granted = await PermissionService.requestNotifications();
+    return { alert: granted, sound: granted, badge: granted };
   }
 
   // Cancel all notifications for a specific reminder
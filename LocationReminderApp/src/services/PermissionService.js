@@ -0,0 +1,207 @@
+import * as Location from 'expo-location';
+import * as Notifications from 'expo-notifications';
+import * as BackgroundFetch from 'expo-background-fetch';
+import { Platform, Linking } from 'react-native';
+import { PERMISSIONS, PERMISSION_STATES, isUsable } from '../utils/permissionGuides';
+
+// Approximate (reduced accuracy) fixes on iOS are never better than this
+const APPROXIMATE_ACCURACY_METERS = 1000;
+
+// Map an expo permission response to a permission entry
+const toEntry = (response) => {
+  const state = response.status === 'granted'
+    ? PERMISSION_STATES.GRANTED
+    : response.status === 'denied'
+    ? PERMISSION_STATES.DENIED
+    : PERMISSION_STATES.UNDETERMINED;
+
+  return { state, canAskAgain: response.canAskAgain !== false };
+};
+
+class PermissionService {
+  constructor() {
+    this.status = null;
+    this.listeners = new Set();
+  }
+
+  // Check every permission the app depends on, without prompting. Each entry is
+  // { state, canAskAgain, blockedBy }, see permissionGuides
+  async checkPermissions() {
+    try {
+      const foregroundResponse = await Location.getForegroundPermissionsAsync();
+      const foreground = toEntry(foregroundResponse);
+      const blockedByForeground = isUsable(foreground) ? null : PERMISSIONS.FOREGROUND_LOCATION;
+
+      const status = {
+        [PERMISSIONS.LOCATION_SERVICES]: await this.checkLocationServices(),
+        [PERMISSIONS.FOREGROUND_LOCATION]: foreground,
+        [PERMISSIONS.BACKGROUND_LOCATION]: blockedByForeground
+          ? { state: PERMISSION_STATES.DENIED, canAskAgain: false, blockedBy: blockedByForeground }
+          : toEntry(await Location.getBackgroundPermissionsAsync()),
+        [PERMISSIONS.PRECISE_LOCATION]: blockedByForeground
+          ? { state: PERMISSION_STATES.DENIED, canAskAgain: false, blockedBy: blockedByForeground }
+          : await this.checkPreciseLocation(foregroundResponse),
+        [PERMISSIONS.NOTIFICATIONS]: toEntry(await Notifications.getPermissionsAsync()),
+        [PERMISSIONS.BACKGROUND_REFRESH]: await this.checkBackgroundRefresh(),
+      };
+
+      this.status = status;
+      this.listeners.forEach((listener) => listener(status));
+      return status;
+    } catch (error) {
+      console.error('Error checking permissions:', error);
+      return this.status;
+    }
+  }
+
+  // Check the phone-wide location switch
+  async checkLocationServices() {
+    const enabled = await Location.hasServicesEnabledAsync();
+    return {
+      state: enabled ? PERMISSION_STATES.GRANTED : PERMISSION_STATES.DENIED,
+      canAskAgain: Platform.OS === 'android',
+    };
+  }
+
+  // Check whether location is precise or only approximate. Android reports it;
+  // iOS doesn't through expo-location, so a recent fix's accuracy is used instead
+  async checkPreciseLocation(foregroundResponse) {
+    let isApproximate = false;
+
+    if (foregroundResponse.android) {
+      isApproximate = foregroundResponse.android.accuracy === 'coarse';
+    } else if (foregroundResponse.ios && foregroundResponse.ios.accuracy) {
+      isApproximate = foregroundResponse.ios.accuracy === 'reduced';
+    } else {
+      const position = await Location.getLastKnownPositionAsync();
+      isApproximate = !!position && position.coords.accuracy >= APPROXIMATE_ACCURACY_METERS;
+    }
+
+    return {
+      state: isApproximate ? PERMISSION_STATES.LIMITED : PERMISSION_STATES.GRANTED,
+      canAskAgain: false,
+    };
+  }
+
+  // Check whether the OS runs the background fetch task
+  async checkBackgroundRefresh() {
+    const status = await BackgroundFetch.getStatusAsync();
+    if (status === null) {
+      return { state: PERMISSION_STATES.UNAVAILABLE, canAskAgain: false };
+    }
+
+    return {
+      state: status === BackgroundFetch.BackgroundFetchStatus.Available
+        ? PERMISSION_STATES.GRANTED
+        : PERMISSION_STATES.DENIED,
+      canAskAgain: false,
+    };
+  }
+
+  // Ask for location while the app is in use. Returns whether it was granted
+  async requestForegroundLocation() {
+    try {
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        console.warn('Foreground location permission not granted');
+      }
+      return status === 'granted';
+    } catch (error) {
+      console.error('Error requesting location permission:', error);
+      return false;
+    } finally {
+      await this.checkPermissions();
+    }
+  }
+
+  // Ask for location in the foreground and then in the background, which both
+  // background tracking and native geofencing need, on every platform
+  async requestLocationPermissions() {
+    const foreground = await this.requestForegroundLocation();
+    if (!foreground) {
+      return { foreground, background: false };
+    }
+
+    try {
+      const { status } = await Location.requestBackgroundPermissionsAsync();
+      if (status !== 'granted') {
+        // Monitoring still runs while the app is open; the permissions screen shows how to fix it
+        console.warn('Background location permission not granted');
+      }
+      return { foreground, background: status === 'granted' };
+    } catch (error) {
+      console.error('Error requesting background location permission:', error);
+      return { foreground, background: false };
+    } finally {
+      await this.checkPermissions();
+    }
+  }
+
+  // Ask to show notifications. Returns whether they were granted
+  async requestNotifications() {
+    try {
+      const { status: existingStatus } = await Notifications.getPermissionsAsync();
+      if (existingStatus === 'granted') {
+        return true;
+      }
+
+      const { status } = await Notifications.requestPermissionsAsync();
+      if (status !== 'granted') {
+        console.warn('Notification permissions not granted');
+      }
+      return status === 'granted';
+    } catch (error) {
+      console.error('Error requesting notification permissions:', error);
+      return false;
+    } finally {
+      await this.checkPermissions();
+    }
+  }
+
+  // Show the system prompt for one permission
+  async request(permissionId) {
+    switch (permissionId) {
+      case PERMISSIONS.FOREGROUND_LOCATION:
+        return this.requestForegroundLocation();
+      case PERMISSIONS.BACKGROUND_LOCATION:
+        return (await this.requestLocationPermissions()).background;
+      case PERMISSIONS.NOTIFICATIONS:
+        return this.requestNotifications();
+      default:
+        console.warn(`Permission can't be requested from the app: ${permissionId}`);
+        return false;
+    }
+  }
+
+  // Ask Android to turn on location services (shows the system dialog)
+  async enableLocationServices() {
+    try {
+      await Location.enableNetworkProviderAsync();
+      return true;
+    } catch (error) {
+      // Declining the dialog rejects too
+      console.log('Location services were not turned on:', error.message);
+      return false;
+    } finally {
+      await this.checkPermissions();
+    }
+  }
+
+  // Open the app's page in the system settings
+  openSettings() {
+    if (Platform.OS === 'ios') {
+      Linking.openURL('app-settings:');
+    } else {
+      Linking.openSettings();
+    }
+  }
+
+  // Subscribe to permission status changes (returns an unsubscribe function)
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export singleton instance
+export default new PermissionService();
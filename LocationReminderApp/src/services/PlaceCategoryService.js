@@ -0,0 +1,147 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_OVERPASS_URL, createOverpassProvider } from './poiProviders';
+import { getPlaceCategory } from '../utils/placeCategories';
+import { calculateDistance } from '../utils/geoMath';
+
+const STORAGE_KEYS = {
+  LOOKUP_CACHE: '@LocationReminder:categoryLookups',
+};
+
+// Lookups within this many degrees (about 500 m) of each other share cached results
+const CACHE_GRID_DEGREES = 0.005;
+
+// Places don't change often, but keep the cache short enough to notice new ones
+const CACHE_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHED_LOOKUPS = 50;
+
+class PlaceCategoryService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheLoading = null;
+    this.configure();
+  }
+
+  // Choose where places come from, e.g. createFixtureProvider for tests or demos.
+  // EXPO_PUBLIC_OVERPASS_URL points Overpass at another server, e.g. a local stub.
+  // Saved lookups are kept per provider, so switching doesn't mix their places
+  configure({ provider, overpassBaseUrl } = {}) {
+    this.provider = provider || createOverpassProvider({
+      baseUrl: overpassBaseUrl || process.env.EXPO_PUBLIC_OVERPASS_URL || DEFAULT_OVERPASS_URL,
+    });
+    this.cache.clear();
+  }
+
+  // Find the places of a category closest to a location, nearest first, with their
+  // distance in meters. Returns null when the lookup fails, so callers can keep
+  // the places they already have
+  async findNearby(categoryId, location, { radius = 3000, limit = 5, signal } = {}) {
+    const category = getPlaceCategory(categoryId);
+    if (!category) {
+      console.error(`Unknown place category: ${categoryId}`);
+      return null;
+    }
+
+    const places = await this.searchArea(category, location, { radius, signal });
+    if (!places) {
+      return null;
+    }
+
+    return places
+      .map(place => ({
+        ...place,
+        distance: calculateDistance(location.latitude, location.longitude, place.latitude, place.longitude),
+      }))
+      .filter(place => place.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  // Get every place of a category in the area, from the cache when possible
+  async searchArea(category, location, { radius, signal }) {
+    await this.loadCache();
+
+    const cacheKey = [
+      this.provider.name,
+      category.id,
+      Math.round(location.latitude / CACHE_GRID_DEGREES),
+      Math.round(location.longitude / CACHE_GRID_DEGREES),
+      radius,
+    ].join(':');
+
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+      return cached.places;
+    }
+
+    try {
+      const places = await this.provider.search(category, {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        radius,
+        signal,
+      });
+      await this.rememberLookup(cacheKey, places);
+      return places;
+    } catch (error) {
+      console.log(`Finding ${category.name} places with ${this.provider.name} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Load the lookups saved by earlier runs, once. Background tasks start in a fresh
+  // process and would otherwise repeat every lookup
+  loadCache() {
+    if (!this.cacheLoading) {
+      this.cacheLoading = this.getSavedLookups().then((entries) => {
+        // Lookups made in the meantime are newer than the saved ones
+        const saved = entries.filter(([cacheKey]) => !this.cache.has(cacheKey));
+        this.cache = new Map([...saved, ...this.cache]);
+      });
+    }
+    return this.cacheLoading;
+  }
+
+  // Get the saved lookups as [cacheKey, { places, timestamp }] pairs, oldest first
+  async getSavedLookups() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.LOOKUP_CACHE);
+      return jsonValue != null ? JSON.parse(jsonValue) : [];
+    } catch (error) {
+      console.error('Error getting saved place lookups:', error);
+      return [];
+    }
+  }
+
+  // Keep a lookup's places, dropping expired and then the oldest lookups first
+  async rememberLookup(cacheKey, places) {
+    this.cache.delete(cacheKey);
+    this.cache.set(cacheKey, { places, timestamp: Date.now() });
+
+    const now = Date.now();
+    const entries = Array.from(this.cache.entries())
+      .filter(([, entry]) => now - entry.timestamp < CACHE_TTL_MS)
+      .slice(-MAX_CACHED_LOOKUPS);
+    this.cache = new Map(entries);
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.LOOKUP_CACHE, JSON.stringify(entries));
+    } catch (error) {
+      console.error('Error saving place lookups:', error);
+    }
+  }
+
+  // Forget cached places
+  async clearCache() {
+    this.cache.clear();
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.LOOKUP_CACHE);
+      return true;
+    } catch (error) {
+      console.error('Error clearing place lookups:', error);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+export default new PlaceCategoryService();
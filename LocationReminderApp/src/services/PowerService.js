@@ -0,0 +1,65 @@
+import * as Battery from 'expo-battery';
+
+class PowerService {
+  constructor() {
+    this.powerState = null;
+    this.listeners = new Set();
+    this.subscriptions = [];
+  }
+
+  // Read the battery level, charging state and Low Power Mode, or null where the
+  // device has no battery to read (simulators, web)
+  async getPowerState() {
+    try {
+      if (!(await Battery.isAvailableAsync())) {
+        return null;
+      }
+      this.powerState = await Battery.getPowerStateAsync();
+      return this.powerState;
+    } catch (error) {
+      console.error('Error reading power state:', error);
+      return null;
+    }
+  }
+
+  // Start following battery and Low Power Mode changes
+  start() {
+    if (this.subscriptions.length > 0) {
+      return;
+    }
+
+    this.subscriptions = [
+      Battery.addBatteryLevelListener(({ batteryLevel }) => this.update({ batteryLevel })),
+      Battery.addBatteryStateListener(({ batteryState }) => this.update({ batteryState })),
+      Battery.addLowPowerModeListener(({ lowPowerMode }) => this.update({ lowPowerMode })),
+    ];
+  }
+
+  // Stop following power changes
+  stop() {
+    this.subscriptions.forEach(subscription => subscription.remove());
+    this.subscriptions = [];
+  }
+
+  // Merge a change into the last known power state and tell the listeners
+  async update(change) {
+    const powerState = this.powerState
+      ? { ...this.powerState, ...change }
+      : await this.getPowerState();
+    if (!powerState) {
+      return;
+    }
+
+    this.powerState = powerState;
+    this.listeners.forEach((listener) => listener(powerState));
+  }
+
+  // Subscribe to power state changes (returns an unsubscribe function)
+  addListener(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export singleton instance
+export default new PowerService();
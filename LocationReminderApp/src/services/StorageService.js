@@ -1,20 +1,49 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import LocationHistoryService from './LocationHistoryService';
+import { BACKUP_FORMAT, IMPORT_MODES, validateBackup, planImport, restoreSettings } from '../utils/backupUtils';
+import { isCategoryReminder } from '../utils/placeCategories';
+
+// Keys written by older versions before reminders and geofences were unified
+const LEGACY_KEYS = {
+  REMINDERS: 'reminders',
+  GEOFENCES: 'activeGeofences',
+};
 
 const STORAGE_KEYS = {
   REMINDERS: '@LocationReminder:reminders',
   SETTINGS: '@LocationReminder:settings',
   GEOFENCES: '@LocationReminder:geofences',
+  DWELL_TIMERS: '@LocationReminder:dwellTimers',
+  CATEGORY_ANCHORS: '@LocationReminder:categoryAnchors',
+  TRIGGER_HISTORY: '@LocationReminder:triggerHistory',
   APP_VERSION: '@LocationReminder:version',
+  LAST_HANDLED_RESPONSE: '@LocationReminder:lastHandledResponse',
+  MONITORING_STATE: '@LocationReminder:monitoringState',
 };
 
+// Oldest trigger events are dropped once a reminder has this many
+const MAX_TRIGGER_HISTORY = 50;
+
 class StorageService {
   constructor() {
-    this.currentVersion = '1.0.0';
+    this.currentVersion = '1.1.0';
+    this.initialization = null;
+  }
+
+  // Initialize storage once, even when several callers start it concurrently
+  initialize() {
+    if (!this.initialization) {
+      this.initialization = this.runInitialization().then((success) => {
+        // Allow a retry after a failed initialization
+        if (!success) this.initialization = null;
+        return success;
+      });
+    }
+    return this.initialization;
   }
 
   // Initialize storage and handle migrations
-  async initialize() {
+  async runInitialization() {
     try {
       const storedVersion = await this.getAppVersion();
       
@@ -69,10 +98,86 @@ class StorageService {
     }
   }
 
+  // Get the notification that last opened the app from a tap
+  async getLastHandledResponse() {
+    try {
+      return await AsyncStorage.getItem(STORAGE_KEYS.LAST_HANDLED_RESPONSE);
+    } catch (error) {
+      console.error('Error getting last handled notification response:', error);
+      return null;
+    }
+  }
+
+  // Remember the notification that opened the app, so later launches don't open it again
+  async setLastHandledResponse(notificationId) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.LAST_HANDLED_RESPONSE, notificationId);
+    } catch (error) {
+      console.error('Error setting last handled notification response:', error);
+    }
+  }
+
+  // Compare two semantic version strings (returns true if a < b)
+  isOlderVersion(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const diff = (partsA[i] || 0) - (partsB[i] || 0);
+      if (diff !== 0) return diff < 0;
+    }
+    return false;
+  }
+
   // Migrate data between versions
   async migrateData(fromVersion, toVersion) {
     console.log(`Migrating data from ${fromVersion} to ${toVersion}`);
-    // Add migration logic here as needed
+
+    if (this.isOlderVersion(fromVersion, '1.1.0')) {
+      await this.migrateLegacyStores();
+    }
+  }
+
+  // Merge the legacy background copies of reminders and geofences into the unified keys
+  async migrateLegacyStores() {
+    try {
+      const [[, legacyRemindersJson], [, legacyGeofencesJson]] = await AsyncStorage.multiGet([
+        LEGACY_KEYS.REMINDERS,
+        LEGACY_KEYS.GEOFENCES,
+      ]);
+      const legacyReminders = legacyRemindersJson ? JSON.parse(legacyRemindersJson) : [];
+      const legacyGeofences = legacyGeofencesJson ? JSON.parse(legacyGeofencesJson) : [];
+
+      // The main reminder store is authoritative. A legacy copy is only restored
+      // when its geofence was still registered, since deleting a reminder always
+      // removed its geofence but never its background copy.
+      const reminders = await this.getReminders();
+      const reminderIds = new Set(reminders.map(reminder => reminder.id));
+      const geofencedIds = new Set(legacyGeofences.map(geofence => geofence.reminderId));
+
+      legacyReminders.forEach((reminder) => {
+        if (!reminderIds.has(reminder.id) && geofencedIds.has(reminder.id)) {
+          reminders.push(reminder);
+          reminderIds.add(reminder.id);
+        }
+      });
+
+      // Keep only geofences that still belong to a reminder
+      const geofences = await this.getGeofences();
+      const geofenceIds = new Set(geofences.map(geofence => geofence.id));
+      legacyGeofences.forEach((geofence) => {
+        if (!geofenceIds.has(geofence.id) && reminderIds.has(geofence.reminderId)) {
+          geofences.push(geofence);
+        }
+      });
+
+      await this.saveReminders(reminders);
+      await this.saveGeofences(geofences);
+      await AsyncStorage.multiRemove([LEGACY_KEYS.REMINDERS, LEGACY_KEYS.GEOFENCES]);
+
+      console.log(`Migrated ${geofences.length} geofences into the unified store`);
+    } catch (error) {
+      console.error('Error migrating legacy stores:', error);
+    }
   }
 
   // Save reminders
@@ -134,8 +239,8 @@ class StorageService {
       reminders.unshift(newReminder);
       await this.saveReminders(reminders);
       
-      // Add location to history
-      if (newReminder.locationData) {
+      // Add location to history (category reminders have no single location)
+      if (newReminder.locationData && !isCategoryReminder(newReminder)) {
         await LocationHistoryService.addLocation({
           latitude: newReminder.locationData.latitude,
           longitude: newReminder.locationData.longitude,
@@ -183,6 +288,7 @@ class StorageService {
       
       if (filteredReminders.length < reminders.length) {
         await this.saveReminders(filteredReminders);
+        await this.clearTriggerHistory(id);
         return true;
       }
       
@@ -198,7 +304,13 @@ class StorageService {
     try {
       const reminder = await this.getReminderById(id);
       if (reminder) {
-        return await this.updateReminder(id, { isActive: !reminder.isActive });
+        // Turning a reminder back on also ends any snooze set from a notification,
+        // and turning on an imported draft makes it a regular reminder
+        return await this.updateReminder(id, {
+          isActive: !reminder.isActive,
+          snooze: reminder.isActive ? reminder.snooze : null,
+          isDraft: reminder.isActive ? reminder.isDraft : false,
+        });
       }
       return null;
     } catch (error) {
@@ -225,6 +337,163 @@ class StorageService {
     }
   }
 
+  // Save geofences
+  async saveGeofences(geofences) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.GEOFENCES, JSON.stringify(geofences));
+      return true;
+    } catch (error) {
+      console.error('Error saving geofences:', error);
+      return false;
+    }
+  }
+
+  // Get all geofences
+  async getGeofences() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.GEOFENCES);
+      return jsonValue != null ? JSON.parse(jsonValue) : [];
+    } catch (error) {
+      console.error('Error getting geofences:', error);
+      return [];
+    }
+  }
+
+  // Get where each category reminder's places were last looked up, keyed by reminder ID
+  async getCategoryAnchors() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.CATEGORY_ANCHORS);
+      return jsonValue != null ? JSON.parse(jsonValue) : {};
+    } catch (error) {
+      console.error('Error getting category anchors:', error);
+      return {};
+    }
+  }
+
+  // Save where category reminders' places were last looked up
+  async saveCategoryAnchors(anchors) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.CATEGORY_ANCHORS, JSON.stringify(anchors));
+      return true;
+    } catch (error) {
+      console.error('Error saving category anchors:', error);
+      return false;
+    }
+  }
+
+  // Get how location monitoring was last running
+  async getMonitoringState() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.MONITORING_STATE);
+      return jsonValue != null ? JSON.parse(jsonValue) : {};
+    } catch (error) {
+      console.error('Error getting monitoring state:', error);
+      return {};
+    }
+  }
+
+  // Save how location monitoring is running, for background tasks started without the app
+  async saveMonitoringState(state) {
+    try {
+      await AsyncStorage.setItem(STORAGE_KEYS.MONITORING_STATE, JSON.stringify(state));
+      return true;
+    } catch (error) {
+      console.error('Error saving monitoring state:', error);
+      return false;
+    }
+  }
+
+  // Get all dwell timers keyed by geofence ID
+  async getDwellTimers() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.DWELL_TIMERS);
+      return jsonValue != null ? JSON.parse(jsonValue) : {};
+    } catch (error) {
+      console.error('Error getting dwell timers:', error);
+      return {};
+    }
+  }
+
+  // Get the dwell timer for a geofence
+  async getDwellTimer(geofenceId) {
+    const timers = await this.getDwellTimers();
+    return timers[geofenceId] || null;
+  }
+
+  // Save the dwell timer for a geofence
+  async saveDwellTimer(geofenceId, timer) {
+    try {
+      const timers = await this.getDwellTimers();
+      timers[geofenceId] = timer;
+      await AsyncStorage.setItem(STORAGE_KEYS.DWELL_TIMERS, JSON.stringify(timers));
+      return true;
+    } catch (error) {
+      console.error('Error saving dwell timer:', error);
+      return false;
+    }
+  }
+
+  // Clear the dwell timer for a geofence
+  async clearDwellTimer(geofenceId) {
+    try {
+      const timers = await this.getDwellTimers();
+      if (timers[geofenceId]) {
+        delete timers[geofenceId];
+        await AsyncStorage.setItem(STORAGE_KEYS.DWELL_TIMERS, JSON.stringify(timers));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error clearing dwell timer:', error);
+      return false;
+    }
+  }
+
+  // Get all trigger events keyed by reminder ID
+  async getAllTriggerHistory() {
+    try {
+      const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.TRIGGER_HISTORY);
+      return jsonValue != null ? JSON.parse(jsonValue) : {};
+    } catch (error) {
+      console.error('Error getting trigger history:', error);
+      return {};
+    }
+  }
+
+  // Get the trigger events for a reminder, newest first
+  async getTriggerHistory(reminderId) {
+    const history = await this.getAllTriggerHistory();
+    return [...(history[reminderId] || [])].reverse();
+  }
+
+  // Append a trigger event to a reminder's history, dropping the oldest events
+  async appendTriggerEvent(reminderId, event) {
+    try {
+      const history = await this.getAllTriggerHistory();
+      const events = [...(history[reminderId] || []), event];
+      history[reminderId] = events.slice(-MAX_TRIGGER_HISTORY);
+      await AsyncStorage.setItem(STORAGE_KEYS.TRIGGER_HISTORY, JSON.stringify(history));
+      return true;
+    } catch (error) {
+      console.error('Error appending trigger event:', error);
+      return false;
+    }
+  }
+
+  // Clear the trigger history for a reminder
+  async clearTriggerHistory(reminderId) {
+    try {
+      const history = await this.getAllTriggerHistory();
+      if (history[reminderId]) {
+        delete history[reminderId];
+        await AsyncStorage.setItem(STORAGE_KEYS.TRIGGER_HISTORY, JSON.stringify(history));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error clearing trigger history:', error);
+      return false;
+    }
+  }
+
   // Save settings
   async saveSettings(settings) {
     try {
@@ -241,7 +510,10 @@ class StorageService {
   async getSettings() {
     try {
       const jsonValue = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
-      return jsonValue != null ? JSON.parse(jsonValue) : this.getDefaultSettings();
+      // Fill in settings added after the user last saved theirs
+      return jsonValue != null
+        ? { ...this.getDefaultSettings(), ...JSON.parse(jsonValue) }
+        : this.getDefaultSettings();
     } catch (error) {
       console.error('Error getting settings:', error);
       return this.getDefaultSettings();
@@ -256,7 +528,10 @@ class StorageService {
       vibrationEnabled: true,
       defaultRadius: 100,
       locationAccuracy: 'balanced',
-      theme: 'light',
+      geofencingMode: 'native', // falls back to polling where the OS can't monitor regions
+      lowBatteryThreshold: 20, // percent; 0 never degrades monitoring for the battery
+      lowBatteryMode: 'coarse', // or 'fetch-only', see powerPolicy
+      theme: 'system',
     };
   }
 
@@ -267,6 +542,11 @@ class StorageService {
         STORAGE_KEYS.REMINDERS,
         STORAGE_KEYS.SETTINGS,
         STORAGE_KEYS.GEOFENCES,
+        STORAGE_KEYS.DWELL_TIMERS,
+        STORAGE_KEYS.CATEGORY_ANCHORS,
+        STORAGE_KEYS.TRIGGER_HISTORY,
+        STORAGE_KEYS.MONITORING_STATE,
+        STORAGE_KEYS.LAST_HANDLED_RESPONSE,
       ]);
       return true;
     } catch (error) {
@@ -282,6 +562,7 @@ class StorageService {
       const settings = await this.getSettings();
       
       return {
+        format: BACKUP_FORMAT,
         version: this.currentVersion,
         exportDate: new Date().toISOString(),
         reminders,
@@ -293,23 +574,53 @@ class StorageService {
     }
   }
 
-  // Import data from backup
-  async importData(data) {
+  // Import data from backup, merging with or replacing the current reminders.
+  // Returns what was added and what was skipped
+  async importData(data, mode = IMPORT_MODES.MERGE) {
     try {
-      if (data.reminders) {
-        await this.saveReminders(data.reminders);
+      const backup = validateBackup(data);
+      if (this.isOlderVersion(this.currentVersion, backup.version)) {
+        throw new Error(`This backup was made by a newer version of GeoRem (${backup.version}). Please update the app first.`);
       }
-      
-      if (data.settings) {
-        await this.saveSettings(data.settings);
+
+      const result = await this.importReminders(backup.reminders, mode);
+
+      if (mode === IMPORT_MODES.REPLACE) {
+        // Only restore valid settings this version knows about
+        if (backup.settings) {
+          await this.saveSettings(restoreSettings(backup.settings, this.getDefaultSettings()));
+        }
       }
-      
-      return true;
+
+      return { ...result, skipped: backup.skipped };
     } catch (error) {
       console.error('Error importing data:', error);
       throw error;
     }
   }
+
+  // Add validated reminders, skipping duplicates, or replace all reminders with them
+  async importReminders(importedReminders, mode = IMPORT_MODES.MERGE) {
+    const existingReminders = await this.getReminders();
+    const { reminders, added, duplicates } = planImport(existingReminders, importedReminders, mode);
+
+    const saved = await this.saveReminders(reminders);
+    if (!saved) {
+      throw new Error('Failed to save imported reminders');
+    }
+
+    // Reminders left behind by a replace take their trigger history with them
+    if (mode === IMPORT_MODES.REPLACE) {
+      const keptIds = new Set(reminders.map(reminder => reminder.id));
+      const removed = existingReminders.filter(reminder => !keptIds.has(reminder.id));
+      for (const reminder of removed) {
+        await this.clearTriggerHistory(reminder.id);
+      }
+    }
+
+    console.log(`Imported ${added.length} reminders (${duplicates.length} duplicates)`);
+    return { reminders, added, duplicates };
+  }
 }
 
 // Export singleton instance
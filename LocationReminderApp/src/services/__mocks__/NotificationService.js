@@ -0,0 +1,4 @@
+// Records notifications instead of showing them
+export default {
+  showGeofenceNotification: jest.fn(async () => {}),
+};
@@ -0,0 +1,4 @@
+// Reports "Allow all the time" location access, so native geofencing can be used
+export default {
+  checkPermissions: jest.fn(async () => ({ backgroundLocation: { state: 'granted', canAskAgain: true } })),
+};
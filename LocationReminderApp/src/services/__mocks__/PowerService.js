@@ -0,0 +1,4 @@
+// Reports no battery state unless a test sets one
+export default {
+  getPowerState: jest.fn(async () => null),
+};
@@ -0,0 +1,142 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import GeocodingService from '../GeocodingService';
+import LocationHistoryService from '../LocationHistoryService';
+import { createNominatimProvider } from '../geocodingProviders';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const STUB_URL = 'http://localhost:8080';
+
+const NOMINATIM_RESULTS = [
+  { osm_type: 'node', osm_id: 1, name: 'Corner shop', display_name: 'Corner shop, Main Street', lat: '52.37', lon: '4.89' },
+  { osm_type: 'node', osm_id: 2, name: 'Corner bakery', display_name: 'Corner bakery, Side Street', lat: '52.38', lon: '4.9' },
+];
+
+const stubFetch = (body, status = 200) => jest.fn(async () => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+}));
+
+// Like fetch without a network connection
+const offlineFetch = () => jest.fn(async () => {
+  throw new TypeError('Network request failed');
+});
+
+// A service in a fresh process, looking places up on a stub Nominatim server
+const createService = (fetchImpl) => {
+  const service = new GeocodingService.constructor();
+  service.configure({
+    providers: [createNominatimProvider({ baseUrl: STUB_URL, fetchImpl, minIntervalMs: 0 })],
+  });
+  return service;
+};
+
+const names = (places) => places.map(place => place.name);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('GeocodingService.search', () => {
+  it('returns the online results, best match first', async () => {
+    const places = await createService(stubFetch(NOMINATIM_RESULTS)).search('corner shop');
+
+    expect(names(places)).toEqual(['Corner shop', 'Corner bakery']);
+    expect(places[0].source).toBe('nominatim');
+  });
+
+  it('uses the server named by EXPO_PUBLIC_NOMINATIM_URL', async () => {
+    const fetchImpl = stubFetch(NOMINATIM_RESULTS);
+    const originalFetch = global.fetch;
+    global.fetch = fetchImpl;
+    process.env.EXPO_PUBLIC_NOMINATIM_URL = STUB_URL;
+
+    try {
+      await new GeocodingService.constructor().search('corner shop');
+    } finally {
+      delete process.env.EXPO_PUBLIC_NOMINATIM_URL;
+      global.fetch = originalFetch;
+    }
+
+    expect(fetchImpl.mock.calls[0][0]).toMatch(/^http:\/\/localhost:8080\/search\?/);
+  });
+
+  it('tries the next provider when the server answers with an error', async () => {
+    const service = new GeocodingService.constructor();
+    service.configure({
+      providers: [
+        createNominatimProvider({ baseUrl: STUB_URL, fetchImpl: stubFetch({}, 503), minIntervalMs: 0 }),
+        createNominatimProvider({ baseUrl: 'http://localhost:8081', fetchImpl: stubFetch(NOMINATIM_RESULTS), minIntervalMs: 0 }),
+      ],
+    });
+
+    expect(names(await service.search('corner shop'))).toEqual(['Corner shop', 'Corner bakery']);
+  });
+
+  it('falls back to places found earlier when the network fails', async () => {
+    await createService(stubFetch(NOMINATIM_RESULTS)).search('corner shop');
+
+    const places = await createService(offlineFetch()).search('bakery');
+
+    expect(names(places)).toEqual(['Corner bakery']);
+    expect(places[0].source).toBe('local');
+  });
+
+  it('falls back to location history when the server does not answer in time', async () => {
+    await LocationHistoryService.addLocation({ name: 'Corner office', address: 'Office Park 3', latitude: 52.4, longitude: 4.95 });
+    jest.useFakeTimers();
+    const hangingFetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+    }));
+
+    const search = createService(hangingFetch).search('corner office');
+    await jest.advanceTimersByTimeAsync(10000);
+    const places = await search;
+
+    expect(names(places)).toEqual(['Corner office']);
+    expect(places[0].source).toBe('history');
+  });
+
+  it('reuses the online results for a repeated query', async () => {
+    const fetchImpl = stubFetch(NOMINATIM_RESULTS);
+    const service = createService(fetchImpl);
+
+    await service.search('corner shop');
+    const places = await service.search('Corner Shop');
+
+    expect(names(places)).toEqual(['Corner shop', 'Corner bakery']);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  it('searches online again once the cached results are ten minutes old', async () => {
+    const fetchImpl = stubFetch(NOMINATIM_RESULTS);
+    const service = createService(fetchImpl);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    await service.search('corner shop');
+    now.mockReturnValue(10 * 60 * 1000 - 1);
+    await service.search('corner shop');
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    now.mockReturnValue(10 * 60 * 1000);
+    await service.search('corner shop');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  it('passes a cancellation on to the caller instead of falling back', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(createService(offlineFetch()).search('corner shop', { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,249 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Location from 'expo-location';
+import NotificationService from '../NotificationService';
+import PowerService from '../PowerService';
+import StorageService from '../StorageService';
+import {
+  CENTER,
+  METERS_PER_DEGREE,
+  createReminder,
+  positionAt,
+  setUp,
+  startProcess,
+} from '../../testUtils/geofenceFixtures';
+
+// expo-location and the other native modules are mocked in __mocks__
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../NotificationService');
+jest.mock('../PermissionService');
+jest.mock('../PowerService');
+
+const METERS_PER_DEGREE_EAST = METERS_PER_DEGREE * Math.cos((CENTER.latitude * Math.PI) / 180);
+
+// A strip 100 m deep and 600 m wide: its registered circle reaches far past its outline
+const STRIP = [[-50, -300], [-50, 300], [50, 300], [50, -300]].map(([north, east]) => ({
+  latitude: CENTER.latitude + north / METERS_PER_DEGREE,
+  longitude: CENTER.longitude + east / METERS_PER_DEGREE_EAST,
+}));
+
+const feed = async (positions) => {
+  await startProcess().handleBackgroundLocationUpdate(positions);
+};
+
+const notifiedTransitions = () =>
+  NotificationService.showGeofenceNotification.mock.calls.map(([, transitionType]) => transitionType);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+  Location.getCurrentPositionAsync.mockResolvedValue(null);
+  Location.__setLocationUpdatesStarted(false);
+  PowerService.getPowerState.mockResolvedValue(null);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GeofenceManager across background invocations', () => {
+  it('confirms an arrival whose fixes arrive in separate processes', async () => {
+    await setUp(createReminder());
+
+    await feed([positionAt(400, 0), positionAt(350, 5)]);
+    await feed([positionAt(60, 60)]);
+    expect(notifiedTransitions()).toEqual([]);
+
+    await feed([positionAt(40, 120)]);
+    expect(notifiedTransitions()).toEqual(['ENTER']);
+
+    const [geofence] = await StorageService.getGeofences();
+    expect(geofence.transitionState.status).toBe('inside');
+    expect(geofence.triggeredCount).toBe(1);
+  });
+
+  it('does not notify again for fixes that stay inside', async () => {
+    await setUp(createReminder());
+
+    await feed([positionAt(300, 0), positionAt(250, 5), positionAt(50, 10), positionAt(30, 15)]);
+    await feed([positionAt(20, 60)]);
+    await feed([positionAt(0, 120), positionAt(-30, 125)]);
+
+    expect(notifiedTransitions()).toEqual(['ENTER']);
+  });
+
+  it('reports leaving after the process that saw the arrival is gone', async () => {
+    await setUp(createReminder());
+
+    await feed([positionAt(300, 0), positionAt(250, 5), positionAt(50, 10), positionAt(30, 15)]);
+    await feed([positionAt(-200, 300)]);
+    await feed([positionAt(-260, 360)]);
+
+    expect(notifiedTransitions()).toEqual(['ENTER', 'EXIT']);
+  });
+
+  it('ignores inaccurate fixes between processes', async () => {
+    await setUp(createReminder());
+
+    await feed([positionAt(400, 0), positionAt(380, 5)]);
+    await feed([positionAt(0, 60, 800)]);
+    await feed([positionAt(0, 120, 800)]);
+
+    expect(notifiedTransitions()).toEqual([]);
+  });
+
+  it('finishes a dwell timer started by an earlier process', async () => {
+    await setUp(createReminder({ geofence: { transitionType: 'DWELL', dwellMinutes: 5 } }));
+
+    await feed([positionAt(300, 0), positionAt(250, 5), positionAt(50, 10), positionAt(30, 15)]);
+    await feed([positionAt(10, 4 * 60)]);
+    expect(notifiedTransitions()).toEqual([]);
+
+    await feed([positionAt(0, 6 * 60)]);
+    expect(notifiedTransitions()).toEqual(['DWELL']);
+  });
+
+  it('retires a one-shot reminder for later processes', async () => {
+    await setUp(createReminder({ geofence: { transitionType: 'ENTER' }, recurrence: { mode: 'once' } }));
+
+    await feed([positionAt(300, 0), positionAt(250, 5), positionAt(50, 10), positionAt(30, 15)]);
+    await feed([positionAt(400, 300), positionAt(380, 305), positionAt(40, 600), positionAt(20, 605)]);
+
+    expect(notifiedTransitions()).toEqual(['ENTER']);
+    expect(await StorageService.getGeofences()).toEqual([]);
+    expect((await StorageService.getReminderById('reminder-1')).isActive).toBe(false);
+  });
+});
+
+describe('GeofenceManager sampling in background processes', () => {
+  it('switches the sampling tier the app started with', async () => {
+    await setUp(createReminder());
+    await StorageService.saveMonitoringState({ isMonitoring: true, geofencingMode: 'polling', samplingTier: 'far' });
+
+    await feed([positionAt(150, 0)]);
+
+    expect(Location.startLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+    expect((await StorageService.getMonitoringState()).samplingTier).toBe('near');
+  });
+
+  it('leaves location updates alone when the app was not monitoring', async () => {
+    await setUp(createReminder());
+
+    await feed([positionAt(150, 0)]);
+
+    expect(Location.startLocationUpdatesAsync).not.toHaveBeenCalled();
+  });
+});
+
+describe('GeofenceManager on periodic checks only', () => {
+  // One background fetch check in a fresh process, with the location at the position
+  const check = async (position) => {
+    Location.getCurrentPositionAsync.mockResolvedValueOnce(position);
+    await startProcess().performBackgroundGeofenceCheck();
+  };
+
+  it('confirms an arrival on the first check that finds the user inside', async () => {
+    await setUp(createReminder({ isCritical: true }));
+    await StorageService.saveSettings({ lowBatteryThreshold: 20, lowBatteryMode: 'fetch-only' });
+    PowerService.getPowerState.mockResolvedValue({ batteryLevel: 0.1, batteryState: 1, lowPowerMode: false });
+
+    await check(positionAt(400, 0));
+    await check(positionAt(20, 15 * 60));
+
+    expect(notifiedTransitions()).toEqual(['ENTER']);
+  });
+
+  it('restarts the monitoring the app left running once the battery runs low', async () => {
+    await setUp(createReminder({ isCritical: true }));
+    await StorageService.saveSettings({ geofencingMode: 'polling', lowBatteryThreshold: 20, lowBatteryMode: 'fetch-only' });
+    await StorageService.saveMonitoringState({ isMonitoring: true, geofencingMode: 'polling', samplingTier: 'far' });
+    PowerService.getPowerState.mockResolvedValue({ batteryLevel: 0.1, batteryState: 1, lowPowerMode: false });
+
+    await check(positionAt(400, 0));
+
+    // Monitoring runs on in background fetch only, with no sampling tier
+    expect(await StorageService.getMonitoringState()).toEqual({
+      isMonitoring: true,
+      geofencingMode: 'polling',
+      samplingTier: null,
+    });
+  });
+});
+
+describe('GeofenceManager restarting monitoring', () => {
+  // Let every pending promise callback run
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('waits for geofence work in progress before restarting for the battery', async () => {
+    await StorageService.saveSettings({ geofencingMode: 'polling', lowBatteryThreshold: 20, lowBatteryMode: 'fetch-only' });
+    await StorageService.saveMonitoringState({ isMonitoring: true, geofencingMode: 'polling', samplingTier: 'far' });
+    const manager = startProcess();
+    await manager.restoreMonitoringState();
+
+    let finishWork;
+    const work = manager.runExclusive(() => new Promise((resolve) => {
+      finishWork = resolve;
+    }));
+    PowerService.getPowerState.mockResolvedValue({ batteryLevel: 0.1, batteryState: 1, lowPowerMode: false });
+    const restart = manager.handlePowerStateChange();
+    await settle();
+    expect((await StorageService.getMonitoringState()).samplingTier).toBe('far');
+
+    finishWork();
+    await Promise.all([work, restart]);
+    expect(await StorageService.getMonitoringState()).toEqual({
+      isMonitoring: true,
+      geofencingMode: 'polling',
+      samplingTier: null,
+    });
+  });
+
+  it('restarts in native mode without waiting on itself', async () => {
+    await setUp(createReminder());
+    Location.getCurrentPositionAsync.mockResolvedValue(positionAt(400, 0));
+    const manager = startProcess();
+    await manager.startMonitoring();
+
+    await manager.applySettings({ ...(await StorageService.getSettings()), locationAccuracy: 'high' });
+
+    expect(manager.isMonitoring).toBe(true);
+    expect(Location.startGeofencingAsync).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('GeofenceManager with native regions', () => {
+  const region = { identifier: 'geofence_reminder-1', ...CENTER };
+
+  const reportRegion = async (eventType, position) => {
+    Location.getCurrentPositionAsync.mockResolvedValueOnce(position);
+    await startProcess().handleNativeGeofenceEvent(eventType, region);
+  };
+
+  it('tracks the location inside an area\'s circle until the user reaches the outline', async () => {
+    await setUp(createReminder({ locationData: { ...CENTER, polygon: STRIP } }));
+
+    await reportRegion(Location.GeofencingEventType.Enter, positionAt(200, 0));
+    expect(notifiedTransitions()).toEqual([]);
+    expect(Location.startLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+
+    await feed([positionAt(200, 5), positionAt(180, 10), positionAt(20, 15), positionAt(0, 20)]);
+    expect(notifiedTransitions()).toEqual(['ENTER']);
+
+    await reportRegion(Location.GeofencingEventType.Exit, positionAt(400, 60));
+    expect(notifiedTransitions()).toEqual(['ENTER', 'EXIT']);
+    expect(Location.stopLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+  });
+
+  it('tracks the location while a stay reminder\'s timer runs', async () => {
+    await setUp(createReminder({ geofence: { transitionType: 'DWELL', dwellMinutes: 5 } }));
+
+    await reportRegion(Location.GeofencingEventType.Enter, positionAt(20, 0));
+    expect(Location.startLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+
+    await feed([positionAt(10, 6 * 60)]);
+    expect(notifiedTransitions()).toEqual(['DWELL']);
+    expect(Location.stopLocationUpdatesAsync).toHaveBeenCalledTimes(1);
+  });
+});
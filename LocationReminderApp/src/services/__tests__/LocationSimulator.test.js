@@ -0,0 +1,88 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import LocationSimulator from '../LocationSimulator';
+import NotificationService from '../NotificationService';
+import StorageService from '../StorageService';
+import { createVisitTrace } from '../../utils/locationTraces';
+import { TRIGGER_OUTCOMES } from '../../utils/triggerHistoryUtils';
+import { createReminder, setUp } from '../../testUtils/geofenceFixtures';
+
+// expo-location and the other native modules are mocked in __mocks__
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('../NotificationService');
+jest.mock('../PermissionService');
+jest.mock('../PowerService');
+
+const PLACE = createReminder().locationData;
+
+// Replay a whole trace one fix at a time, as the simulator screen's step button does
+const replay = async (trace) => {
+  await LocationSimulator.load(trace, 'visit');
+  while (LocationSimulator.getState().position < trace.length) {
+    await LocationSimulator.step();
+  }
+};
+
+// The simulator's log entries in the order they happened, without the end marker
+const loggedTransitions = () =>
+  LocationSimulator.getState().log
+    .filter(entry => !entry.isEnd)
+    .reverse()
+    .map(entry => [entry.type, entry.outcome]);
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  await LocationSimulator.stop();
+  jest.restoreAllMocks();
+});
+
+describe('LocationSimulator replaying a visit', () => {
+  it('reports arriving and leaving', async () => {
+    await setUp(createReminder());
+
+    await replay(createVisitTrace(PLACE));
+
+    expect(loggedTransitions()).toEqual([
+      ['ENTER', TRIGGER_OUTCOMES.NOTIFIED],
+      ['EXIT', TRIGGER_OUTCOMES.NOTIFIED],
+    ]);
+  });
+
+  it('reports a stay once it has lasted long enough', async () => {
+    await setUp(createReminder({ geofence: { transitionType: 'DWELL', dwellMinutes: 5 } }));
+
+    await replay(createVisitTrace(PLACE, { stayMinutes: 5 }));
+
+    expect(loggedTransitions()).toEqual([
+      ['ENTER', TRIGGER_OUTCOMES.TRIGGER_MISMATCH],
+      ['DWELL', TRIGGER_OUTCOMES.NOTIFIED],
+      ['EXIT', TRIGGER_OUTCOMES.TRIGGER_MISMATCH],
+    ]);
+  });
+
+  it('neither notifies nor changes the stored reminders', async () => {
+    const reminder = createReminder({
+      geofence: { transitionType: 'DWELL', dwellMinutes: 5 },
+      recurrence: { mode: 'once' },
+      snooze: { nextVisit: true },
+    });
+    await setUp(reminder);
+    const geofences = await StorageService.getGeofences();
+
+    await replay(createVisitTrace(PLACE, { stayMinutes: 5 }));
+    await LocationSimulator.stop();
+
+    expect(loggedTransitions()).toContainEqual(['DWELL', TRIGGER_OUTCOMES.NOTIFIED]);
+    expect(NotificationService.showGeofenceNotification).not.toHaveBeenCalled();
+    expect(await StorageService.getReminderById('reminder-1')).toEqual(reminder);
+    expect(await StorageService.getGeofences()).toEqual(geofences);
+    expect(await StorageService.getDwellTimers()).toEqual({});
+    expect(await StorageService.getTriggerHistory('reminder-1')).toEqual([]);
+  });
+});
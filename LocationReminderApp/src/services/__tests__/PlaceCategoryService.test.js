@@ -0,0 +1,66 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PlaceCategoryService from '../PlaceCategoryService';
+import { createFixtureProvider } from '../poiProviders';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const HOME = { latitude: 52.37, longitude: 4.89 };
+
+const PLACES = [
+  { id: 'shop-1', name: 'Corner shop', latitude: 52.371, longitude: 4.89, category: 'grocery' },
+  { id: 'shop-2', name: 'Market', latitude: 52.38, longitude: 4.89, category: 'grocery' },
+];
+
+// A service in a fresh process, searching the fixture places and counting lookups
+const startProcess = (provider) => {
+  const service = new PlaceCategoryService.constructor();
+  service.configure({ provider });
+  return service;
+};
+
+const createCountingProvider = () => {
+  const provider = createFixtureProvider({ places: PLACES });
+  return { ...provider, search: jest.fn(provider.search) };
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('PlaceCategoryService lookups', () => {
+  it('reuses a lookup saved by an earlier process', async () => {
+    const provider = createCountingProvider();
+
+    const first = await startProcess(provider).findNearby('grocery', HOME);
+    const second = await startProcess(provider).findNearby('grocery', HOME);
+
+    expect(provider.search).toHaveBeenCalledTimes(1);
+    expect(second).toEqual(first);
+    expect(second.map(place => place.id)).toEqual(['shop-1', 'shop-2']);
+  });
+
+  it('looks up again once the saved lookup has expired', async () => {
+    const provider = createCountingProvider();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 4, 4, 9));
+
+    await startProcess(provider).findNearby('grocery', HOME);
+    now.mockReturnValue(Date.UTC(2024, 4, 4, 10));
+    await startProcess(provider).findNearby('grocery', HOME);
+
+    expect(provider.search).toHaveBeenCalledTimes(2);
+    now.mockRestore();
+  });
+
+  it('forgets saved lookups when the cache is cleared', async () => {
+    const provider = createCountingProvider();
+
+    const service = startProcess(provider);
+    await service.findNearby('grocery', HOME);
+    await service.clearCache();
+    await startProcess(provider).findNearby('grocery', HOME);
+
+    expect(provider.search).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,215 @@
+import * as Location from 'expo-location';
+import {
+  createLocalProvider,
+  createNominatimProvider,
+  createPlatformProvider,
+  createRateLimiter,
+  isAbortError,
+} from '../geocodingProviders';
+
+const STUB_URL = 'http://localhost:8080/';
+
+const NOMINATIM_RESULTS = [
+  {
+    osm_type: 'node',
+    osm_id: 42,
+    name: 'Corner shop',
+    display_name: 'Corner shop, Main Street, Amsterdam',
+    lat: '52.3700',
+    lon: '4.8900',
+    type: 'supermarket',
+    importance: 0.4,
+  },
+];
+
+// A stub fetch answering every request with the given body and status
+const stubFetch = (body, status = 200) => jest.fn(async () => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+}));
+
+// A stub fetch that never answers, rejecting like fetch does once aborted
+const hangingFetch = () => jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    reject(error);
+  });
+}));
+
+const createStubProvider = (fetchImpl) => createNominatimProvider({ baseUrl: STUB_URL, fetchImpl, minIntervalMs: 0 });
+
+describe('createNominatimProvider', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('searches the configured server and returns places', async () => {
+    const fetchImpl = stubFetch(NOMINATIM_RESULTS);
+
+    const places = await createStubProvider(fetchImpl).search('corner shop', { limit: 3 });
+
+    expect(fetchImpl).toHaveBeenCalledWith(
+      'http://localhost:8080/search?format=jsonv2&q=corner%20shop&limit=3',
+      expect.objectContaining({ headers: expect.objectContaining({ 'User-Agent': 'GeoRem/1.0' }) })
+    );
+    expect(places).toEqual([{
+      id: 'nominatim-node-42',
+      name: 'Corner shop',
+      address: 'Corner shop, Main Street, Amsterdam',
+      latitude: 52.37,
+      longitude: 4.89,
+      type: 'supermarket',
+      importance: 0.4,
+      source: 'nominatim',
+    }]);
+  });
+
+  it('reverse geocodes coordinates', async () => {
+    const fetchImpl = stubFetch(NOMINATIM_RESULTS[0]);
+
+    const place = await createStubProvider(fetchImpl).reverse(52.37, 4.89);
+
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:8080/reverse?format=jsonv2&lat=52.37&lon=4.89');
+    expect(place.address).toBe('Corner shop, Main Street, Amsterdam');
+  });
+
+  it('throws when the server answers with an error status', async () => {
+    const provider = createStubProvider(stubFetch({ error: 'Too many requests' }, 429));
+
+    await expect(provider.search('corner shop')).rejects.toThrow('status 429');
+  });
+
+  it('fails, rather than cancels, when the server does not answer in time', async () => {
+    jest.useFakeTimers();
+    const search = createStubProvider(hangingFetch()).search('corner shop');
+    const outcome = search.catch(error => error);
+
+    await jest.advanceTimersByTimeAsync(10000);
+    const error = await outcome;
+
+    expect(error.message).toMatch('timed out');
+    expect(isAbortError(error)).toBe(false);
+  });
+
+  it('throws an AbortError when the caller cancels', async () => {
+    const controller = new AbortController();
+    const search = createStubProvider(hangingFetch()).search('corner shop', { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(search).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('does not call the server for a search cancelled while waiting its turn', async () => {
+    const fetchImpl = stubFetch(NOMINATIM_RESULTS);
+    const provider = createNominatimProvider({ baseUrl: STUB_URL, fetchImpl, minIntervalMs: 1000 });
+    const controller = new AbortController();
+
+    await provider.search('first');
+    const second = provider.search('second', { signal: controller.signal });
+    controller.abort();
+
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  // Queue a task that records when it ran
+  const schedule = (rateLimit, started, name, signal) =>
+    rateLimit(async () => started.push([name, Date.now()]), signal);
+
+  it('runs tasks in order, at least the interval apart', async () => {
+    const rateLimit = createRateLimiter(1000);
+    const started = [];
+
+    const tasks = ['first', 'second', 'third'].map(name => schedule(rateLimit, started, name));
+    await jest.advanceTimersByTimeAsync(2000);
+    await Promise.all(tasks);
+
+    expect(started).toEqual([['first', 0], ['second', 1000], ['third', 2000]]);
+  });
+
+  it('runs a task straight away once the interval has passed', async () => {
+    const rateLimit = createRateLimiter(1000);
+    const started = [];
+
+    await schedule(rateLimit, started, 'first');
+    await jest.advanceTimersByTimeAsync(5000);
+    await schedule(rateLimit, started, 'second');
+
+    expect(started).toEqual([['first', 0], ['second', 5000]]);
+  });
+
+  it('gives the slot of a cancelled task to the next one', async () => {
+    const rateLimit = createRateLimiter(1000);
+    const started = [];
+    const controller = new AbortController();
+
+    await schedule(rateLimit, started, 'first');
+    const cancelled = schedule(rateLimit, started, 'cancelled', controller.signal);
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+
+    const next = schedule(rateLimit, started, 'next');
+    await jest.advanceTimersByTimeAsync(1000);
+    await next;
+
+    expect(started).toEqual([['first', 0], ['next', 1000]]);
+  });
+});
+
+describe('createPlatformProvider', () => {
+  it('adds the address of each place the device geocoder finds', async () => {
+    Location.geocodeAsync.mockResolvedValueOnce([{ latitude: 52.37, longitude: 4.89 }]);
+    Location.reverseGeocodeAsync.mockResolvedValueOnce([
+      { name: 'Corner shop', street: 'Main Street', city: 'Amsterdam', country: 'Netherlands' },
+    ]);
+
+    const places = await createPlatformProvider().search('corner shop');
+
+    expect(places).toEqual([expect.objectContaining({
+      name: 'Corner shop',
+      address: 'Corner shop, Main Street, Amsterdam, Netherlands',
+      source: 'platform',
+    })]);
+  });
+
+  it('keeps the coordinates when the address lookup fails', async () => {
+    Location.geocodeAsync.mockResolvedValueOnce([{ latitude: 52.37, longitude: 4.89 }]);
+    Location.reverseGeocodeAsync.mockRejectedValueOnce(new Error('No network'));
+
+    const [place] = await createPlatformProvider().search('corner shop');
+
+    expect(place).toMatchObject({ name: 'corner shop', latitude: 52.37, longitude: 4.89 });
+  });
+});
+
+describe('createLocalProvider', () => {
+  const PLACES = [
+    { id: 'history-1', name: 'Home', address: 'Canal Street 1', latitude: 52.37, longitude: 4.89, source: 'history' },
+    { id: 'nominatim-2', name: 'Corner shop', address: 'Main Street', latitude: 52.38, longitude: 4.9, source: 'nominatim' },
+  ];
+  const provider = createLocalProvider({ loadPlaces: async () => PLACES });
+
+  it('matches places by name and marks where they came from', async () => {
+    const places = await provider.search('corner');
+
+    expect(places).toEqual([{ ...PLACES[1], source: 'local' }]);
+  });
+
+  it('finds the known place at some coordinates', async () => {
+    expect(await provider.reverse(52.3701, 4.89)).toEqual(PLACES[0]);
+    expect(await provider.reverse(52.5, 4.89)).toBeNull();
+  });
+});
@@ -0,0 +1,256 @@
+import * as Location from 'expo-location';
+import { calculateDistance } from '../utils/geoMath';
+import { formatCoordinates } from '../utils/locationUtils';
+import { scorePlaceMatch, getQueryWords } from '../utils/placeRanking';
+
+// A geocoding provider looks up places by text and by coordinates:
+//
+//   {
+//     name: 'nominatim',
+//     isOnline: true, // needs a network connection
+//     search: async (query, { limit, signal }) => [place, ...],
+//     reverse: async (latitude, longitude, { signal }) => place || null,
+//   }
+//
+// Places are { id, name, address, latitude, longitude, type, importance, source }.
+// Providers throw when they can't be reached, so the caller can fall back to
+// another one, and throw an AbortError once the signal is aborted.
+
+export const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+const NOMINATIM_TIMEOUT_MS = 10000;
+
+// Nominatim's usage policy allows at most one request per second
+const NOMINATIM_MIN_INTERVAL_MS = 1000;
+
+// Create the error thrown when a lookup is cancelled
+export const createAbortError = () => {
+  const error = new Error('Geocoding request was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+};
+
+// Wait for a delay, stopping early if the signal is aborted
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (ms <= 0) {
+    resolve();
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timeout);
+    reject(createAbortError());
+  };
+  const timeout = setTimeout(() => {
+    signal?.removeEventListener?.('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener?.('abort', onAbort, { once: true });
+});
+
+// Space out calls so they start at least minIntervalMs apart, in the order they were made.
+// Calls cancelled while waiting give up their turn
+export const createRateLimiter = (minIntervalMs) => {
+  let nextSlot = 0;
+
+  return async (task, signal) => {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    nextSlot = slot + minIntervalMs;
+
+    try {
+      await wait(slot - now, signal);
+      // Also catches a call cancelled before its turn came up without any wait
+      throwIfAborted(signal);
+    } catch (error) {
+      // Hand the unused slot back if nobody has queued behind it
+      if (nextSlot === slot + minIntervalMs) {
+        nextSlot = slot;
+      }
+      throw error;
+    }
+    return task();
+  };
+};
+
+// Format an expo-location address as a single line
+const formatAddress = (address) => {
+  const parts = [];
+
+  if (address.name) parts.push(address.name);
+  if (address.street) parts.push(address.street);
+  if (address.city) parts.push(address.city);
+  if (address.region) parts.push(address.region);
+  if (address.postalCode) parts.push(address.postalCode);
+  if (address.country) parts.push(address.country);
+
+  return parts.filter(Boolean).join(', ');
+};
+
+// Build a place in the shape every provider returns
+export const createPlace = ({ id, name, address, latitude, longitude, type = null, importance = null }, source) => ({
+  id: id || `${source}-${latitude.toFixed(6)},${longitude.toFixed(6)}`,
+  name: name || (address ? address.split(',')[0] : formatCoordinates(latitude, longitude)),
+  address: address || name || formatCoordinates(latitude, longitude),
+  latitude,
+  longitude,
+  type,
+  importance,
+  source,
+});
+
+// The device's own geocoder (Apple or Google, through expo-location)
+export const createPlatformProvider = () => ({
+  name: 'platform',
+  isOnline: true,
+
+  async search(query, { limit = 5, signal } = {}) {
+    const results = await Location.geocodeAsync(query);
+    throwIfAborted(signal);
+
+    return Promise.all(results.slice(0, limit).map(async ({ latitude, longitude }) => {
+      let address = null;
+      try {
+        const [details] = await Location.reverseGeocodeAsync({ latitude, longitude });
+        address = details ? formatAddress(details) : null;
+      } catch (error) {
+        // Keep the coordinates even if the address lookup fails
+      }
+      return createPlace({ name: address ? address.split(',')[0] : query, address, latitude, longitude }, 'platform');
+    }));
+  },
+
+  async reverse(latitude, longitude, { signal } = {}) {
+    const [details] = await Location.reverseGeocodeAsync({ latitude, longitude });
+    throwIfAborted(signal);
+    if (!details) return null;
+    return createPlace({ address: formatAddress(details), latitude, longitude }, 'platform');
+  },
+});
+
+// OpenStreetMap's Nominatim API. The base URL can point at a self-hosted
+// instance or a local stub server, and fetch can be swapped out in tests
+export const createNominatimProvider = ({
+  baseUrl = DEFAULT_NOMINATIM_URL,
+  userAgent = 'GeoRem/1.0', // Required by Nominatim
+  fetchImpl = (...args) => fetch(...args),
+  minIntervalMs = NOMINATIM_MIN_INTERVAL_MS,
+} = {}) => {
+  const rateLimit = createRateLimiter(minIntervalMs);
+
+  const request = (path, params, signal) => rateLimit(async () => {
+    const query = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+
+    // Abort on timeout or when the caller cancels
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, NOMINATIM_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/${path}?${query}`, {
+        headers: { 'User-Agent': userAgent, Accept: 'application/json' },
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw new Error(`Nominatim request failed with status ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      throwIfAborted(signal);
+      // A timeout is a failed lookup, not a cancelled one, so the caller can fall back
+      if (timedOut) {
+        throw new Error(`Nominatim request timed out after ${NOMINATIM_TIMEOUT_MS / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener?.('abort', onAbort);
+    }
+  }, signal);
+
+  const toPlace = (item) => createPlace({
+    id: item.osm_id ? `nominatim-${item.osm_type}-${item.osm_id}` : null,
+    name: item.name || null,
+    address: item.display_name,
+    latitude: parseFloat(item.lat),
+    longitude: parseFloat(item.lon),
+    type: item.type || null,
+    importance: typeof item.importance === 'number' ? item.importance : null,
+  }, 'nominatim');
+
+  return {
+    name: 'nominatim',
+    isOnline: true,
+
+    async search(query, { limit = 5, signal } = {}) {
+      const data = await request('search', { format: 'jsonv2', q: query, limit }, signal);
+      return (Array.isArray(data) ? data : []).map(toPlace);
+    },
+
+    async reverse(latitude, longitude, { signal } = {}) {
+      const data = await request('reverse', { format: 'jsonv2', lat: latitude, lon: longitude }, signal);
+      return data && data.lat ? toPlace(data) : null;
+    },
+  };
+};
+
+// Places within this distance count as the coordinates asked for in a reverse lookup
+const LOCAL_REVERSE_RADIUS_METERS = 100;
+
+// Local results are 'history' for places the user picked, and 'local' for cached lookups
+const toLocalSource = (place) => (place.source === 'history' ? 'history' : 'local');
+
+// Check whether a place came from the device rather than an online lookup
+export const isLocalPlace = (place) => place.source === 'history' || place.source === 'local';
+
+// Searches places already on the device, so search keeps working offline.
+// loadPlaces returns the places to search, e.g. location history and cached results
+export const createLocalProvider = ({ loadPlaces }) => ({
+  name: 'local',
+  isOnline: false,
+
+  async search(query, { limit = 5 } = {}) {
+    const words = getQueryWords(query);
+    if (words.length === 0) return [];
+
+    const places = await loadPlaces();
+    return places
+      .map(place => ({ place, score: scorePlaceMatch(place, words) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ place }) => ({ ...place, source: toLocalSource(place) }));
+  },
+
+  async reverse(latitude, longitude) {
+    const places = await loadPlaces();
+    let nearest = null;
+    let nearestDistance = LOCAL_REVERSE_RADIUS_METERS;
+
+    places.forEach((place) => {
+      const distance = calculateDistance(latitude, longitude, place.latitude, place.longitude);
+      if (distance <= nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest ? { ...nearest, source: toLocalSource(nearest) } : null;
+  },
+});
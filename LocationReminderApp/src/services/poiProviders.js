@@ -0,0 +1,119 @@
+import { createAbortError, createRateLimiter } from './geocodingProviders';
+import { calculateDistance } from '../utils/geoMath';
+
+// A POI provider finds places of a category around a point:
+//
+//   {
+//     name: 'overpass',
+//     search: async (category, { latitude, longitude, radius, signal }) => [place, ...],
+//   }
+//
+// category is an entry of PLACE_CATEGORIES. Places are { id, name, latitude,
+// longitude, category } and may come back in any order. Providers throw when they
+// can't be reached, so the caller can keep the places it found before.
+
+export const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api';
+
+const OVERPASS_TIMEOUT_MS = 25000;
+
+// Keep well clear of the public server's per-IP request limit
+const OVERPASS_MIN_INTERVAL_MS = 2000;
+
+// Overpass returns matches in no useful order, so fetch more than needed and sort
+const OVERPASS_RESULT_LIMIT = 100;
+
+// Build an Overpass QL query for nodes, ways and relations with any of the category's tags
+const buildOverpassQuery = (category, { latitude, longitude, radius }) => {
+  const around = `(around:${Math.round(radius)},${latitude},${longitude})`;
+  const filters = category.tags.map((tag) => {
+    const [key, value] = tag.split('=');
+    return `  nwr["${key}"="${value}"]${around};`;
+  });
+
+  return [
+    `[out:json][timeout:${Math.round(OVERPASS_TIMEOUT_MS / 1000)}];`,
+    '(',
+    ...filters,
+    ');',
+    `out center ${OVERPASS_RESULT_LIMIT};`,
+  ].join('\n');
+};
+
+// OpenStreetMap data through the Overpass API. The base URL can point at a
+// self-hosted instance or a local stub server, and fetch can be swapped out in tests
+export const createOverpassProvider = ({
+  baseUrl = DEFAULT_OVERPASS_URL,
+  fetchImpl = (...args) => fetch(...args),
+  minIntervalMs = OVERPASS_MIN_INTERVAL_MS,
+} = {}) => {
+  const rateLimit = createRateLimiter(minIntervalMs);
+
+  const toPlace = (element, category) => {
+    // Ways and relations carry their center instead of a position
+    const position = element.center || element;
+    const latitude = position.lat;
+    const longitude = position.lon;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return null;
+    }
+
+    return {
+      id: `osm-${element.type}-${element.id}`,
+      name: element.tags?.name || element.tags?.brand || category.label,
+      latitude,
+      longitude,
+      category: category.id,
+    };
+  };
+
+  return {
+    name: 'overpass',
+
+    search: (category, { latitude, longitude, radius, signal }) => rateLimit(async () => {
+      // Abort on timeout or when the caller cancels
+      const controller = new AbortController();
+      const timeout = setTimeout(() => controller.abort(), OVERPASS_TIMEOUT_MS);
+      const onAbort = () => controller.abort();
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+
+      try {
+        const query = buildOverpassQuery(category, { latitude, longitude, radius });
+        const response = await fetchImpl(`${baseUrl.replace(/\/$/, '')}/interpreter`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+          body: `data=${encodeURIComponent(query)}`,
+          signal: controller.signal,
+        });
+        if (!response.ok) {
+          throw new Error(`Overpass request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        return (data.elements || [])
+          .map(element => toPlace(element, category))
+          .filter(Boolean);
+      } catch (error) {
+        if (signal?.aborted) {
+          throw createAbortError();
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener?.('abort', onAbort);
+      }
+    }, signal),
+  };
+};
+
+// Searches a fixed list of places, e.g. a fixture for tests or demos.
+// Each place is { id, name, latitude, longitude, category }
+export const createFixtureProvider = ({ places }) => ({
+  name: 'fixture',
+
+  async search(category, { latitude, longitude, radius }) {
+    return places.filter(place =>
+      place.category === category.id &&
+      calculateDistance(latitude, longitude, place.latitude, place.longitude) <= radius
+    );
+  },
+});
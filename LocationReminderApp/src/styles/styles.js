@@ -2,7 +2,13 @@ import { StyleSheet, Dimensions } from 'react-native';
 
 const { width, height } = Dimensions.get('window');
 
-export const colors = {
+export const THEME_MODES = {
+  LIGHT: 'light',
+  DARK: 'dark',
+  SYSTEM: 'system', // follow the device appearance
+};
+
+export const lightColors = {
   primary: '#6366F1',
   primaryDark: '#4F46E5',
   secondary: '#10B981',
@@ -17,7 +23,22 @@ export const colors = {
   success: '#10B981',
 };
 
-export const typography = {
+export const darkColors = {
+  primary: '#818CF8',
+  primaryDark: '#6366F1',
+  secondary: '#34D399',
+  background: '#0F172A',
+  surface: '#1E293B',
+  text: '#F1F5F9',
+  textSecondary: '#94A3B8',
+  border: '#334155',
+  shadow: '#000000',
+  error: '#F87171',
+  warning: '#FBBF24',
+  success: '#34D399',
+};
+
+export const createTypography = (colors) => ({
   h1: {
     fontSize: 28,
     fontWeight: '700',
@@ -48,7 +69,7 @@ export const typography = {
     fontWeight: '400',
     color: colors.textSecondary,
   },
-};
+});
 
 export const spacing = {
   xs: 4,
@@ -67,7 +88,7 @@ export const borderRadius = {
   full: 9999,
 };
 
-export const shadows = {
+export const createShadows = (colors) => ({
   small: {
     shadowColor: colors.shadow,
     shadowOffset: {
@@ -98,9 +119,9 @@ export const shadows = {
     shadowRadius: 8,
     elevation: 8,
   },
-};
+});
 
-export const globalStyles = StyleSheet.create({
+export const createGlobalStyles = (colors, typography) => StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: colors.background,
@@ -143,3 +164,19 @@ export const globalStyles = StyleSheet.create({
     right: spacing.md,
   },
 });
+
+// Build the colors and styles for a light or dark color scheme
+export const createTheme = (scheme) => {
+  const isDark = scheme === THEME_MODES.DARK;
+  const colors = isDark ? darkColors : lightColors;
+  const typography = createTypography(colors);
+
+  return {
+    scheme: isDark ? THEME_MODES.DARK : THEME_MODES.LIGHT,
+    isDark,
+    colors,
+    typography,
+    shadows: createShadows(colors),
+    globalStyles: createGlobalStyles(colors, typography),
+  };
+};
@@ -0,0 +1,38 @@
+import GeofenceManager from '../services/GeofenceManager';
+import StorageService from '../services/StorageService';
+
+// Where the test reminder is, and the length of a degree of latitude there
+export const CENTER = { latitude: 52.37, longitude: 4.89 };
+export const METERS_PER_DEGREE = 111195;
+
+// An expo-location position the given distance north of the reminder's center
+export const positionAt = (metersNorth, secondsIn, accuracy = 10) => ({
+  coords: {
+    latitude: CENTER.latitude + metersNorth / METERS_PER_DEGREE,
+    longitude: CENTER.longitude,
+    accuracy,
+  },
+  timestamp: Date.UTC(2024, 4, 4, 9, 0, secondsIn),
+});
+
+export const createReminder = (overrides = {}) => ({
+  id: 'reminder-1',
+  title: 'Buy milk',
+  type: 'sentence',
+  content: 'Milk and eggs',
+  location: 'Corner shop',
+  locationData: { ...CENTER, radius: 100 },
+  geofence: { transitionType: 'BOTH' },
+  isActive: true,
+  ...overrides,
+});
+
+// Each background invocation runs in a fresh process: nothing survives in
+// memory, only what the previous one saved to storage
+export const startProcess = () => new GeofenceManager.constructor();
+
+// Store a reminder and its geofence
+export const setUp = async (reminder) => {
+  await StorageService.saveReminders([reminder]);
+  await StorageService.saveGeofences([startProcess().createGeofenceData(reminder)]);
+};
@@ -0,0 +1,52 @@
+import { restoreSettings } from '../backupUtils';
+
+const DEFAULTS = {
+  notificationsEnabled: true,
+  defaultRadius: 100,
+  locationAccuracy: 'balanced',
+  geofencingMode: 'native',
+  lowBatteryThreshold: 20,
+  lowBatteryMode: 'coarse',
+  theme: 'system',
+};
+
+describe('restoreSettings', () => {
+  it('restores valid settings from the backup', () => {
+    const settings = restoreSettings({
+      notificationsEnabled: false,
+      defaultRadius: 250,
+      locationAccuracy: 'high',
+      lowBatteryMode: 'fetch-only',
+      theme: 'dark',
+    }, DEFAULTS);
+
+    expect(settings).toEqual({
+      ...DEFAULTS,
+      notificationsEnabled: false,
+      defaultRadius: 250,
+      locationAccuracy: 'high',
+      lowBatteryMode: 'fetch-only',
+      theme: 'dark',
+    });
+  });
+
+  it('keeps the defaults for invalid values', () => {
+    const settings = restoreSettings({
+      notificationsEnabled: 'yes',
+      defaultRadius: '250',
+      locationAccuracy: 'extreme',
+      geofencingMode: null,
+      lowBatteryThreshold: 150,
+      lowBatteryMode: 'off',
+      theme: 'sepia',
+    }, DEFAULTS);
+
+    expect(settings).toEqual(DEFAULTS);
+  });
+
+  it('leaves out settings this version does not know', () => {
+    const settings = restoreSettings({ accuracyProfile: 'high', defaultRadius: 200 }, DEFAULTS);
+
+    expect(settings).toEqual({ ...DEFAULTS, defaultRadius: 200 });
+  });
+});
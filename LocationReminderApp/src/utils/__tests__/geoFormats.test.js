@@ -0,0 +1,92 @@
+import {
+  GEO_FORMATS,
+  detectGeoFormat,
+  exportGPX,
+  getExportableReminders,
+  importLocations,
+} from '../geoFormats';
+
+const PREFIXED_KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml:kml xmlns:kml="http://www.opengis.net/kml/2.2">
+  <kml:Document>
+    <kml:Placemark>
+      <kml:name>Office</kml:name>
+      <kml:ExtendedData>
+        <kml:Data name="radius"><kml:value>150</kml:value></kml:Data>
+      </kml:ExtendedData>
+      <kml:Point><kml:coordinates>4.89,52.37,0</kml:coordinates></kml:Point>
+    </kml:Placemark>
+    <kml:Placemark>
+      <kml:name>Park</kml:name>
+      <kml:Polygon>
+        <kml:outerBoundaryIs><kml:LinearRing>
+          <kml:coordinates>4.90,52.36 4.91,52.36 4.91,52.37 4.90,52.37 4.90,52.36</kml:coordinates>
+        </kml:LinearRing></kml:outerBoundaryIs>
+      </kml:Polygon>
+    </kml:Placemark>
+  </kml:Document>
+</kml:kml>`;
+
+const PREFIXED_GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx:gpx version="1.1" xmlns:gpx="http://www.topografix.com/GPX/1/1">
+  <gpx:wpt lat="52.37" lon="4.89"><gpx:name>Bakery</gpx:name></gpx:wpt>
+  <gpx:wpt lat="52.38" lon="4.88"><gpx:name>Station</gpx:name></gpx:wpt>
+</gpx:gpx>`;
+
+describe('importLocations with namespace prefixes', () => {
+  it('detects prefixed KML and GPX by their contents', () => {
+    expect(detectGeoFormat(PREFIXED_KML)).toBe(GEO_FORMATS.KML);
+    expect(detectGeoFormat(PREFIXED_GPX)).toBe(GEO_FORMATS.GPX);
+  });
+
+  it('reads prefixed KML placemarks', () => {
+    const { drafts, skipped } = importLocations(PREFIXED_KML, 'places.kml');
+
+    expect(skipped).toBe(0);
+    expect(drafts.map(draft => draft.title)).toEqual(['Office', 'Park']);
+    expect(drafts[0].locationData).toMatchObject({ latitude: 52.37, longitude: 4.89, radius: 150 });
+    expect(drafts[1].locationData.polygon).toHaveLength(4);
+  });
+
+  it('reads prefixed GPX waypoints', () => {
+    const { drafts, skipped } = importLocations(PREFIXED_GPX, 'places.gpx');
+
+    expect(skipped).toBe(0);
+    expect(drafts.map(draft => draft.title)).toEqual(['Bakery', 'Station']);
+    expect(drafts[1].locationData).toMatchObject({ latitude: 52.38, longitude: 4.88 });
+  });
+});
+
+describe('importLocations with character references', () => {
+  it('decodes decimal and hexadecimal references in names', () => {
+    const gpx = `<gpx version="1.1">
+  <wpt lat="52.37" lon="4.89"><name>Bert&#39;s Caf&#xE9;</name></wpt>
+  <wpt lat="52.38" lon="4.88"><name>Fish &#x26; Chips &amp;#38; more</name></wpt>
+</gpx>`;
+
+    const { drafts } = importLocations(gpx, 'places.gpx');
+
+    expect(drafts.map(draft => draft.title)).toEqual(["Bert's Café", 'Fish & Chips &#38; more']);
+  });
+
+  it('keeps references that are not a character', () => {
+    const kml = `<kml><Placemark><name>Spot &#x110000;</name>
+  <Point><coordinates>4.89,52.37</coordinates></Point></Placemark></kml>`;
+
+    const { drafts } = importLocations(kml, 'places.kml');
+
+    expect(drafts[0].title).toBe('Spot &#x110000;');
+  });
+});
+
+describe('getExportableReminders', () => {
+  const reminders = [
+    { id: 'point', title: 'Office', type: 'sentence', content: '', locationData: { latitude: 52.37, longitude: 4.89 } },
+    { id: 'category', title: 'Any pharmacy', type: 'sentence', content: '', locationData: { category: 'pharmacy', radius: 100 } },
+  ];
+
+  it('leaves out category reminders, like the exporters do', () => {
+    expect(getExportableReminders(reminders).map(reminder => reminder.id)).toEqual(['point']);
+    expect(exportGPX(reminders).match(/<wpt /g)).toHaveLength(1);
+  });
+});
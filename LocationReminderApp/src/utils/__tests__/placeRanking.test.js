@@ -0,0 +1,61 @@
+import { rankPlaces } from '../placeRanking';
+
+const place = (name, overrides = {}) => ({
+  id: name,
+  name,
+  address: `${name}, Main Street`,
+  latitude: 52.37,
+  longitude: 4.89,
+  source: 'nominatim',
+  ...overrides,
+});
+
+const names = (places) => places.map(({ name }) => name);
+
+describe('rankPlaces', () => {
+  it('ranks name matches above address matches', () => {
+    const places = [
+      place('Bakery', { address: 'Corner of Main Street', latitude: 52.1 }),
+      place('Green corner', { latitude: 52.2 }),
+      place('Corner shop', { latitude: 52.3 }),
+    ];
+
+    expect(names(rankPlaces([places], 'corner'))).toEqual(['Corner shop', 'Green corner', 'Bakery']);
+  });
+
+  it('ranks places from history above equally good online matches', () => {
+    const online = [place('Corner shop', { latitude: 52.1 })];
+    const history = [place('Corner shop', { latitude: 52.2, source: 'history' })];
+
+    expect(rankPlaces([online, history], 'corner')[0].source).toBe('history');
+  });
+
+  it('ranks places close to the given location higher', () => {
+    const places = [
+      place('Corner shop', { id: 'far', latitude: 53.37 }),
+      place('Corner shop', { id: 'near', latitude: 52.371 }),
+    ];
+
+    const [best] = rankPlaces([places], 'corner shop', { near: { latitude: 52.37, longitude: 4.89 } });
+
+    expect(best.id).toBe('near');
+  });
+
+  it('keeps the providers\' order for equally good matches', () => {
+    const places = [
+      place('Corner shop', { id: 'first', latitude: 52.1 }),
+      place('Corner shop', { id: 'second', latitude: 52.2 }),
+    ];
+
+    expect(rankPlaces([places], 'corner').map(({ id }) => id)).toEqual(['first', 'second']);
+  });
+
+  it('drops duplicates of the same spot and limits the results', () => {
+    const online = [place('Corner shop'), place('Corner bakery', { latitude: 52.38 })];
+    const history = [place('Corner shop', { source: 'history' })];
+
+    const ranked = rankPlaces([online, history], 'corner', { limit: 1 });
+
+    expect(ranked).toEqual([online[0]]);
+  });
+});
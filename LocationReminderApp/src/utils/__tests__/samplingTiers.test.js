@@ -0,0 +1,59 @@
+import * as Location from 'expo-location';
+import { getSamplingOptions, getSamplingTier, selectSamplingTier } from '../samplingTiers';
+
+// The "balanced" and "low" accuracy profiles from GeofenceManager
+const BALANCED_PROFILE = {
+  accuracy: Location.Accuracy.Balanced,
+  foreground: { timeInterval: 30000, distanceInterval: 10 },
+  background: { timeInterval: 60000, distanceInterval: 50 },
+};
+const LOW_PROFILE = {
+  accuracy: Location.Accuracy.Low,
+  foreground: { timeInterval: 60000, distanceInterval: 50 },
+  background: { timeInterval: 120000, distanceInterval: 100 },
+};
+
+describe('selectSamplingTier', () => {
+  it('chooses the tier for the distance to the nearest geofence', () => {
+    expect(selectSamplingTier(150).id).toBe('near');
+    expect(selectSamplingTier(800).id).toBe('approaching');
+    expect(selectSamplingTier(Infinity).id).toBe('far');
+  });
+
+  it('stays in the finer tier until well past its boundary', () => {
+    expect(selectSamplingTier(230, 'near').id).toBe('near');
+    expect(selectSamplingTier(250, 'near').id).toBe('approaching');
+  });
+});
+
+describe('getSamplingOptions', () => {
+  it('samples finely near a geofence under the balanced profile', () => {
+    const options = getSamplingOptions(getSamplingTier('near'), BALANCED_PROFILE);
+
+    expect(options.accuracy).toBe(Location.Accuracy.High);
+    expect(options.foreground).toEqual({ timeInterval: 5000, distanceInterval: 5 });
+    expect(options.background).toEqual({ timeInterval: 10000, distanceInterval: 10 });
+  });
+
+  it('lets the approaching tier sample finer than the profile', () => {
+    const options = getSamplingOptions(getSamplingTier('approaching'), BALANCED_PROFILE);
+
+    expect(options.accuracy).toBe(Location.Accuracy.High);
+    expect(options.foreground.timeInterval).toBe(15000);
+  });
+
+  it('samples no finer than the profile far from any geofence', () => {
+    const options = getSamplingOptions(getSamplingTier('nearby'), BALANCED_PROFILE);
+
+    expect(options.accuracy).toBe(Location.Accuracy.Balanced);
+    expect(options.foreground).toEqual({ timeInterval: 60000, distanceInterval: 100 });
+  });
+
+  it('clamps the close tiers to the profile while saving battery', () => {
+    const options = getSamplingOptions(getSamplingTier('near'), LOW_PROFILE, { isPowerSaving: true });
+
+    expect(options.accuracy).toBe(Location.Accuracy.Low);
+    expect(options.foreground).toEqual({ timeInterval: 60000, distanceInterval: 50 });
+    expect(options.background).toEqual({ timeInterval: 120000, distanceInterval: 100 });
+  });
+});
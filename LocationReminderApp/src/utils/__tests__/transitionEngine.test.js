@@ -0,0 +1,135 @@
+import {
+  DEFAULT_TRANSITION_OPTIONS,
+  TRANSITION_STATUS,
+  createTransitionState,
+  evaluateTransition,
+  replayTrace,
+} from '../transitionEngine';
+import walkThrough from './fixtures/walk-through.json';
+import boundaryDrift from './fixtures/boundary-drift.json';
+import cellTowerJumps from './fixtures/cell-tower-jumps.json';
+
+// The recorded traces are all around this 100 m geofence
+const geofence = { shape: 'circle', latitude: 52.37, longitude: 4.89, radius: 100 };
+
+const transitionTypes = (result) => result.transitions.map((transition) => transition.type);
+
+describe('replayTrace', () => {
+  it('enters and exits once when walking through the geofence', () => {
+    const result = replayTrace(geofence, walkThrough.fixes);
+
+    expect(result.transitions).toEqual([
+      { type: 'ENTER', timestamp: walkThrough.fixes[6].timestamp },
+      { type: 'EXIT', timestamp: walkThrough.fixes[13].timestamp },
+    ]);
+    expect(result.state.status).toBe(TRANSITION_STATUS.OUTSIDE);
+  });
+
+  it('does not report the starting state as an exit', () => {
+    const result = replayTrace(geofence, walkThrough.fixes.slice(0, 4));
+
+    expect(result.transitions).toEqual([]);
+    expect(result.state.status).toBe(TRANSITION_STATUS.OUTSIDE);
+  });
+
+  it('continues from a saved state', () => {
+    const first = replayTrace(geofence, walkThrough.fixes.slice(0, 8));
+    const second = replayTrace(geofence, walkThrough.fixes.slice(8), {}, first.state);
+
+    expect(transitionTypes(first)).toEqual(['ENTER']);
+    expect(transitionTypes(second)).toEqual(['EXIT']);
+  });
+
+  describe('hysteresis', () => {
+    it('ignores GPS drift across the boundary', () => {
+      const result = replayTrace(geofence, boundaryDrift.fixes);
+
+      expect(result.transitions).toEqual([]);
+      expect(result.state.status).toBe(TRANSITION_STATUS.OUTSIDE);
+    });
+
+    it('reports a visit that never happened without a band or confirmation', () => {
+      const result = replayTrace(geofence, boundaryDrift.fixes, {
+        hysteresisMeters: 0,
+        requiredConsecutiveFixes: 1,
+      });
+
+      expect(transitionTypes(result)).toEqual(['ENTER', 'EXIT']);
+    });
+
+    it('treats fixes inside the band as inconclusive', () => {
+      // 115 m from the center, 15 m outside the edge: within the default 25 m band
+      const result = evaluateTransition(
+        geofence,
+        { ...boundaryDrift.fixes[9], accuracy: 0 },
+        createTransitionState(TRANSITION_STATUS.INSIDE),
+        { requiredConsecutiveFixes: 1 }
+      );
+
+      expect(result.transition).toBeNull();
+      expect(result.state.status).toBe(TRANSITION_STATUS.INSIDE);
+    });
+  });
+
+  describe('low-accuracy fixes', () => {
+    it('drops fixes worse than maxAccuracyMeters', () => {
+      const result = replayTrace(geofence, cellTowerJumps.fixes);
+
+      expect(result.transitions).toEqual([]);
+      expect(result.state.status).toBe(TRANSITION_STATUS.OUTSIDE);
+    });
+
+    it('uses the same fixes once they are accurate enough', () => {
+      const result = replayTrace(geofence, cellTowerJumps.fixes, { maxAccuracyMeters: 1000 });
+
+      expect(transitionTypes(result)).toEqual(['ENTER', 'EXIT']);
+    });
+
+    it('leaves a pending candidate untouched', () => {
+      const pending = { status: TRANSITION_STATUS.OUTSIDE, candidate: TRANSITION_STATUS.INSIDE, candidateCount: 1 };
+      const result = evaluateTransition(geofence, cellTowerJumps.fixes[2], pending);
+
+      expect(result.state).toBe(pending);
+      expect(result.transition).toBeNull();
+    });
+  });
+
+  describe('requiredConsecutiveFixes', () => {
+    it('needs the default number of agreeing fixes', () => {
+      const state = replayTrace(geofence, walkThrough.fixes.slice(0, 4)).state;
+      const firstInside = evaluateTransition(geofence, walkThrough.fixes[5], state);
+      const secondInside = evaluateTransition(geofence, walkThrough.fixes[6], firstInside.state);
+
+      expect(DEFAULT_TRANSITION_OPTIONS.requiredConsecutiveFixes).toBe(2);
+      expect(firstInside.transition).toBeNull();
+      expect(firstInside.state.candidateCount).toBe(1);
+      expect(secondInside.transition).toBe('ENTER');
+    });
+
+    it('confirms on the first fix when set to 1', () => {
+      const result = replayTrace(geofence, walkThrough.fixes, { requiredConsecutiveFixes: 1 });
+
+      expect(result.transitions).toEqual([
+        { type: 'ENTER', timestamp: walkThrough.fixes[5].timestamp },
+        { type: 'EXIT', timestamp: walkThrough.fixes[12].timestamp },
+      ]);
+    });
+
+    it('waits longer when set higher', () => {
+      const result = replayTrace(geofence, walkThrough.fixes, { requiredConsecutiveFixes: 3 });
+
+      expect(result.transitions).toEqual([
+        { type: 'ENTER', timestamp: walkThrough.fixes[7].timestamp },
+        { type: 'EXIT', timestamp: walkThrough.fixes[14].timestamp },
+      ]);
+    });
+
+    it('starts counting again after an inconclusive fix', () => {
+      // Inside, inside band, inside: never two agreeing fixes in a row
+      const fixes = [boundaryDrift.fixes[3], boundaryDrift.fixes[4], boundaryDrift.fixes[6]];
+      const result = replayTrace(geofence, fixes, {}, createTransitionState(TRANSITION_STATUS.OUTSIDE));
+
+      expect(result.transitions).toEqual([]);
+    });
+  });
+});
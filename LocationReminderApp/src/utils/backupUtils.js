@@ -0,0 +1,183 @@
+import { getPlaceCategory } from './placeCategories';
+import { POWER_MODES } from './powerPolicy';
+import { THEME_MODES } from '../styles/styles';
+
+// Marks a JSON file as a GeoRem backup
+export const BACKUP_FORMAT = 'georem-backup';
+
+export const IMPORT_MODES = {
+  MERGE: 'merge', // keep existing reminders and add the new ones
+  REPLACE: 'replace', // swap all reminders and settings for the backup's
+};
+
+const REMINDER_TYPES = ['sentence', 'checklist'];
+
+// Two reminders this close with the same title and type are treated as the same reminder
+const DUPLICATE_DISTANCE_DEGREES = 0.0001;
+
+const isValidVersion = (version) => {
+  return typeof version === 'string' && /^\d+(\.\d+)*$/.test(version);
+};
+
+const isCoordinate = (value, limit) => {
+  return typeof value === 'number' && isFinite(value) && Math.abs(value) <= limit;
+};
+
+const isPoint = (point) => {
+  return !!point && isCoordinate(point.latitude, 90) && isCoordinate(point.longitude, 180);
+};
+
+const isBoolean = (value) => typeof value === 'boolean';
+
+const isNumberBetween = (value, min, max) => {
+  return typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+};
+
+// What each setting a backup can restore may be set to. Keys match
+// StorageService.getDefaultSettings; the choices match the settings screen's
+const SETTING_CHECKS = {
+  notificationsEnabled: isBoolean,
+  soundEnabled: isBoolean,
+  vibrationEnabled: isBoolean,
+  defaultRadius: value => isNumberBetween(value, 50, 1000),
+  locationAccuracy: value => ['low', 'balanced', 'high'].includes(value),
+  geofencingMode: value => ['native', 'polling'].includes(value),
+  lowBatteryThreshold: value => isNumberBetween(value, 0, 100),
+  lowBatteryMode: value => [POWER_MODES.COARSE, POWER_MODES.FETCH_ONLY].includes(value),
+  theme: value => Object.values(THEME_MODES).includes(value),
+};
+
+// Get the reason a backed up reminder can't be restored, or null if it is valid
+export const getReminderError = (reminder) => {
+  if (!reminder || typeof reminder !== 'object') {
+    return 'not a reminder';
+  }
+  if (typeof reminder.id !== 'string' || !reminder.id) {
+    return 'missing ID';
+  }
+  if (typeof reminder.title !== 'string' || !reminder.title.trim()) {
+    return 'missing title';
+  }
+  if (!REMINDER_TYPES.includes(reminder.type)) {
+    return `unknown type "${reminder.type}"`;
+  }
+  if (reminder.type === 'sentence' && typeof reminder.content !== 'string') {
+    return 'invalid reminder text';
+  }
+  if (reminder.type === 'checklist' && (
+    !Array.isArray(reminder.content) ||
+    reminder.content.some(item => !item || typeof item.text !== 'string')
+  )) {
+    return 'invalid checklist';
+  }
+
+  const locationData = reminder.locationData;
+  if (locationData?.category != null) {
+    // Category reminders have no location of their own
+    if (!getPlaceCategory(locationData.category)) {
+      return `unknown place category "${locationData.category}"`;
+    }
+  } else if (!isPoint(locationData)) {
+    return 'invalid location';
+  }
+  if (locationData.radius != null && !(locationData.radius > 0)) {
+    return 'invalid radius';
+  }
+  if (locationData.polygon != null && (
+    !Array.isArray(locationData.polygon) ||
+    locationData.polygon.length < 3 ||
+    !locationData.polygon.every(isPoint)
+  )) {
+    return 'invalid area';
+  }
+
+  return null;
+};
+
+// Check a parsed backup file. Returns the valid reminders and the reasons others were skipped
+export const validateBackup = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This file is not a GeoRem backup.');
+  }
+  if (data.format !== undefined && data.format !== BACKUP_FORMAT) {
+    throw new Error('This file is not a GeoRem backup.');
+  }
+  if (!isValidVersion(data.version)) {
+    throw new Error('This backup has no version and cannot be restored.');
+  }
+  if (!Array.isArray(data.reminders)) {
+    throw new Error('This backup contains no reminders.');
+  }
+
+  const reminders = [];
+  const skipped = [];
+
+  data.reminders.forEach((reminder, index) => {
+    const error = getReminderError(reminder);
+    if (error) {
+      skipped.push({ index, title: reminder?.title || null, error });
+    } else {
+      reminders.push(reminder);
+    }
+  });
+
+  const settings = data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings)
+    ? data.settings
+    : null;
+
+  return { version: data.version, reminders, skipped, settings };
+};
+
+// Take a backup's settings over the defaults. Unknown settings and invalid values
+// are left out, so the defaults stand in for them
+export const restoreSettings = (backedUpSettings, defaults) => {
+  const settings = { ...defaults };
+  Object.keys(defaults).forEach((key) => {
+    const value = backedUpSettings ? backedUpSettings[key] : undefined;
+    const check = SETTING_CHECKS[key];
+    if (value !== undefined && (!check || check(value))) {
+      settings[key] = value;
+    }
+  });
+  return settings;
+};
+
+// Check whether two reminders describe the same thing at the same place
+export const isDuplicateReminder = (a, b) => {
+  if (a.id === b.id) return true;
+  if (!a.locationData || !b.locationData) return false;
+
+  const isSameReminder = (
+    a.type === b.type &&
+    (a.title || '').trim().toLowerCase() === (b.title || '').trim().toLowerCase()
+  );
+  if (a.locationData.category || b.locationData.category) {
+    return isSameReminder && a.locationData.category === b.locationData.category;
+  }
+
+  return (
+    isSameReminder &&
+    Math.abs(a.locationData.latitude - b.locationData.latitude) < DUPLICATE_DISTANCE_DEGREES &&
+    Math.abs(a.locationData.longitude - b.locationData.longitude) < DUPLICATE_DISTANCE_DEGREES
+  );
+};
+
+// Work out the reminders to store after an import
+export const planImport = (existingReminders, importedReminders, mode = IMPORT_MODES.MERGE) => {
+  const base = mode === IMPORT_MODES.REPLACE ? [] : existingReminders;
+  const reminders = [...base];
+  const added = [];
+  const duplicates = [];
+
+  importedReminders.forEach((reminder) => {
+    // Also catches duplicates within the backup itself
+    if (reminders.some(existing => isDuplicateReminder(existing, reminder))) {
+      duplicates.push(reminder);
+      return;
+    }
+    reminders.push(reminder);
+    added.push(reminder);
+  });
+
+  return { reminders, added, duplicates };
+};
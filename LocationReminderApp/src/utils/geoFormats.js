@@ -0,0 +1,524 @@
+import { getPolygonCenter, getPolygonRadius } from './geoMath';
+
+// File formats that reminder locations can be exported to and imported from
+export const GEO_FORMATS = {
+  GEOJSON: 'geojson',
+  KML: 'kml',
+  GPX: 'gpx',
+};
+
+export const GEO_FORMAT_INFO = {
+  [GEO_FORMATS.GEOJSON]: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', uti: 'public.json' },
+  [GEO_FORMATS.KML]: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', uti: 'com.google.earth.kml' },
+  [GEO_FORMATS.GPX]: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', uti: 'com.topografix.gpx' },
+};
+
+// Radius given to imported points that don't specify one
+export const DEFAULT_IMPORT_RADIUS = 100;
+
+const GEOREM_NAMESPACE = 'https://georem.app/xmlns/1';
+
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Decode a numeric character reference, leaving ones that aren't a valid code point as they are
+const decodeCharacterReference = (reference, code) => {
+  return code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+};
+
+const unescapeXml = (value) => {
+  return value
+    .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (reference, hex) => decodeCharacterReference(reference, parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (reference, decimal) => decodeCharacterReference(reference, Number(decimal)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+};
+
+// Get the text of the first <tag> in an XML fragment, ignoring namespace prefixes
+const getTagText = (xml, tag) => {
+  const match = new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i').exec(xml);
+  return match ? unescapeXml(match[1]) : null;
+};
+
+// Get every <tag>...</tag> block in an XML document, with or without a namespace prefix
+const getTagBlocks = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}\\b([^>]*)>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'gi');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    blocks.push({ attributes: match[1], body: match[2] });
+  }
+  return blocks;
+};
+
+const getAttribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(attributes);
+  return match ? match[1] : null;
+};
+
+const isValidPoint = (latitude, longitude) => {
+  return isFinite(latitude) && isFinite(longitude) && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+};
+
+const parseRadius = (value) => {
+  const radius = Number(value);
+  return radius > 0 ? Math.round(radius) : null;
+};
+
+// Describe a reminder's content as plain text, e.g. for a KML description
+const getContentText = (reminder) => {
+  if (reminder.type === 'checklist' && Array.isArray(reminder.content)) {
+    return reminder.content.map(item => `- ${item.text}`).join('\n');
+  }
+  return reminder.content || '';
+};
+
+// Only reminders with a location can be exported
+export const getExportableReminders = (reminders) => {
+  return reminders.filter(reminder =>
+    reminder.locationData && isValidPoint(reminder.locationData.latitude, reminder.locationData.longitude)
+  );
+};
+
+// Export reminders as a GeoJSON FeatureCollection of points (with a radius) and polygons
+export const exportGeoJSON = (reminders) => {
+  const features = getExportableReminders(reminders).map((reminder) => {
+    const { latitude, longitude, radius, polygon } = reminder.locationData;
+
+    const geometry = polygon
+      ? {
+          type: 'Polygon',
+          // GeoJSON rings are [longitude, latitude] and repeat the first point at the end
+          coordinates: [[...polygon, polygon[0]].map(point => [point.longitude, point.latitude])],
+        }
+      : { type: 'Point', coordinates: [longitude, latitude] };
+
+    return {
+      type: 'Feature',
+      id: reminder.id,
+      geometry,
+      properties: {
+        name: reminder.title,
+        address: reminder.location,
+        radius: polygon ? undefined : radius || DEFAULT_IMPORT_RADIUS,
+        reminderType: reminder.type,
+        content: reminder.content,
+        transitionType: reminder.geofence?.transitionType,
+      },
+    };
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+// Export reminders as KML placemarks
+export const exportKML = (reminders) => {
+  const placemarks = getExportableReminders(reminders).map((reminder) => {
+    const { latitude, longitude, radius, polygon } = reminder.locationData;
+
+    const geometry = polygon
+      ? [
+          '      <Polygon><outerBoundaryIs><LinearRing><coordinates>',
+          `        ${[...polygon, polygon[0]].map(point => `${point.longitude},${point.latitude}`).join(' ')}`,
+          '      </coordinates></LinearRing></outerBoundaryIs></Polygon>',
+        ].join('\n')
+      : `      <Point><coordinates>${longitude},${latitude}</coordinates></Point>`;
+
+    const extendedData = polygon
+      ? ''
+      : `      <ExtendedData><Data name="radius"><value>${radius || DEFAULT_IMPORT_RADIUS}</value></Data></ExtendedData>\n`;
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(reminder.title)}</name>`,
+      `      <description>${escapeXml(getContentText(reminder))}</description>`,
+      `      <address>${escapeXml(reminder.location || '')}</address>`,
+      `${extendedData}${geometry}`,
+      '    </Placemark>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    '    <name>GeoRem reminders</name>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    '',
+  ].join('\n');
+};
+
+// Export reminders as GPX waypoints. GPX has no areas, so polygons become their center point
+export const exportGPX = (reminders) => {
+  const waypoints = getExportableReminders(reminders).map((reminder) => {
+    const { polygon } = reminder.locationData;
+    const center = polygon ? getPolygonCenter(polygon) : reminder.locationData;
+    const radius = polygon
+      ? Math.round(getPolygonRadius(polygon))
+      : reminder.locationData.radius || DEFAULT_IMPORT_RADIUS;
+
+    return [
+      `  <wpt lat="${center.latitude}" lon="${center.longitude}">`,
+      `    <name>${escapeXml(reminder.title)}</name>`,
+      `    <desc>${escapeXml(getContentText(reminder))}</desc>`,
+      `    <extensions><georem:radius>${radius}</georem:radius></extensions>`,
+      '  </wpt>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="GeoRem" xmlns="http://www.topografix.com/GPX/1/1" xmlns:georem="${GEOREM_NAMESPACE}">`,
+    ...waypoints,
+    '</gpx>',
+    '',
+  ].join('\n');
+};
+
+// Export reminders in one of the GEO_FORMATS
+export const exportLocations = (reminders, format) => {
+  switch (format) {
+    case GEO_FORMATS.KML:
+      return exportKML(reminders);
+    case GEO_FORMATS.GPX:
+      return exportGPX(reminders);
+    default:
+      return exportGeoJSON(reminders);
+  }
+};
+
+// Build a draft reminder for an imported place. Drafts start turned off so they
+// can be reviewed before any geofence is registered
+export const createDraftReminder = (place, index = 0) => {
+  const now = new Date();
+  const id = `${now.getTime()}-${index}`;
+  const isChecklist = place.reminderType === 'checklist' && Array.isArray(place.content);
+
+  return {
+    id,
+    title: place.name || `Imported place ${index + 1}`,
+    type: isChecklist ? 'checklist' : 'sentence',
+    content: isChecklist
+      ? place.content
+          .filter(item => item && typeof item.text === 'string' && item.text.trim())
+          .map((item, itemIndex) => ({ id: `${itemIndex + 1}`, text: item.text.trim(), completed: false }))
+      : typeof place.content === 'string' ? place.content : place.description || '',
+    location: place.address || `${place.latitude.toFixed(6)}, ${place.longitude.toFixed(6)}`,
+    locationData: {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      radius: place.radius || DEFAULT_IMPORT_RADIUS,
+      ...(place.polygon ? { polygon: place.polygon } : {}),
+    },
+    geofence: {
+      id: `geofence_${id}`,
+      isActive: false,
+      triggeredCount: 0,
+      lastTriggered: null,
+      transitionType: ['ENTER', 'EXIT', 'BOTH', 'DWELL'].includes(place.transitionType) ? place.transitionType : 'ENTER',
+      createdAt: now.toISOString(),
+    },
+    isActive: false,
+    isDraft: true,
+    createdAt: now.toISOString(),
+  };
+};
+
+// Turn a list of [longitude, latitude] pairs into an open polygon
+const toPolygon = (coordinates) => {
+  const points = coordinates
+    .map(([longitude, latitude]) => ({ latitude: Number(latitude), longitude: Number(longitude) }))
+    .filter(point => isValidPoint(point.latitude, point.longitude));
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+    points.pop();
+  }
+
+  return points.length >= 3 ? points : null;
+};
+
+// Read places from a GeoJSON FeatureCollection, Feature or bare geometry
+export const parseGeoJSON = (text) => {
+  const data = JSON.parse(text);
+  const features = data.type === 'FeatureCollection'
+    ? data.features || []
+    : data.type === 'Feature' ? [data] : [{ type: 'Feature', geometry: data, properties: {} }];
+
+  const places = [];
+  let skipped = 0;
+
+  features.forEach((feature) => {
+    const geometry = feature?.geometry;
+    const properties = feature?.properties || {};
+    const base = {
+      name: properties.name || properties.title || null,
+      address: properties.address || null,
+      description: properties.description || null,
+      reminderType: properties.reminderType,
+      content: properties.content,
+      transitionType: properties.transitionType,
+    };
+
+    if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const [longitude, latitude] = geometry.coordinates.map(Number);
+      if (isValidPoint(latitude, longitude)) {
+        places.push({ ...base, latitude, longitude, radius: parseRadius(properties.radius) });
+        return;
+      }
+    }
+
+    if (geometry?.type === 'Polygon' && Array.isArray(geometry.coordinates?.[0])) {
+      const polygon = toPolygon(geometry.coordinates[0]);
+      if (polygon) {
+        places.push({ ...base, ...getPolygonCenter(polygon), polygon });
+        return;
+      }
+    }
+
+    skipped++;
+  });
+
+  return { places, skipped };
+};
+
+// Read coordinates from KML "lng,lat[,alt]" tuples
+const parseKmlCoordinates = (text) => {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').map(Number));
+};
+
+// Read places from KML placemarks with points or polygons
+export const parseKML = (text) => {
+  const places = [];
+  let skipped = 0;
+
+  getTagBlocks(text, 'Placemark').forEach(({ body }) => {
+    const radiusMatch = /<(?:\w+:)?Data\s+name=["']radius["'][^>]*>\s*<(?:\w+:)?value>([^<]*)<\/(?:\w+:)?value>/i.exec(body);
+    const base = {
+      name: getTagText(body, 'name'),
+      address: getTagText(body, 'address'),
+      description: getTagText(body, 'description'),
+    };
+
+    const polygonBlock = getTagBlocks(body, 'Polygon')[0];
+    if (polygonBlock) {
+      const polygon = toPolygon(parseKmlCoordinates(getTagText(polygonBlock.body, 'coordinates')));
+      if (polygon) {
+        places.push({ ...base, ...getPolygonCenter(polygon), polygon });
+        return;
+      }
+    }
+
+    const pointBlock = getTagBlocks(body, 'Point')[0];
+    if (pointBlock) {
+      const [[longitude, latitude] = []] = parseKmlCoordinates(getTagText(pointBlock.body, 'coordinates'));
+      if (isValidPoint(latitude, longitude)) {
+        places.push({ ...base, latitude, longitude, radius: parseRadius(radiusMatch?.[1]) });
+        return;
+      }
+    }
+
+    skipped++;
+  });
+
+  return { places, skipped };
+};
+
+// Read places from GPX waypoints
+export const parseGPX = (text) => {
+  const places = [];
+  let skipped = 0;
+
+  getTagBlocks(text, 'wpt').forEach(({ attributes, body }) => {
+    const latitude = Number(getAttribute(attributes, 'lat'));
+    const longitude = Number(getAttribute(attributes, 'lon'));
+
+    if (!isValidPoint(latitude, longitude)) {
+      skipped++;
+      return;
+    }
+
+    places.push({
+      name: getTagText(body, 'name'),
+      description: getTagText(body, 'desc'),
+      latitude,
+      longitude,
+      radius: parseRadius(getTagText(body, 'radius')),
+    });
+  });
+
+  return { places, skipped };
+};
+
+// Work out a location file's format from its name, falling back to its contents
+export const detectGeoFormat = (text, fileName = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'geojson' || extension === 'json') return GEO_FORMATS.GEOJSON;
+  if (extension === 'kml') return GEO_FORMATS.KML;
+  if (extension === 'gpx') return GEO_FORMATS.GPX;
+
+  const start = text.trim().slice(0, 500);
+  if (start.startsWith('{')) return GEO_FORMATS.GEOJSON;
+  if (/<(?:\w+:)?kml\b/i.test(start)) return GEO_FORMATS.KML;
+  if (/<(?:\w+:)?gpx\b/i.test(start)) return GEO_FORMATS.GPX;
+  return null;
+};
+
+// Read a GeoJSON, KML or GPX file into draft reminders
+export const importLocations = (text, fileName) => {
+  const format = detectGeoFormat(text, fileName);
+  let result;
+
+  try {
+    switch (format) {
+      case GEO_FORMATS.GEOJSON:
+        result = parseGeoJSON(text);
+        break;
+      case GEO_FORMATS.KML:
+        result = parseKML(text);
+        break;
+      case GEO_FORMATS.GPX:
+        result = parseGPX(text);
+        break;
+      default:
+        throw new Error('Unsupported file. Please pick a GeoJSON, KML or GPX file.');
+    }
+  } catch (error) {
+    if (format) {
+      throw new Error(`This ${GEO_FORMAT_INFO[format].label} file could not be read.`);
+    }
+    throw error;
+  }
+
+  return {
+    format,
+    drafts: result.places.map(createDraftReminder),
+    skipped: result.skipped,
+  };
+};
+
+// Fixes without a time in a trace are spaced this far apart
+const DEFAULT_TRACE_INTERVAL_MS = 5000;
+
+// Parse a trace time given as an ISO string or epoch milliseconds
+const parseTraceTime = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return isFinite(time) ? time : null;
+};
+
+// Read one JSON fix: { latitude, longitude, accuracy, timestamp }, the short
+// lat/lon/lng/time names, or an expo-location object with coords
+const toTraceFix = (point) => {
+  const source = point && point.coords ? { ...point.coords, timestamp: point.timestamp } : point || {};
+  const latitude = Number(source.latitude !== undefined ? source.latitude : source.lat);
+  const longitude = Number(
+    source.longitude !== undefined ? source.longitude : source.lon !== undefined ? source.lon : source.lng
+  );
+  const accuracy = Number(source.accuracy);
+
+  return {
+    latitude,
+    longitude,
+    accuracy: accuracy >= 0 ? accuracy : null,
+    time: parseTraceTime(source.timestamp !== undefined ? source.timestamp : source.time),
+  };
+};
+
+// Read fixes from a JSON trace: an array of fixes, an object holding one under
+// fixes/locations/points, or a GeoJSON LineString (with optional coordTimes)
+const parseJsonTrace = (text) => {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data.map(toTraceFix);
+
+  const list = data.fixes || data.locations || data.points;
+  if (Array.isArray(list)) return list.map(toTraceFix);
+
+  const feature = data.type === 'FeatureCollection'
+    ? (data.features || []).find(item => item?.geometry?.type === 'LineString')
+    : data.type === 'Feature' ? data : { geometry: data, properties: {} };
+  if (feature?.geometry?.type !== 'LineString' || !Array.isArray(feature.geometry.coordinates)) {
+    throw new Error('No fixes found');
+  }
+
+  const times = feature.properties?.coordTimes || [];
+  return feature.geometry.coordinates.map(([longitude, latitude], index) => ({
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    accuracy: null,
+    time: parseTraceTime(times[index]),
+  }));
+};
+
+// Read fixes from GPX track points, falling back to route points and waypoints
+const parseGpxTrace = (text) => {
+  const points = ['trkpt', 'rtept', 'wpt']
+    .map(tag => getTagBlocks(text, tag))
+    .find(blocks => blocks.length > 0) || [];
+
+  return points.map(({ attributes, body }) => {
+    // GPX has no accuracy field; hdop is roughly five meters per unit
+    const hdop = Number(getTagText(body, 'hdop'));
+    return {
+      latitude: Number(getAttribute(attributes, 'lat')),
+      longitude: Number(getAttribute(attributes, 'lon')),
+      accuracy: hdop > 0 ? Math.round(hdop * 5) : null,
+      time: parseTraceTime(getTagText(body, 'time')),
+    };
+  });
+};
+
+// Read a recorded location trace (GPX or JSON) for the location simulator.
+// Returns the fixes in order, each with its offset in ms from the first one
+export const parseLocationTrace = (text, fileName = '') => {
+  const format = detectGeoFormat(text, fileName);
+  let rawFixes;
+
+  try {
+    if (format === GEO_FORMATS.GPX) {
+      rawFixes = parseGpxTrace(text);
+    } else if (format === GEO_FORMATS.GEOJSON || text.trim().startsWith('[')) {
+      rawFixes = parseJsonTrace(text);
+    } else {
+      throw new Error('Unsupported file. Please pick a GPX or JSON trace.');
+    }
+  } catch (error) {
+    if (error.message.startsWith('Unsupported')) throw error;
+    throw new Error('This trace file could not be read.');
+  }
+
+  const valid = rawFixes.filter(fix => isValidPoint(fix.latitude, fix.longitude));
+  if (valid.length === 0) {
+    throw new Error('This trace has no usable locations.');
+  }
+
+  // Traces without times, or with only some, are replayed at a steady pace
+  const hasTimes = valid.every(fix => fix.time !== null);
+  const startTime = hasTimes ? valid[0].time : 0;
+  const fixes = valid.map((fix, index) => ({
+    latitude: fix.latitude,
+    longitude: fix.longitude,
+    accuracy: fix.accuracy,
+    offsetMs: hasTimes ? Math.max(0, fix.time - startTime) : index * DEFAULT_TRACE_INTERVAL_MS,
+  }));
+
+  return { fixes, skipped: rawFixes.length - valid.length };
+};
@@ -0,0 +1,126 @@
+// Pure geometry helpers with no platform dependencies
+
+// Convert degrees to radians
+export const toRadians = (degrees) => {
+  return degrees * (Math.PI / 180);
+};
+
+// Calculate distance between two points (in meters)
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371000; // Radius of the Earth in meters
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  const distance = R * c;
+  return distance;
+};
+
+// Check if a point lies inside a polygon (ray casting)
+export const isPointInPolygon = (point, polygon) => {
+  if (!point || !Array.isArray(polygon) || polygon.length < 3) {
+    return false;
+  }
+
+  let isInside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].longitude;
+    const yi = polygon[i].latitude;
+    const xj = polygon[j].longitude;
+    const yj = polygon[j].latitude;
+
+    const intersects =
+      yi > point.latitude !== yj > point.latitude &&
+      point.longitude < ((xj - xi) * (point.latitude - yi)) / (yj - yi) + xi;
+
+    if (intersects) {
+      isInside = !isInside;
+    }
+  }
+
+  return isInside;
+};
+
+// Get the center point of a polygon (average of its vertices)
+export const getPolygonCenter = (polygon) => {
+  const total = polygon.reduce(
+    (sum, point) => ({
+      latitude: sum.latitude + point.latitude,
+      longitude: sum.longitude + point.longitude,
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+
+  return {
+    latitude: total.latitude / polygon.length,
+    longitude: total.longitude / polygon.length,
+  };
+};
+
+// Get the distance from a polygon's center to its farthest vertex (in meters)
+export const getPolygonRadius = (polygon) => {
+  const center = getPolygonCenter(polygon);
+  return Math.max(
+    ...polygon.map(point =>
+      calculateDistance(center.latitude, center.longitude, point.latitude, point.longitude)
+    )
+  );
+};
+
+// Get the shortest distance from a point to a line segment (in meters).
+// Uses a local equirectangular projection, which is accurate at geofence scale.
+export const distanceToSegment = (point, start, end) => {
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos(toRadians(point.latitude));
+
+  const ax = (start.longitude - point.longitude) * metersPerDegLng;
+  const ay = (start.latitude - point.latitude) * metersPerDegLat;
+  const bx = (end.longitude - point.longitude) * metersPerDegLng;
+  const by = (end.latitude - point.latitude) * metersPerDegLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared === 0
+    ? 0
+    : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+  return Math.hypot(ax + t * dx, ay + t * dy);
+};
+
+// Get the shortest distance from a point to a polygon's outline (in meters)
+export const distanceToPolygonEdge = (point, polygon) => {
+  let minDistance = Infinity;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    minDistance = Math.min(minDistance, distanceToSegment(point, polygon[j], polygon[i]));
+  }
+  return minDistance;
+};
+
+// Get the point a distance (in meters) away from another along a compass bearing
+export const getDestinationPoint = (point, bearingDegrees, distance) => {
+  const R = 6371000; // Radius of the Earth in meters
+  const angularDistance = distance / R;
+  const bearing = toRadians(bearingDegrees);
+  const lat1 = toRadians(point.latitude);
+  const lon1 = toRadians(point.longitude);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angularDistance) +
+      Math.cos(lat1) * Math.sin(angularDistance) * Math.cos(bearing)
+  );
+  const lon2 = lon1 + Math.atan2(
+    Math.sin(bearing) * Math.sin(angularDistance) * Math.cos(lat1),
+    Math.cos(angularDistance) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return {
+    latitude: lat2 * (180 / Math.PI),
+    longitude: ((lon2 * (180 / Math.PI) + 540) % 360) - 180,
+  };
+};
@@ -0,0 +1,52 @@
+import { calculateDistance } from './geoMath';
+import { getSignedBoundaryDistance } from './transitionEngine';
+
+// How many regions each platform lets an app monitor at once
+export const PLATFORM_REGION_LIMITS = {
+  ios: 20,
+  android: 100,
+};
+
+// Don't re-rank more often than this, so small movements don't churn the armed set
+const MIN_RERANK_DISTANCE_METERS = 100;
+
+// Get how many geofences can be armed on a platform
+export const getRegionLimit = (platform) => {
+  return PLATFORM_REGION_LIMITS[platform] || PLATFORM_REGION_LIMITS.ios;
+};
+
+// Sort geofences by how far a location is from their boundary, nearest first.
+// Geofences the location is inside count as 0 m away
+export const rankGeofencesByDistance = (geofences, location) => {
+  return geofences
+    .map(geofence => ({
+      geofence,
+      distance: Math.max(0, getSignedBoundaryDistance(geofence, location)),
+    }))
+    .sort((a, b) => a.distance - b.distance);
+};
+
+// Choose the geofences to arm around a location. Returns their IDs and how far the
+// user can move before the choice has to be made again
+export const planGeofenceBudget = (geofences, location, limit) => {
+  const ranked = rankGeofencesByDistance(geofences, location);
+  const armedIds = new Set(ranked.slice(0, limit).map(({ geofence }) => geofence.id));
+
+  // The user has to travel at least as far as the nearest unarmed geofence to reach
+  // it. Re-rank halfway there, so a missed fix or two can't skip past it
+  const nearestUnarmed = ranked[limit];
+  const rerankDistance = nearestUnarmed
+    ? Math.max(MIN_RERANK_DISTANCE_METERS, nearestUnarmed.distance / 2)
+    : Infinity;
+
+  return { armedIds, rerankDistance };
+};
+
+// Check whether the user has moved far enough from where geofences were last ranked
+export const shouldRerank = (anchor, location) => {
+  if (!anchor) return true;
+  if (anchor.rerankDistance === Infinity) return false;
+
+  const distance = calculateDistance(anchor.latitude, anchor.longitude, location.latitude, location.longitude);
+  return distance >= anchor.rerankDistance;
+};
@@ -0,0 +1,57 @@
+import { calculateDistance, getDestinationPoint } from './geoMath';
+
+// Synthetic traces for the location simulator. A trace is a list of fixes
+// { latitude, longitude, accuracy, offsetMs }, like parseLocationTrace returns
+
+// Walking pace, in meters per second
+export const WALKING_SPEED = 1.4;
+
+const SYNTHETIC_INTERVAL_MS = 5000;
+const SYNTHETIC_ACCURACY_METERS = 10;
+
+// Build a straight walk from one point to another, one fix per interval
+export const createWalkTrace = (from, to, {
+  speed = WALKING_SPEED,
+  intervalMs = SYNTHETIC_INTERVAL_MS,
+  startOffsetMs = 0,
+} = {}) => {
+  const distance = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+  const steps = Math.max(1, Math.ceil(distance / (speed * (intervalMs / 1000))));
+
+  return Array.from({ length: steps + 1 }, (_, index) => ({
+    latitude: from.latitude + ((to.latitude - from.latitude) * index) / steps,
+    longitude: from.longitude + ((to.longitude - from.longitude) * index) / steps,
+    accuracy: SYNTHETIC_ACCURACY_METERS,
+    offsetMs: startOffsetMs + index * intervalMs,
+  }));
+};
+
+// Build a visit to a geofence: walk in from the north to its center, optionally
+// stay there, then walk out to the south
+export const createVisitTrace = (geofence, {
+  approachMeters = 300,
+  stayMinutes = 0,
+  intervalMs = SYNTHETIC_INTERVAL_MS,
+} = {}) => {
+  const center = { latitude: geofence.latitude, longitude: geofence.longitude };
+  const distance = geofence.radius + approachMeters;
+
+  const walkIn = createWalkTrace(getDestinationPoint(center, 0, distance), center, { intervalMs });
+  let offsetMs = walkIn[walkIn.length - 1].offsetMs;
+
+  const stay = [];
+  for (let elapsed = intervalMs; elapsed <= stayMinutes * 60 * 1000; elapsed += intervalMs) {
+    stay.push({ ...center, accuracy: SYNTHETIC_ACCURACY_METERS, offsetMs: offsetMs + elapsed });
+  }
+  if (stay.length > 0) {
+    offsetMs = stay[stay.length - 1].offsetMs;
+  }
+
+  // The walk out starts at the center, which the walk in already ended on
+  const walkOut = createWalkTrace(center, getDestinationPoint(center, 180, distance), {
+    intervalMs,
+    startOffsetMs: offsetMs,
+  }).slice(1);
+
+  return [...walkIn, ...stay, ...walkOut];
+};
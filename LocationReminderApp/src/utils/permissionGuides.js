@@ -0,0 +1,168 @@
+// What the app needs from the system, in the order they're shown and fixed
+export const PERMISSIONS = {
+  LOCATION_SERVICES: 'locationServices',
+  FOREGROUND_LOCATION: 'foregroundLocation',
+  BACKGROUND_LOCATION: 'backgroundLocation',
+  PRECISE_LOCATION: 'preciseLocation',
+  NOTIFICATIONS: 'notifications',
+  BACKGROUND_REFRESH: 'backgroundRefresh',
+};
+
+// GRANTED works fully, LIMITED works with reduced accuracy or coverage,
+// UNDETERMINED hasn't been asked yet and UNAVAILABLE doesn't apply on this device
+export const PERMISSION_STATES = {
+  GRANTED: 'granted',
+  LIMITED: 'limited',
+  DENIED: 'denied',
+  UNDETERMINED: 'undetermined',
+  UNAVAILABLE: 'unavailable',
+};
+
+// How a fix is started from the permissions screen
+export const FIX_ACTIONS = {
+  REQUEST: 'request',
+  OPEN_SETTINGS: 'open-settings',
+  ENABLE_LOCATION_SERVICES: 'enable-location-services',
+};
+
+export const PERMISSION_INFO = {
+  [PERMISSIONS.LOCATION_SERVICES]: {
+    icon: '🌐',
+    label: 'Location services',
+    description: 'The phone-wide location switch. Nothing can be located while it is off.',
+  },
+  [PERMISSIONS.FOREGROUND_LOCATION]: {
+    icon: '📍',
+    label: 'Location access',
+    description: 'Needed to find where you are and to pick places on the map.',
+  },
+  [PERMISSIONS.BACKGROUND_LOCATION]: {
+    icon: '🛰️',
+    label: 'Background location',
+    description: 'Lets reminders trigger while the app is closed, and lets the phone watch them with system geofencing.',
+  },
+  [PERMISSIONS.PRECISE_LOCATION]: {
+    icon: '🎯',
+    label: 'Precise location',
+    description: 'Approximate location is only accurate to a few kilometres, so small places may never trigger.',
+  },
+  [PERMISSIONS.NOTIFICATIONS]: {
+    icon: '🔔',
+    label: 'Notifications',
+    description: 'Reminders are delivered as notifications.',
+  },
+  [PERMISSIONS.BACKGROUND_REFRESH]: {
+    icon: '🔄',
+    label: 'Background refresh',
+    description: 'Lets the app check your reminders every so often when location updates are paused.',
+  },
+};
+
+export const PERMISSION_STATE_INFO = {
+  [PERMISSION_STATES.GRANTED]: { icon: '✅', label: 'Allowed' },
+  [PERMISSION_STATES.LIMITED]: { icon: '⚠️', label: 'Limited' },
+  [PERMISSION_STATES.DENIED]: { icon: '⛔', label: 'Off' },
+  [PERMISSION_STATES.UNDETERMINED]: { icon: '❔', label: 'Not asked yet' },
+  [PERMISSION_STATES.UNAVAILABLE]: { icon: '➖', label: 'Not needed' },
+};
+
+// Steps in the system settings, by permission and platform. The app's own page
+// in the Settings app is where "Open Settings" lands
+const SETTINGS_STEPS = {
+  [PERMISSIONS.LOCATION_SERVICES]: {
+    ios: [
+      'Open the Settings app',
+      'Go to Privacy & Security → Location Services',
+      'Turn on Location Services',
+    ],
+    android: [
+      'Tap "Turn on location" below, or swipe down from the top of the screen',
+      'Turn on Location in Quick Settings',
+    ],
+  },
+  [PERMISSIONS.FOREGROUND_LOCATION]: {
+    ios: ['Tap "Open Settings" below', 'Tap Location', 'Choose "Always", or at least "While Using the App"'],
+    android: ['Tap "Open Settings" below', 'Tap Permissions → Location', 'Choose "Allow all the time"'],
+  },
+  [PERMISSIONS.BACKGROUND_LOCATION]: {
+    ios: ['Tap "Open Settings" below', 'Tap Location', 'Choose "Always"'],
+    android: ['Tap "Open Settings" below', 'Tap Permissions → Location', 'Choose "Allow all the time"'],
+  },
+  [PERMISSIONS.PRECISE_LOCATION]: {
+    ios: ['Tap "Open Settings" below', 'Tap Location', 'Turn on "Precise Location"'],
+    android: ['Tap "Open Settings" below', 'Tap Permissions → Location', 'Turn on "Use precise location"'],
+  },
+  [PERMISSIONS.NOTIFICATIONS]: {
+    ios: ['Tap "Open Settings" below', 'Tap Notifications', 'Turn on "Allow Notifications"'],
+    android: ['Tap "Open Settings" below', 'Tap Notifications', 'Turn on "All GeoRem notifications"'],
+  },
+  [PERMISSIONS.BACKGROUND_REFRESH]: {
+    ios: [
+      'Turn off Low Power Mode if it is on',
+      'Tap "Open Settings" below',
+      'Turn on "Background App Refresh"',
+      'If it is greyed out, turn it on in Settings → General → Background App Refresh',
+    ],
+    android: [
+      'Tap "Open Settings" below',
+      'Tap Battery (or App battery usage)',
+      'Choose "Unrestricted"',
+    ],
+  },
+};
+
+const RETURN_STEP = 'Come back to GeoRem. The status updates on its own';
+
+// Check whether a permission state lets the feature work, at least partly
+export const isUsable = (entry) => {
+  return !!entry && (entry.state === PERMISSION_STATES.GRANTED || entry.state === PERMISSION_STATES.LIMITED);
+};
+
+// Get the permissions that need attention, in display order
+export const getPermissionIssues = (status) => {
+  if (!status) return [];
+
+  return Object.values(PERMISSIONS).filter((id) => {
+    const entry = status[id];
+    return entry && entry.state !== PERMISSION_STATES.GRANTED && entry.state !== PERMISSION_STATES.UNAVAILABLE;
+  });
+};
+
+// Build the step-by-step fix for a permission, or null when nothing needs fixing.
+// A permission blocked by another one points at that one first
+export const getPermissionFix = (id, entry, platform) => {
+  if (!entry || entry.state === PERMISSION_STATES.GRANTED || entry.state === PERMISSION_STATES.UNAVAILABLE) {
+    return null;
+  }
+
+  if (entry.blockedBy) {
+    return {
+      action: null,
+      actionLabel: null,
+      steps: [`Fix "${PERMISSION_INFO[entry.blockedBy].label}" first`],
+    };
+  }
+
+  const platformSteps = SETTINGS_STEPS[id][platform === 'ios' ? 'ios' : 'android'];
+
+  if (id === PERMISSIONS.LOCATION_SERVICES) {
+    return platform === 'android'
+      ? { action: FIX_ACTIONS.ENABLE_LOCATION_SERVICES, actionLabel: 'Turn on location', steps: [...platformSteps, RETURN_STEP] }
+      : { action: null, actionLabel: null, steps: [...platformSteps, RETURN_STEP] };
+  }
+
+  // The system prompt can still be shown; after a denial only the Settings app can change it
+  if (entry.canAskAgain && entry.state !== PERMISSION_STATES.LIMITED) {
+    return {
+      action: FIX_ACTIONS.REQUEST,
+      actionLabel: 'Allow',
+      steps: ['Tap "Allow" below', 'Choose the option to allow when the system asks'],
+    };
+  }
+
+  return {
+    action: FIX_ACTIONS.OPEN_SETTINGS,
+    actionLabel: 'Open Settings',
+    steps: [...platformSteps, RETURN_STEP],
+  };
+};
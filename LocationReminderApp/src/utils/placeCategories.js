@@ -0,0 +1,31 @@
+// Kinds of places a reminder can follow instead of one fixed location. The name is
+// used mid-sentence ("any pharmacy"). Tags are OpenStreetMap key=value pairs; a
+// place matching any of them is in the category
+export const PLACE_CATEGORIES = [
+  { id: 'grocery', label: 'Grocery store', name: 'grocery store', icon: '🛒', tags: ['shop=supermarket', 'shop=convenience', 'shop=greengrocer'] },
+  { id: 'pharmacy', label: 'Pharmacy', name: 'pharmacy', icon: '💊', tags: ['amenity=pharmacy', 'shop=chemist'] },
+  { id: 'atm', label: 'ATM', name: 'ATM', icon: '🏧', tags: ['amenity=atm'] },
+  { id: 'bank', label: 'Bank', name: 'bank', icon: '🏦', tags: ['amenity=bank'] },
+  { id: 'fuel', label: 'Gas station', name: 'gas station', icon: '⛽', tags: ['amenity=fuel'] },
+  { id: 'post_office', label: 'Post office', name: 'post office', icon: '📮', tags: ['amenity=post_office'] },
+  { id: 'bakery', label: 'Bakery', name: 'bakery', icon: '🥖', tags: ['shop=bakery'] },
+  { id: 'cafe', label: 'Cafe', name: 'cafe', icon: '☕', tags: ['amenity=cafe'] },
+  { id: 'hardware', label: 'Hardware store', name: 'hardware store', icon: '🔨', tags: ['shop=hardware', 'shop=doityourself'] },
+  { id: 'library', label: 'Library', name: 'library', icon: '📚', tags: ['amenity=library'] },
+];
+
+// Get a category by ID, or null if it is unknown
+export const getPlaceCategory = (categoryId) => {
+  return PLACE_CATEGORIES.find(category => category.id === categoryId) || null;
+};
+
+// Check whether a reminder follows a category of places rather than one location
+export const isCategoryReminder = (reminder) => {
+  return !!reminder?.locationData?.category;
+};
+
+// Describe a category reminder's location, e.g. "Any pharmacy"
+export const formatCategoryLocation = (categoryId) => {
+  const category = getPlaceCategory(categoryId);
+  return category ? `Any ${category.name}` : 'Any matching place';
+};
@@ -0,0 +1,73 @@
+import { calculateDistance } from './geoMath';
+
+// Places closer than this are treated as the same place
+const SAME_PLACE_DEGREES = 0.0001;
+
+// Places the user has been to before rank above equally good online matches
+const SOURCE_BONUS = {
+  history: 2,
+  local: 1,
+};
+
+// Split a search query into lowercase words
+export const getQueryWords = (query) => {
+  return (query || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+};
+
+// Check whether two places are at the same spot
+export const isSamePlace = (a, b) => {
+  return (
+    Math.abs(a.latitude - b.latitude) < SAME_PLACE_DEGREES &&
+    Math.abs(a.longitude - b.longitude) < SAME_PLACE_DEGREES
+  );
+};
+
+// Score how well a place's name and address match every word of a query (0 = no match)
+export const scorePlaceMatch = (place, words) => {
+  const name = (place.name || '').toLowerCase();
+  const address = (place.address || '').toLowerCase();
+  let score = 0;
+
+  for (const word of words) {
+    if (name.startsWith(word)) score += 3;
+    else if (name.includes(word)) score += 2;
+    else if (address.includes(word)) score += 1;
+    else return 0;
+  }
+  return score;
+};
+
+// Score a nearby place higher, fading out over about 50 km
+const scoreProximity = (place, near) => {
+  if (!near) return 0;
+  const distanceKm = calculateDistance(near.latitude, near.longitude, place.latitude, place.longitude) / 1000;
+  return 2 / (1 + distanceKm / 10);
+};
+
+// Merge place lists, drop duplicates and sort the best matches first. Online results
+// that don't contain the query words (e.g. fuzzy matches) are kept but ranked lower
+export const rankPlaces = (placeLists, query, { near = null, limit = 5 } = {}) => {
+  const words = getQueryWords(query);
+  const places = [];
+
+  placeLists.flat().forEach((place) => {
+    if (!places.some(existing => isSamePlace(existing, place))) {
+      places.push(place);
+    }
+  });
+
+  return places
+    .map((place, index) => ({
+      place,
+      index,
+      score:
+        scorePlaceMatch(place, words) +
+        (SOURCE_BONUS[place.source] || 0) +
+        (place.importance || 0) +
+        scoreProximity(place, near),
+    }))
+    // Ties keep the providers' own order
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ place }) => place);
+};
@@ -0,0 +1,74 @@
+import * as Battery from 'expo-battery';
+
+// How monitoring runs: fully, with coarse location only, or with no location
+// tracking at all and a check on each background fetch (about every 15 minutes)
+export const POWER_MODES = {
+  FULL: 'full',
+  COARSE: 'coarse',
+  FETCH_ONLY: 'fetch-only',
+};
+
+// Why monitoring is degraded
+export const POWER_REASONS = {
+  LOW_BATTERY: 'low-battery',
+  LOW_POWER_MODE: 'low-power-mode',
+};
+
+export const FULL_POWER_POLICY = { mode: POWER_MODES.FULL, reason: null, batteryThreshold: null };
+
+// Choose how to monitor from the device's power state and the battery settings.
+// powerState is expo-battery's { batteryLevel, batteryState, lowPowerMode }, or
+// null where the battery can't be read
+export const evaluatePowerPolicy = (powerState, settings) => {
+  if (!powerState) {
+    return FULL_POWER_POLICY;
+  }
+
+  const isCharging = powerState.batteryState === Battery.BatteryState.CHARGING ||
+    powerState.batteryState === Battery.BatteryState.FULL;
+  if (isCharging) {
+    return FULL_POWER_POLICY;
+  }
+
+  // batteryLevel is 0-1, or -1 when unknown; a threshold of 0 turns this off
+  const threshold = settings.lowBatteryThreshold || 0;
+  if (powerState.batteryLevel >= 0 && powerState.batteryLevel * 100 <= threshold) {
+    return {
+      mode: settings.lowBatteryMode === POWER_MODES.FETCH_ONLY ? POWER_MODES.FETCH_ONLY : POWER_MODES.COARSE,
+      reason: POWER_REASONS.LOW_BATTERY,
+      batteryThreshold: threshold,
+    };
+  }
+
+  if (powerState.lowPowerMode) {
+    return { mode: POWER_MODES.COARSE, reason: POWER_REASONS.LOW_POWER_MODE, batteryThreshold: null };
+  }
+
+  return FULL_POWER_POLICY;
+};
+
+// Check whether two policies degrade monitoring the same way
+export const isSamePowerPolicy = (a, b) => {
+  return a.mode === b.mode && a.reason === b.reason && a.batteryThreshold === b.batteryThreshold;
+};
+
+// Check whether a policy pauses reminders not marked as critical
+export const isPowerSaving = (policy) => {
+  return !!policy && policy.mode !== POWER_MODES.FULL;
+};
+
+// Describe why and how monitoring is degraded, or null when it isn't
+export const describePowerPolicy = (policy) => {
+  if (!isPowerSaving(policy)) {
+    return null;
+  }
+
+  const reason = policy.reason === POWER_REASONS.LOW_BATTERY
+    ? `Battery is below ${policy.batteryThreshold}%`
+    : 'Low Power Mode is on';
+  const effect = policy.mode === POWER_MODES.FETCH_ONLY
+    ? 'critical reminders are checked about every 15 minutes'
+    : 'only critical reminders are watched, with coarse location';
+
+  return `${reason}: ${effect}.`;
+};
@@ -0,0 +1,123 @@
+// How often a reminder may fire once it has triggered
+export const RECURRENCE_MODES = {
+  ALWAYS: 'always', // every matching transition
+  ONCE: 'once', // first trigger, then the reminder turns itself off
+  COOLDOWN: 'cooldown', // at most once every N hours
+  RECURRING: 'recurring', // once per day, week or month
+};
+
+export const RECURRENCE_PERIODS = ['day', 'week', 'month'];
+
+export const DEFAULT_COOLDOWN_HOURS = 24;
+
+// Create the default recurrence (fire on every matching transition)
+export const createDefaultRecurrence = () => ({
+  mode: RECURRENCE_MODES.ALWAYS,
+  cooldownHours: DEFAULT_COOLDOWN_HOURS,
+  period: 'week',
+});
+
+// Get the start of the period after the one containing a date.
+// Weeks start on Monday.
+const getNextPeriodStart = (date, period) => {
+  const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  switch (period) {
+    case 'day':
+      next.setDate(next.getDate() + 1);
+      break;
+    case 'month':
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      break;
+    default: {
+      const daysSinceMonday = (next.getDay() + 6) % 7;
+      next.setDate(next.getDate() - daysSinceMonday + 7);
+      break;
+    }
+  }
+
+  return next;
+};
+
+// Get when a reminder can fire again after last firing, or null if it is always armed
+export const getNextArmTime = (recurrence, lastFiredAt) => {
+  if (!recurrence || !lastFiredAt) return null;
+
+  const lastFired = new Date(lastFiredAt);
+  if (isNaN(lastFired.getTime())) return null;
+
+  switch (recurrence.mode) {
+    case RECURRENCE_MODES.COOLDOWN: {
+      const hours = recurrence.cooldownHours || DEFAULT_COOLDOWN_HOURS;
+      return new Date(lastFired.getTime() + hours * 60 * 60 * 1000);
+    }
+    case RECURRENCE_MODES.RECURRING:
+      return getNextPeriodStart(lastFired, recurrence.period);
+    default:
+      // One-shot reminders are turned off after firing, so while they
+      // are active they are always armed
+      return null;
+  }
+};
+
+// Check whether a reminder may fire at a given time
+export const isRecurrenceArmed = (recurrence, lastFiredAt, date = new Date()) => {
+  const nextArmTime = getNextArmTime(recurrence, lastFiredAt);
+  return !nextArmTime || date >= nextArmTime;
+};
+
+// Check whether a reminder should turn itself off after firing
+export const isOneShot = (recurrence) => {
+  return recurrence?.mode === RECURRENCE_MODES.ONCE;
+};
+
+// Format the hours of a cooldown, e.g. "12h" or "3 days"
+export const formatCooldown = (hours) => {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return days === 1 ? '1 day' : `${days} days`;
+  }
+  return `${hours}h`;
+};
+
+// Format a recurrence for display, e.g. "Once a week"
+export const formatRecurrence = (recurrence) => {
+  switch (recurrence?.mode) {
+    case RECURRENCE_MODES.ONCE:
+      return 'Only once';
+    case RECURRENCE_MODES.COOLDOWN:
+      return `At most every ${formatCooldown(recurrence.cooldownHours || DEFAULT_COOLDOWN_HOURS)}`;
+    case RECURRENCE_MODES.RECURRING:
+      return `Once a ${recurrence.period || 'week'}`;
+    default:
+      return 'Every time';
+  }
+};
+
+// Describe whether a reminder is ready to fire, e.g. "Ready" or "Rearms Mon 00:00"
+export const getRecurrenceStatus = (reminder, date = new Date()) => {
+  const recurrence = reminder.recurrence;
+  if (!recurrence || recurrence.mode === RECURRENCE_MODES.ALWAYS) {
+    return null;
+  }
+
+  if (recurrence.mode === RECURRENCE_MODES.ONCE) {
+    return {
+      isArmed: reminder.isActive,
+      label: reminder.isActive ? 'Once' : 'Done',
+    };
+  }
+
+  const nextArmTime = getNextArmTime(recurrence, reminder.geofence?.lastTriggered);
+  if (!nextArmTime || date >= nextArmTime) {
+    return { isArmed: true, label: 'Ready' };
+  }
+
+  const isToday = nextArmTime.toDateString() === date.toDateString();
+  const when = nextArmTime.toLocaleString('en-US', isToday
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+  return { isArmed: false, label: `Rearms ${when}` };
+};
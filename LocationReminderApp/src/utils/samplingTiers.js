@@ -0,0 +1,85 @@
+import * as Location from 'expo-location';
+
+// How finely to sample the location, by distance in meters to the nearest armed
+// geofence. Ordered nearest first. Close tiers sample finer than the accuracy
+// setting's profile, so a transition isn't missed on the way in
+export const SAMPLING_TIERS = [
+  {
+    id: 'near',
+    maxDistance: 200,
+    overridesProfile: true,
+    accuracy: Location.Accuracy.High,
+    foreground: { timeInterval: 5000, distanceInterval: 5 },
+    background: { timeInterval: 10000, distanceInterval: 10 },
+  },
+  {
+    id: 'approaching',
+    maxDistance: 1000,
+    overridesProfile: true,
+    accuracy: Location.Accuracy.High,
+    foreground: { timeInterval: 15000, distanceInterval: 20 },
+    background: { timeInterval: 30000, distanceInterval: 50 },
+  },
+  {
+    id: 'nearby',
+    maxDistance: 5000,
+    accuracy: Location.Accuracy.Balanced,
+    foreground: { timeInterval: 60000, distanceInterval: 100 },
+    background: { timeInterval: 120000, distanceInterval: 250 },
+  },
+  {
+    id: 'far',
+    maxDistance: Infinity,
+    accuracy: Location.Accuracy.Low,
+    foreground: { timeInterval: 120000, distanceInterval: 250 },
+    background: { timeInterval: 180000, distanceInterval: 500 },
+  },
+];
+
+// Only drop to a coarser tier once this far (as a fraction) past its boundary,
+// so hovering around a boundary doesn't keep restarting location updates
+const COARSER_TIER_MARGIN = 0.2;
+
+// Get a tier by ID, or null if it is unknown
+export const getSamplingTier = (tierId) => {
+  return SAMPLING_TIERS.find(tier => tier.id === tierId) || null;
+};
+
+// Choose the tier for a distance in meters (Infinity when nothing is armed)
+export const selectSamplingTier = (distance, currentTierId = null) => {
+  const index = SAMPLING_TIERS.findIndex(tier => distance <= tier.maxDistance);
+  const currentIndex = SAMPLING_TIERS.findIndex(tier => tier.id === currentTierId);
+
+  if (currentIndex !== -1 && index > currentIndex) {
+    const boundary = SAMPLING_TIERS[currentIndex].maxDistance;
+    if (distance <= boundary * (1 + COARSER_TIER_MARGIN)) {
+      return SAMPLING_TIERS[currentIndex];
+    }
+  }
+
+  return SAMPLING_TIERS[index];
+};
+
+// Combine a tier with the accuracy setting's profile. The profile is the finest
+// sampling used away from a geofence, so other tiers can only make it coarser.
+// While the power policy saves battery the profile clamps every tier
+export const getSamplingOptions = (tier, profile, { isPowerSaving = false } = {}) => {
+  if (tier.overridesProfile && !isPowerSaving) {
+    return {
+      accuracy: tier.accuracy,
+      foreground: { ...tier.foreground },
+      background: { ...tier.background },
+    };
+  }
+
+  const coarsest = (tierIntervals, profileIntervals) => ({
+    timeInterval: Math.max(tierIntervals.timeInterval, profileIntervals.timeInterval),
+    distanceInterval: Math.max(tierIntervals.distanceInterval, profileIntervals.distanceInterval),
+  });
+
+  return {
+    accuracy: Math.min(tier.accuracy, profile.accuracy),
+    foreground: coarsest(tier.foreground, profile.foreground),
+    background: coarsest(tier.background, profile.background),
+  };
+};
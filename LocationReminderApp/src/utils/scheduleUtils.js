@@ -0,0 +1,123 @@
+// Day labels indexed like Date.getDay() (0 = Sunday)
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const WEEKDAYS = [1, 2, 3, 4, 5];
+export const WEEKEND = [0, 6];
+export const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Create an empty schedule (no constraints)
+export const createDefaultSchedule = () => ({
+  days: EVERY_DAY,
+  startTime: null,
+  endTime: null,
+  startDate: null,
+  endDate: null,
+});
+
+// Validate a time string in HH:MM format
+export const isValidTime = (time) => TIME_PATTERN.test(time || '');
+
+// Validate a date string in YYYY-MM-DD format
+export const isValidDate = (date) => {
+  if (!DATE_PATTERN.test(date || '')) return false;
+  return !isNaN(new Date(`${date}T00:00:00`).getTime());
+};
+
+// Convert HH:MM to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Format a Date as a local YYYY-MM-DD string
+const toDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// Validate a schedule and return an error message, or null if it is valid
+export const validateSchedule = (schedule) => {
+  if (!schedule) return null;
+
+  if (schedule.days && schedule.days.length === 0) {
+    return 'Select at least one day';
+  }
+  if ((schedule.startTime || schedule.endTime) && !(isValidTime(schedule.startTime) && isValidTime(schedule.endTime))) {
+    return 'Enter both times as HH:MM (e.g. 09:00)';
+  }
+  if (schedule.startDate && !isValidDate(schedule.startDate)) {
+    return 'Enter the start date as YYYY-MM-DD';
+  }
+  if (schedule.endDate && !isValidDate(schedule.endDate)) {
+    return 'Enter the end date as YYYY-MM-DD';
+  }
+  if (schedule.startDate && schedule.endDate && schedule.startDate > schedule.endDate) {
+    return 'The end date must be after the start date';
+  }
+  return null;
+};
+
+// Check whether a date falls inside a reminder's schedule
+export const isWithinSchedule = (schedule, date = new Date()) => {
+  if (!schedule) return true;
+
+  // Day of week
+  if (schedule.days && schedule.days.length > 0 && !schedule.days.includes(date.getDay())) {
+    return false;
+  }
+
+  // Date range (inclusive)
+  const today = toDateString(date);
+  if (schedule.startDate && today < schedule.startDate) return false;
+  if (schedule.endDate && today > schedule.endDate) return false;
+
+  // Time window, which may wrap past midnight (e.g. 22:00-06:00)
+  if (isValidTime(schedule.startTime) && isValidTime(schedule.endTime)) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(schedule.startTime);
+    const end = toMinutes(schedule.endTime);
+
+    if (start <= end) {
+      return now >= start && now <= end;
+    }
+    return now >= start || now <= end;
+  }
+
+  return true;
+};
+
+// Format the days of a schedule for display
+const formatDays = (days) => {
+  if (!days || days.length === 0 || days.length === 7) return 'Every day';
+
+  const sorted = [...days].sort();
+  if (sorted.join() === WEEKDAYS.join()) return 'Weekdays';
+  if (sorted.join() === WEEKEND.join()) return 'Weekends';
+  return sorted.map(day => DAY_LABELS[day]).join(', ');
+};
+
+// Format a schedule for display, e.g. "Weekdays · 09:00–18:00"
+export const formatSchedule = (schedule) => {
+  if (!schedule) return 'Any time';
+
+  const parts = [formatDays(schedule.days)];
+
+  if (schedule.startTime && schedule.endTime) {
+    parts.push(`${schedule.startTime}–${schedule.endTime}`);
+  }
+
+  if (schedule.startDate && schedule.endDate) {
+    parts.push(`${schedule.startDate} to ${schedule.endDate}`);
+  } else if (schedule.startDate) {
+    parts.push(`from ${schedule.startDate}`);
+  } else if (schedule.endDate) {
+    parts.push(`until ${schedule.endDate}`);
+  }
+
+  return parts.join(' · ');
+};
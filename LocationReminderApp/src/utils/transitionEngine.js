@@ -0,0 +1,140 @@
+import { calculateDistance, isPointInPolygon, distanceToPolygonEdge } from './geoMath';
+
+// Pure geofence transition detection. Given a fix and the previous state of a
+// geofence it decides whether the device has really crossed the boundary.
+//
+// - Fixes whose accuracy is worse than maxAccuracyMeters are ignored entirely.
+// - A fix only counts as "inside" when it is inside the fence, and only counts
+//   as "outside" when it is farther than hysteresisMeters (plus its own
+//   accuracy) from the boundary. Fixes in between keep the current status.
+// - A transition is only emitted after requiredConsecutiveFixes agreeing fixes.
+
+export const DEFAULT_TRANSITION_OPTIONS = {
+  hysteresisMeters: 25,
+  maxAccuracyMeters: 100,
+  requiredConsecutiveFixes: 2,
+};
+
+export const TRANSITION_STATUS = {
+  UNKNOWN: 'unknown',
+  INSIDE: 'inside',
+  OUTSIDE: 'outside',
+};
+
+// Create the initial state for a geofence
+export const createTransitionState = (status = TRANSITION_STATUS.UNKNOWN) => ({
+  status,
+  candidate: null,
+  candidateCount: 0,
+});
+
+// Get the distance from a fix to the geofence boundary (in meters).
+// Negative values are inside the fence, positive values are outside.
+export const getSignedBoundaryDistance = (geofence, location) => {
+  if (geofence.shape === 'polygon' && Array.isArray(geofence.polygon) && geofence.polygon.length >= 3) {
+    const edgeDistance = distanceToPolygonEdge(location, geofence.polygon);
+    return isPointInPolygon(location, geofence.polygon) ? -edgeDistance : edgeDistance;
+  }
+
+  const distance = calculateDistance(
+    location.latitude,
+    location.longitude,
+    geofence.latitude,
+    geofence.longitude
+  );
+  return distance - geofence.radius;
+};
+
+// Get the reported accuracy of a fix, treating a missing value as exact
+const getAccuracy = (location) => {
+  return typeof location.accuracy === 'number' ? location.accuracy : 0;
+};
+
+// Check whether a fix is accurate enough to be considered at all
+export const isAccurateFix = (location, options = DEFAULT_TRANSITION_OPTIONS) => {
+  return getAccuracy(location) <= options.maxAccuracyMeters;
+};
+
+// Classify a single fix as 'inside', 'outside', or null when it is not conclusive
+export const classifyFix = (geofence, location, options = DEFAULT_TRANSITION_OPTIONS) => {
+  if (!isAccurateFix(location, options)) {
+    return null;
+  }
+
+  const accuracy = getAccuracy(location);
+  const signedDistance = getSignedBoundaryDistance(geofence, location);
+  if (signedDistance <= 0) {
+    return TRANSITION_STATUS.INSIDE;
+  }
+  if (signedDistance - accuracy > options.hysteresisMeters) {
+    return TRANSITION_STATUS.OUTSIDE;
+  }
+  return null;
+};
+
+// Feed a fix into the engine. Returns the next state and the transition
+// ('ENTER', 'EXIT' or null) that the fix confirmed.
+export const evaluateTransition = (geofence, location, state, options = {}) => {
+  const settings = { ...DEFAULT_TRANSITION_OPTIONS, ...options };
+  const current = state || createTransitionState();
+
+  // Inaccurate fixes carry no information, so leave the state untouched
+  if (!isAccurateFix(location, settings)) {
+    return { state: current, transition: null };
+  }
+
+  const vote = classifyFix(geofence, location, settings);
+
+  // Fixes inside the hysteresis band reset a pending candidate but never change the status
+  if (!vote) {
+    return {
+      state: { ...current, candidate: null, candidateCount: 0 },
+      transition: null,
+    };
+  }
+
+  if (vote === current.status) {
+    return {
+      state: { status: current.status, candidate: null, candidateCount: 0 },
+      transition: null,
+    };
+  }
+
+  const candidateCount = current.candidate === vote ? current.candidateCount + 1 : 1;
+  if (candidateCount < settings.requiredConsecutiveFixes) {
+    return {
+      state: { status: current.status, candidate: vote, candidateCount },
+      transition: null,
+    };
+  }
+
+  // An unknown fence that settles outside is just the starting state, not an exit
+  let transition = null;
+  if (vote === TRANSITION_STATUS.INSIDE) {
+    transition = 'ENTER';
+  } else if (current.status === TRANSITION_STATUS.INSIDE) {
+    transition = 'EXIT';
+  }
+
+  return {
+    state: createTransitionState(vote),
+    transition,
+  };
+};
+
+// Replay a recorded trace of fixes through the engine and collect transitions.
+// Useful for tuning options against real-world recordings.
+export const replayTrace = (geofence, fixes, options = {}, initialState = null) => {
+  let state = initialState || createTransitionState();
+  const transitions = [];
+
+  fixes.forEach((fix) => {
+    const result = evaluateTransition(geofence, fix, state, options);
+    state = result.state;
+    if (result.transition) {
+      transitions.push({ type: result.transition, timestamp: fix.timestamp });
+    }
+  });
+
+  return { state, transitions };
+};
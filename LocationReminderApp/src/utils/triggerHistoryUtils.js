@@ -0,0 +1,45 @@
+// Why a geofence transition did or didn't produce a notification
+export const TRIGGER_OUTCOMES = {
+  NOTIFIED: 'notified',
+  SNOOZED: 'snoozed',
+  TRIGGER_MISMATCH: 'trigger-mismatch',
+  NOTIFICATIONS_OFF: 'notifications-off',
+  OUTSIDE_SCHEDULE: 'outside-schedule',
+  NOT_REARMED: 'not-rearmed',
+  FAILED: 'failed',
+};
+
+const OUTCOME_LABELS = {
+  [TRIGGER_OUTCOMES.NOTIFIED]: { icon: '🔔', label: 'Notified' },
+  [TRIGGER_OUTCOMES.SNOOZED]: { icon: '😴', label: 'Skipped: snoozed' },
+  [TRIGGER_OUTCOMES.TRIGGER_MISMATCH]: { icon: '➖', label: 'Skipped: not a chosen trigger' },
+  [TRIGGER_OUTCOMES.NOTIFICATIONS_OFF]: { icon: '🔕', label: 'Skipped: notifications off' },
+  [TRIGGER_OUTCOMES.OUTSIDE_SCHEDULE]: { icon: '🗓', label: 'Skipped: outside schedule' },
+  [TRIGGER_OUTCOMES.NOT_REARMED]: { icon: '⏳', label: 'Skipped: not rearmed yet' },
+  [TRIGGER_OUTCOMES.FAILED]: { icon: '⚠️', label: 'Failed to notify' },
+};
+
+const TRANSITION_LABELS = {
+  ENTER: 'Arrived',
+  EXIT: 'Left',
+  DWELL: 'Stayed',
+};
+
+// Get the icon and label for a trigger outcome
+export const formatTriggerOutcome = (outcome) => {
+  return OUTCOME_LABELS[outcome] || { icon: '•', label: outcome };
+};
+
+// Format a trigger event for display, e.g. "Arrived · 42m away · ±12m"
+export const formatTriggerEvent = (event) => {
+  const parts = [TRANSITION_LABELS[event.type] || event.type];
+
+  if (typeof event.distance === 'number') {
+    parts.push(`${Math.round(event.distance)}m from center`);
+  }
+  if (typeof event.accuracy === 'number') {
+    parts.push(`±${Math.round(event.accuracy)}m`);
+  }
+
+  return parts.join(' · ');
+};